@@ -4,6 +4,10 @@ dotenv.config();
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 5000,
+
+  app: {
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000'
+  },
   
   database: {
     uri: process.env.MONGO_URI || 'mongodb://localhost:27017/cash-exchange',
@@ -36,7 +40,104 @@ const config = {
     defaultExpiryMinutes: parseInt(process.env.DEFAULT_EXPIRY_MINUTES) || 30,
     minAmount: parseFloat(process.env.MIN_EXCHANGE_AMOUNT) || 1,
     maxAmount: parseFloat(process.env.MAX_EXCHANGE_AMOUNT) || 100000,
-    platformFeePercent: parseFloat(process.env.PLATFORM_FEE_PERCENT) || 0
+    platformFeePercent: parseFloat(process.env.PLATFORM_FEE_PERCENT) || 0,
+    disputeWindowHours: parseInt(process.env.DISPUTE_WINDOW_HOURS) || 72,
+    completionCodeExpiryMinutes: parseInt(process.env.COMPLETION_CODE_EXPIRY_MINUTES) || 120,
+    completionCodeMaxAttempts: parseInt(process.env.COMPLETION_CODE_MAX_ATTEMPTS) || 5,
+    completionLockMinutes: parseInt(process.env.COMPLETION_LOCK_MINUTES) || 30,
+    unverifiedMaxAmount: parseFloat(process.env.UNVERIFIED_MAX_AMOUNT) || 2000,
+    requireVerifiedPhone: process.env.REQUIRE_VERIFIED_PHONE === 'true',
+    // ACCEPTED exchanges not completed within this time are called off
+    acceptedTimeoutMinutes: parseInt(process.env.ACCEPTED_TIMEOUT_MINUTES) || 240
+  },
+
+  liveLocation: {
+    // Position updates faster than this are dropped
+    minUpdateIntervalMs: parseInt(process.env.LIVE_LOCATION_MIN_INTERVAL_MS) || 2000,
+    // Assumed speed (walking) for ETAs when the device reports none
+    defaultSpeedMps: parseFloat(process.env.LIVE_LOCATION_DEFAULT_SPEED_MPS) || 1.4
+  },
+
+  rating: {
+    // Days after completion both parties can rate; hidden ratings are
+    // revealed when it closes
+    windowDays: parseInt(process.env.RATING_WINDOW_DAYS) || 14,
+    // Reputation score: Bayesian prior and time decay
+    priorMean: parseFloat(process.env.RATING_PRIOR_MEAN) || 3.5,
+    priorWeight: parseFloat(process.env.RATING_PRIOR_WEIGHT) || 5,
+    halfLifeDays: parseInt(process.env.RATING_HALF_LIFE_DAYS) || 180
+  },
+
+  chat: {
+    maxMessageLength: parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH) || 1000,
+    // Messages per user per minute
+    rateLimitPerMinute: parseInt(process.env.CHAT_RATE_LIMIT_PER_MINUTE) || 20,
+    // Messages are purged after this unless a dispute holds them
+    retentionDays: parseInt(process.env.CHAT_RETENTION_DAYS) || 90
+  },
+
+  scheduler: {
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 10000,
+    lockTimeoutMs: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS) || 5 * 60 * 1000,
+    maxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 5,
+    retryDelayMs: parseInt(process.env.SCHEDULER_RETRY_DELAY_MS) || 30000,
+    retentionDays: parseInt(process.env.SCHEDULER_RETENTION_DAYS) || 7
+  },
+
+  matching: {
+    // How long both users have to confirm an automatic match
+    proposalWindowMinutes: parseInt(process.env.MATCH_PROPOSAL_WINDOW_MINUTES) || 5,
+    candidateLimit: parseInt(process.env.MATCH_CANDIDATE_LIMIT) || 20,
+    // Score weights (distance, amount fit, counterparty rating)
+    weights: {
+      distance: parseFloat(process.env.MATCH_WEIGHT_DISTANCE) || 0.4,
+      amountFit: parseFloat(process.env.MATCH_WEIGHT_AMOUNT_FIT) || 0.3,
+      rating: parseFloat(process.env.MATCH_WEIGHT_RATING) || 0.3
+    }
+  },
+
+  kyc: {
+    // Exchanges above this amount need an approved ID
+    requiredAboveAmount: parseFloat(process.env.KYC_REQUIRED_ABOVE_AMOUNT) || 20000,
+    // Opt-in: accepting others' requests (acting as helper) needs an approved ID
+    requiredForHelpers: process.env.KYC_REQUIRED_FOR_HELPERS === 'true',
+    maxFileSizeMB: parseInt(process.env.KYC_MAX_FILE_SIZE_MB) || 5
+  },
+
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localDir: process.env.STORAGE_LOCAL_DIR || 'uploads'
+  },
+
+  // Rolling exchange volume limits per KYC tier (24 hours / 30 days)
+  limits: {
+    UNVERIFIED: {
+      daily: parseFloat(process.env.LIMIT_UNVERIFIED_DAILY) || 5000,
+      monthly: parseFloat(process.env.LIMIT_UNVERIFIED_MONTHLY) || 20000
+    },
+    CONTACT_VERIFIED: {
+      daily: parseFloat(process.env.LIMIT_CONTACT_VERIFIED_DAILY) || 50000,
+      monthly: parseFloat(process.env.LIMIT_CONTACT_VERIFIED_MONTHLY) || 300000
+    },
+    ID_VERIFIED: {
+      daily: parseFloat(process.env.LIMIT_ID_VERIFIED_DAILY) || 200000,
+      monthly: parseFloat(process.env.LIMIT_ID_VERIFIED_MONTHLY) || 2000000
+    }
+  },
+
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'log',
+    otpExpiryMinutes: parseInt(process.env.PHONE_OTP_EXPIRY_MINUTES) || 10,
+    resendCooldownSeconds: parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS) || 60,
+    maxAttempts: parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5
+  },
+
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Cash Exchange <no-reply@cash-exchange.local>',
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+    verificationExpiryMinutes: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_MINUTES) || 24 * 60,
+    resetExpiryMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60
   },
 
   logging: {
@@ -0,0 +1,807 @@
+import User from '../models/User.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import Transaction from '../models/Transaction.js';
+import AuditLog from '../models/AuditLog.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import ReconciliationMismatch from '../models/ReconciliationMismatch.js';
+import FeeSchedule from '../models/FeeSchedule.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import Rating from '../models/Rating.js';
+import Migration from '../models/Migration.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import revealLegacyRatings from '../migrations/002-reveal-legacy-ratings.js';
+import logger from '../utils/logger.js';
+
+const USER_FIELDS = '-password -refreshTokens';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const paginate = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const findUserOrThrow = async (userId) => {
+  const user = await User.findById(userId).select(USER_FIELDS);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+// ====================
+// USERS
+// ====================
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (support, admin)
+export const listUsers = asyncHandler(async (req, res) => {
+  const { search, role, isActive } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+
+  if (role) query.role = role;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  const users = await User.find(query)
+    .select(USER_FIELDS)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await User.countDocuments(query);
+
+  await AuditLog.record(req, 'user.list', {}, { search, role, isActive, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a single user
+// @route   GET /api/admin/users/:id
+// @access  Private (support, admin)
+export const getUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.id);
+
+  await AuditLog.record(req, 'user.view', { type: 'User', id: user._id });
+
+  res.status(200).json({
+    success: true,
+    data: { user }
+  });
+});
+
+// @desc    Deactivate a user account
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private (admin)
+export const deactivateUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (req.params.id === req.user._id.toString()) {
+    throw new AppError('You cannot deactivate your own account', 400);
+  }
+
+  const user = await findUserOrThrow(req.params.id);
+
+  user.isActive = false;
+  user.refreshTokens = []; // Force logout on all devices
+  await user.save();
+
+  await AuditLog.record(req, 'user.deactivate', { type: 'User', id: user._id }, { reason });
+
+  logger.info('User deactivated by admin', {
+    userId: user._id,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User deactivated successfully',
+    data: { user }
+  });
+});
+
+// @desc    Reactivate a user account
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private (admin)
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const user = await findUserOrThrow(req.params.id);
+
+  user.isActive = true;
+  await user.save();
+
+  await AuditLog.record(req, 'user.reactivate', { type: 'User', id: user._id }, { reason });
+
+  logger.info('User reactivated by admin', {
+    userId: user._id,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: { user }
+  });
+});
+
+// @desc    Unlock an account locked by failed logins
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (support, admin)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrThrow(req.params.id);
+
+  const wasLocked = user.isLocked;
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+
+  await AuditLog.record(req, 'user.unlock', { type: 'User', id: user._id }, { wasLocked });
+
+  logger.info('User unlocked by admin', {
+    userId: user._id,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully',
+    data: { user }
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (req.params.id === req.user._id.toString()) {
+    throw new AppError('You cannot change your own role', 400);
+  }
+
+  const user = await findUserOrThrow(req.params.id);
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await AuditLog.record(req, 'user.role', { type: 'User', id: user._id }, { from: previousRole, to: role });
+
+  logger.info('User role changed', {
+    userId: user._id,
+    from: previousRole,
+    to: role,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User role updated successfully',
+    data: { user }
+  });
+});
+
+// ====================
+// EXCHANGES
+// ====================
+
+// @desc    List exchange requests
+// @route   GET /api/admin/exchanges
+// @access  Private (support, admin)
+export const listExchanges = asyncHandler(async (req, res) => {
+  const { status, exchangeType, userId } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (status) query.status = status;
+  if (exchangeType) query.exchangeType = exchangeType;
+  if (userId) query.$or = [{ requester: userId }, { helper: userId }];
+
+  const requests = await ExchangeRequest.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('requester', 'name email')
+    .populate('helper', 'name email');
+
+  const total = await ExchangeRequest.countDocuments(query);
+
+  await AuditLog.record(req, 'exchange.list', {}, { status, exchangeType, userId, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get any exchange request
+// @route   GET /api/admin/exchanges/:id
+// @access  Private (support, admin)
+export const getExchange = asyncHandler(async (req, res) => {
+  const exchangeRequest = await ExchangeRequest.findById(req.params.id)
+    .select('+notes.adminNotes')
+    .populate('requester', 'name email phone profile')
+    .populate('helper', 'name email phone profile')
+    .populate('linkedRequest');
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  const transactions = await Transaction.find({ exchangeRequest: exchangeRequest._id });
+
+  await AuditLog.record(req, 'exchange.view', { type: 'ExchangeRequest', id: exchangeRequest._id });
+
+  res.status(200).json({
+    success: true,
+    data: { exchangeRequest, transactions }
+  });
+});
+
+// @desc    Add an admin note to an exchange request
+// @route   POST /api/admin/exchanges/:id/notes
+// @access  Private (support, admin)
+export const addExchangeNote = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const exchangeRequest = await ExchangeRequest.findById(req.params.id).select('+notes.adminNotes');
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  exchangeRequest.appendAdminNote(`${req.user.name} (${req.user.role}): ${note}`);
+  await exchangeRequest.save();
+
+  await AuditLog.record(req, 'exchange.note', { type: 'ExchangeRequest', id: exchangeRequest._id }, { note });
+
+  res.status(200).json({
+    success: true,
+    message: 'Note added successfully',
+    data: { adminNotes: exchangeRequest.notes.adminNotes }
+  });
+});
+
+// ====================
+// TRANSACTIONS
+// ====================
+
+// @desc    List transactions
+// @route   GET /api/admin/transactions
+// @access  Private (support, admin)
+export const listTransactions = asyncHandler(async (req, res) => {
+  const { status, type, userId } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (userId) query.$or = [{ payer: userId }, { payee: userId }];
+
+  const transactions = await Transaction.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('payer', 'name email')
+    .populate('payee', 'name email');
+
+  const total = await Transaction.countDocuments(query);
+
+  await AuditLog.record(req, 'transaction.list', {}, { status, type, userId, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get any transaction
+// @route   GET /api/admin/transactions/:id
+// @access  Private (support, admin)
+export const getTransaction = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('payer', 'name email phone')
+    .populate('payee', 'name email phone')
+    .populate('exchangeRequest');
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  await AuditLog.record(req, 'transaction.view', { type: 'Transaction', id: transaction._id });
+
+  res.status(200).json({
+    success: true,
+    data: { transaction }
+  });
+});
+
+// ====================
+// RECONCILIATION
+// ====================
+
+// @desc    List wallet reconciliation reports
+// @route   GET /api/admin/reconciliation-reports
+// @access  Private (support, admin)
+export const listReconciliationReports = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (status) query.status = status;
+
+  const reports = await ReconciliationReport.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await ReconciliationReport.countDocuments(query);
+
+  await AuditLog.record(req, 'reconciliation.list', {}, { status, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a reconciliation report with a page of its mismatches
+// @route   GET /api/admin/reconciliation-reports/:id?page=&limit=
+// @access  Private (support, admin)
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = paginate(req.query);
+
+  const report = await ReconciliationReport.findById(req.params.id);
+
+  if (!report) {
+    throw new AppError('Reconciliation report not found', 404);
+  }
+
+  const mismatches = await ReconciliationMismatch.find({ report: report._id })
+    .populate('user', 'name email')
+    .sort({ _id: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  await AuditLog.record(req, 'reconciliation.view', { type: 'System', id: report._id }, { page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      report,
+      mismatches,
+      pagination: {
+        page,
+        limit,
+        total: report.mismatchCount,
+        totalPages: Math.ceil(report.mismatchCount / limit)
+      }
+    }
+  });
+});
+
+// ====================
+// FEE SCHEDULES
+// ====================
+
+const FEE_RULE_FIELDS = ['name', 'defaultPercent', 'tiers', 'minFee', 'maxFee', 'promotions'];
+
+const findFeeScheduleOrThrow = async (id) => {
+  const schedule = await FeeSchedule.findById(id);
+
+  if (!schedule) {
+    throw new AppError('Fee schedule not found', 404);
+  }
+
+  return schedule;
+};
+
+// @desc    List fee schedule versions
+// @route   GET /api/admin/fee-schedules
+// @access  Private (support, admin)
+export const listFeeSchedules = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (status) query.status = status;
+
+  const schedules = await FeeSchedule.find(query)
+    .sort({ version: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('createdBy', 'name email')
+    .populate('activatedBy', 'name email');
+
+  const total = await FeeSchedule.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      schedules,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a fee schedule version
+// @route   GET /api/admin/fee-schedules/:id
+// @access  Private (support, admin)
+export const getFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findFeeScheduleOrThrow(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { schedule }
+  });
+});
+
+// @desc    Create a draft fee schedule (next version)
+// @route   POST /api/admin/fee-schedules
+// @access  Private (admin)
+export const createFeeSchedule = asyncHandler(async (req, res) => {
+  const rules = Object.fromEntries(
+    FEE_RULE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]])
+  );
+
+  let schedule;
+  try {
+    schedule = await FeeSchedule.create({
+      ...rules,
+      version: await FeeSchedule.nextVersion(),
+      createdBy: req.user._id
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('Another fee schedule was just created, please retry', 409);
+    }
+    throw new AppError(error.message, 400);
+  }
+
+  await AuditLog.record(req, 'fee_schedule.create', { type: 'FeeSchedule', id: schedule._id }, {
+    version: schedule.version
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Fee schedule draft created successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Edit a draft fee schedule
+// @route   PUT /api/admin/fee-schedules/:id
+// @access  Private (admin)
+export const updateFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findFeeScheduleOrThrow(req.params.id);
+
+  if (schedule.status !== 'DRAFT') {
+    throw new AppError('Only draft fee schedules can be edited. Create a new version instead', 400);
+  }
+
+  for (const field of FEE_RULE_FIELDS) {
+    if (req.body[field] !== undefined) schedule[field] = req.body[field];
+  }
+
+  try {
+    await schedule.save();
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  await AuditLog.record(req, 'fee_schedule.update', { type: 'FeeSchedule', id: schedule._id }, {
+    version: schedule.version
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Fee schedule updated successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Activate a draft fee schedule (retires the current one)
+// @route   POST /api/admin/fee-schedules/:id/activate
+// @access  Private (admin)
+export const activateFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findFeeScheduleOrThrow(req.params.id);
+
+  if (schedule.status !== 'DRAFT') {
+    throw new AppError('Only draft fee schedules can be activated', 400);
+  }
+
+  const previous = await FeeSchedule.findOne({ status: 'ACTIVE' }).select('version');
+
+  await schedule.activate(req.user._id);
+
+  await AuditLog.record(req, 'fee_schedule.activate', { type: 'FeeSchedule', id: schedule._id }, {
+    version: schedule.version,
+    previousVersion: previous?.version ?? null
+  });
+
+  logger.info('Fee schedule activated', {
+    version: schedule.version,
+    previousVersion: previous?.version ?? null,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Fee schedule v${schedule.version} is now active`,
+    data: { schedule }
+  });
+});
+
+// ====================
+// RATING MODERATION
+// ====================
+
+// @desc    List reported ratings awaiting moderation (oldest report first),
+//          or hidden ratings with ?status=HIDDEN
+// @route   GET /api/admin/ratings
+// @access  Private (support, admin)
+export const listReportedRatings = asyncHandler(async (req, res) => {
+  const { status = 'REPORTED', userId } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = status === 'HIDDEN'
+    ? { 'flags.isHidden': true }
+    : { 'flags.isReported': true };
+
+  if (userId) query.rated = userId;
+
+  const ratings = await Rating.find(query)
+    .sort(status === 'HIDDEN' ? { updatedAt: -1 } : { 'flags.reportedAt': 1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('rater', 'name email')
+    .populate('rated', 'name email');
+
+  const total = await Rating.countDocuments(query);
+
+  await AuditLog.record(req, 'rating.list', {}, { status, userId, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ratings,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Hide or restore a rating and rebuild the rated user's profile rating
+const moderateRating = (action) => asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const rating = await Rating.findById(req.params.id);
+
+  if (!rating) {
+    throw new AppError('Rating not found', 404);
+  }
+
+  try {
+    await rating.moderate(action, reason, req.user._id);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  await Rating.recomputeProfile(rating.rated);
+
+  await AuditLog.record(req, `rating.${action.toLowerCase()}`, { type: 'Rating', id: rating._id }, { reason });
+
+  logger.info('Rating moderated', {
+    ratingId: rating._id,
+    action,
+    moderatorId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: action === 'HIDE' ? 'Rating hidden successfully' : 'Rating restored successfully',
+    data: { rating }
+  });
+});
+
+// @desc    Hide a rating from profiles and the rating average
+// @route   PUT /api/admin/ratings/:id/hide
+// @access  Private (support, admin)
+export const hideRating = moderateRating('HIDE');
+
+// @desc    Restore a hidden rating, or dismiss a report
+// @route   PUT /api/admin/ratings/:id/restore
+// @access  Private (support, admin)
+export const restoreRating = moderateRating('RESTORE');
+
+// @desc    Rebuild every profile's rating stats from the Rating collection
+// @route   POST /api/admin/ratings/recompute
+// @access  Private (admin)
+export const recomputeRatings = asyncHandler(async (req, res) => {
+  // Legacy ratings without revealedAt don't count yet, so a rebuild would
+  // zero their profiles
+  if (!(await Migration.hasRun(revealLegacyRatings.name))) {
+    throw new AppError('Legacy ratings have not been backfilled yet. Run `npm run migrate` first', 409);
+  }
+
+  const count = await Rating.recomputeAllProfiles();
+
+  await AuditLog.record(req, 'rating.recompute', {}, { count });
+
+  logger.info('Profile ratings recomputed by admin', {
+    count,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile ratings recomputed successfully',
+    data: { count }
+  });
+});
+
+// ====================
+// COMPLIANCE
+// ====================
+
+// @desc    List compliance events (e.g. over-limit attempts)
+// @route   GET /api/admin/compliance-events
+// @access  Private (support, admin)
+export const listComplianceEvents = asyncHandler(async (req, res) => {
+  const { type, userId } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (type) query.type = type;
+  if (userId) query.user = userId;
+
+  const events = await ComplianceEvent.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('user', 'name email');
+
+  const total = await ComplianceEvent.countDocuments(query);
+
+  await AuditLog.record(req, 'compliance.list', {}, { type, userId, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// ====================
+// AUDIT LOG
+// ====================
+
+// @desc    List admin actions
+// @route   GET /api/admin/audit-logs
+// @access  Private (admin)
+export const listAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, action, targetId } = req.query;
+  const { page, limit, skip } = paginate(req.query);
+
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (targetId) query.targetId = targetId;
+
+  const logs = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('actor', 'name email role');
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+export default {
+  listUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  updateUserRole,
+  listExchanges,
+  getExchange,
+  addExchangeNote,
+  listTransactions,
+  getTransaction,
+  listReconciliationReports,
+  getReconciliationReport,
+  listFeeSchedules,
+  getFeeSchedule,
+  createFeeSchedule,
+  updateFeeSchedule,
+  activateFeeSchedule,
+  listReportedRatings,
+  hideRating,
+  restoreRating,
+  recomputeRatings,
+  listComplianceEvents,
+  listAuditLogs
+};
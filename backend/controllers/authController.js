@@ -2,6 +2,9 @@ import User from '../models/User.js';
 import { generateTokenPair, verifyRefreshToken } from '../utils/generateToken.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/mailer.js';
+import { sendPhoneOtp } from '../utils/sms.js';
+import config from '../config/config.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -46,6 +49,10 @@ export const registerUser = asyncHandler(async (req, res) => {
 
   // Store refresh token
   user.refreshTokens.push({ token: refreshToken });
+
+  const verificationToken = user.createEmailVerificationToken(
+    config.mail.verificationExpiryMinutes
+  );
   await user.save();
 
   logger.info('User registered successfully', { 
@@ -53,6 +60,16 @@ export const registerUser = asyncHandler(async (req, res) => {
     email: user.email 
   });
 
+  // Registration succeeds even if the email can't be sent; user can resend
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    logger.error('Failed to send verification email', {
+      userId: user._id,
+      error: error.message
+    });
+  }
+
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
@@ -62,6 +79,7 @@ export const registerUser = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        role: user.role,
         location: user.location,
         wallet: user.wallet,
         profile: user.profile
@@ -143,6 +161,7 @@ export const loginUser = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        role: user.role,
         location: user.location,
         wallet: user.wallet,
         profile: user.profile
@@ -228,7 +247,7 @@ export const logoutUser = asyncHandler(async (req, res) => {
 // @access  Private
 export const getMe = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id)
-    .select('-password -refreshTokens -verification');
+    .select('-password -refreshTokens');
 
   res.status(200).json({
     success: true,
@@ -271,14 +290,18 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   const allowedUpdates = {};
   if (name) allowedUpdates.name = name;
-  if (phone) allowedUpdates.phone = phone;
+  if (phone && phone !== req.user.phone) {
+    // A new number has to be verified again
+    allowedUpdates.phone = phone;
+    allowedUpdates['verification.isPhoneVerified'] = false;
+  }
   if (bio) allowedUpdates['profile.bio'] = bio;
 
   const user = await User.findByIdAndUpdate(
     req.user._id,
     allowedUpdates,
     { new: true, runValidators: true }
-  ).select('-password -refreshTokens -verification');
+  ).select('-password -refreshTokens');
 
   logger.info('User profile updated', { userId: user._id });
 
@@ -321,14 +344,233 @@ export const changePassword = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Send (or resend) email verification
+// @route   POST /api/auth/verify-email/send
+// @access  Private
+export const sendEmailVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.verification.isEmailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  const token = user.createEmailVerificationToken(config.mail.verificationExpiryMinutes);
+  await user.save();
+
+  await sendVerificationEmail(user, token);
+
+  logger.info('Verification email sent', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Confirm email with token
+// @route   POST /api/auth/verify-email/confirm
+// @access  Public
+export const confirmEmailVerification = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await User.findByEmailToken('verification', token);
+
+  if (!user) {
+    throw new AppError('Verification link is invalid or has expired', 400);
+  }
+
+  // Single use
+  user.verification.isEmailVerified = true;
+  user.verification.emailVerificationToken = undefined;
+  user.verification.emailVerificationExpires = undefined;
+  await user.save();
+
+  logger.info('Email verified', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Same response whether or not the account exists
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken(config.mail.resetExpiryMinutes);
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, token);
+      logger.info('Password reset email sent', { userId: user._id });
+    } catch (error) {
+      logger.error('Failed to send password reset email', {
+        userId: user._id,
+        error: error.message
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a reset link has been sent'
+  });
+});
+
+// @desc    Reset password with token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findByEmailToken('reset', token);
+
+  if (!user) {
+    throw new AppError('Reset link is invalid or has expired', 400);
+  }
+
+  user.password = password;
+
+  // Single use
+  user.verification.passwordResetToken = undefined;
+  user.verification.passwordResetExpires = undefined;
+
+  // Receiving the email proves ownership of the address
+  user.verification.isEmailVerified = true;
+
+  // Clear lock and sessions (force re-login on all devices)
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  user.refreshTokens = [];
+
+  await user.save();
+
+  logger.info('Password reset', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please login again'
+  });
+});
+
+// @desc    Send a phone verification OTP
+// @route   POST /api/auth/verify-phone/send
+// @access  Private
+export const sendPhoneVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  const phone = req.body.phone || user.phone;
+
+  if (!phone) {
+    throw new AppError('Please provide a phone number', 400);
+  }
+
+  if (user.verification.isPhoneVerified && phone === user.phone) {
+    throw new AppError('Phone number is already verified', 400);
+  }
+
+  if (phone !== user.phone) {
+    const phoneExists = await User.findOne({ phone, _id: { $ne: user._id } });
+    if (phoneExists) {
+      throw new AppError('User with this phone number already exists', 400);
+    }
+  }
+
+  const lastSentAt = user.verification.phoneOtp?.lastSentAt;
+  const cooldownMs = config.sms.resendCooldownSeconds * 1000;
+
+  if (lastSentAt && Date.now() - lastSentAt.getTime() < cooldownMs) {
+    const waitSeconds = Math.ceil((cooldownMs - (Date.now() - lastSentAt.getTime())) / 1000);
+    throw new AppError(`Please wait ${waitSeconds} seconds before requesting a new code`, 429);
+  }
+
+  const code = user.createPhoneOtp(phone, config.sms.otpExpiryMinutes);
+  await user.save();
+
+  await sendPhoneOtp(phone, code);
+
+  logger.info('Phone OTP sent', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification code sent',
+    data: {
+      expiresInMinutes: config.sms.otpExpiryMinutes,
+      resendAfterSeconds: config.sms.resendCooldownSeconds
+    }
+  });
+});
+
+// @desc    Confirm phone with OTP
+// @route   POST /api/auth/verify-phone/confirm
+// @access  Private
+export const confirmPhoneVerification = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id)
+    .select('+verification.phoneOtp.code');
+
+  const otp = user.verification.phoneOtp;
+
+  if (!otp?.code) {
+    throw new AppError('No verification code pending. Please request a new one', 400);
+  }
+
+  const attempt = await user.checkPhoneOtp(code, config.sms.maxAttempts);
+
+  if (!attempt) {
+    throw new AppError('Too many invalid codes. Please request a new one', 429);
+  }
+
+  if (!attempt.valid) {
+    const remaining = config.sms.maxAttempts - attempt.attempts;
+    throw new AppError(
+      `Invalid or expired verification code. ${Math.max(0, remaining)} attempts remaining`,
+      400
+    );
+  }
+
+  // Another account may have verified this number in the meantime
+  const phoneExists = await User.findOne({ phone: otp.phone, _id: { $ne: user._id } });
+  if (phoneExists) {
+    throw new AppError('User with this phone number already exists', 400);
+  }
+
+  user.phone = otp.phone;
+  user.verification.isPhoneVerified = true;
+  user.verification.phoneOtp = undefined;
+  await user.save();
+
+  logger.info('Phone verified', { userId: user._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Phone number verified successfully',
+    data: { phone: user.phone }
+  });
+});
+
 // @desc    Get wallet balance
 // @route   GET /api/auth/wallet
 // @access  Private
 export const getWalletBalance = asyncHandler(async (req, res) => {
+  const { balance, held, currency, lastUpdated } = req.user.wallet;
+
   res.status(200).json({
     success: true,
     data: {
-      wallet: req.user.wallet
+      wallet: {
+        balance,
+        held,
+        available: req.user.wallet.available,
+        currency,
+        lastUpdated
+      }
     }
   });
 });
@@ -342,5 +584,11 @@ export default {
   updateLocation,
   updateProfile,
   changePassword,
+  sendEmailVerification,
+  confirmEmailVerification,
+  forgotPassword,
+  resetPassword,
+  sendPhoneVerification,
+  confirmPhoneVerification,
   getWalletBalance
 };
\ No newline at end of file
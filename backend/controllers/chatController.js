@@ -0,0 +1,190 @@
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import Message from '../models/Message.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { emitFromRequest, CHAT_EVENTS } from '../utils/socketEvents.js';
+import { maskContactDetails } from '../utils/contactMasking.js';
+import logger from '../utils/logger.js';
+
+// Load the primary (accepted) request for either party's request id, the
+// user's role in it and the other party
+const findExchangeForParty = async (requestId, userId) => {
+  const exchangeRequest = await ExchangeRequest.findPrimary(requestId);
+
+  if (!exchangeRequest || !exchangeRequest.helper) {
+    throw new AppError('Exchange not found', 404);
+  }
+
+  const id = userId.toString();
+  const isRequester = exchangeRequest.requester.toString() === id;
+  const isHelper = exchangeRequest.helper.toString() === id;
+
+  if (!isRequester && !isHelper) {
+    throw new AppError('Only the exchange parties can use its chat', 403);
+  }
+
+  return {
+    exchangeRequest,
+    role: isRequester ? 'requester' : 'helper',
+    counterparty: isRequester ? exchangeRequest.helper : exchangeRequest.requester
+  };
+};
+
+// Contact details stay masked until both parties opt in
+const messageView = (message, exchangeRequest) => {
+  const body = exchangeRequest.isContactSharingAgreed
+    ? message.body
+    : maskContactDetails(message.body);
+
+  return {
+    _id: message._id,
+    requestId: message.exchangeRequest,
+    sender: message.sender,
+    recipient: message.recipient,
+    body,
+    masked: body !== message.body,
+    readAt: message.readAt,
+    createdAt: message.createdAt
+  };
+};
+
+const contactSharingView = (exchangeRequest) => ({
+  requestId: exchangeRequest._id,
+  requester: !!exchangeRequest.contactSharing?.requester,
+  helper: !!exchangeRequest.contactSharing?.helper,
+  agreed: exchangeRequest.isContactSharingAgreed
+});
+
+// @desc    Get an exchange's chat messages (newest first)
+// @route   GET /api/exchange/:id/messages
+// @access  Private (requester, helper)
+export const getMessages = asyncHandler(async (req, res) => {
+  const { before, limit = 50 } = req.query;
+
+  const { exchangeRequest } = await findExchangeForParty(req.params.id, req.user._id);
+
+  const query = { exchangeRequest: exchangeRequest._id };
+
+  if (before) {
+    query.createdAt = { $lt: new Date(before) };
+  }
+
+  const [messages, unreadCount] = await Promise.all([
+    Message.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit) + 1),
+    Message.countDocuments({
+      exchangeRequest: exchangeRequest._id,
+      recipient: req.user._id,
+      readAt: null
+    })
+  ]);
+
+  const hasMore = messages.length > parseInt(limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      messages: messages.slice(0, parseInt(limit)).map(m => messageView(m, exchangeRequest)),
+      hasMore,
+      unreadCount,
+      contactSharing: contactSharingView(exchangeRequest)
+    }
+  });
+});
+
+// @desc    Send a chat message to the other party
+// @route   POST /api/exchange/:id/messages
+// @access  Private (requester, helper)
+export const sendMessage = asyncHandler(async (req, res) => {
+  const { exchangeRequest, counterparty } = await findExchangeForParty(req.params.id, req.user._id);
+
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Messages can only be sent while the exchange is in progress', 400);
+  }
+
+  const message = await Message.create({
+    exchangeRequest: exchangeRequest._id,
+    sender: req.user._id,
+    recipient: counterparty,
+    body: req.body.body
+  });
+
+  const view = messageView(message, exchangeRequest);
+
+  emitFromRequest(req, [req.user._id, counterparty], CHAT_EVENTS.MESSAGE, view);
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: { message: view }
+  });
+});
+
+// @desc    Mark the messages received in an exchange as read
+// @route   POST /api/exchange/:id/messages/read
+// @access  Private (requester, helper)
+export const markMessagesRead = asyncHandler(async (req, res) => {
+  const { exchangeRequest, counterparty } = await findExchangeForParty(req.params.id, req.user._id);
+
+  const readAt = new Date();
+  const count = await Message.markRead(exchangeRequest._id, req.user._id, readAt);
+
+  // Read receipt for the sender
+  if (count) {
+    emitFromRequest(req, [counterparty], CHAT_EVENTS.READ, {
+      requestId: exchangeRequest._id,
+      readBy: req.user._id,
+      readAt,
+      count
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { count, readAt }
+  });
+});
+
+// @desc    Opt in to (or out of) showing contact details in chat
+// @route   PUT /api/exchange/:id/contact-sharing
+// @access  Private (requester, helper)
+export const setContactSharing = asyncHandler(async (req, res) => {
+  const share = req.body.share === true || req.body.share === 'true';
+
+  const { exchangeRequest, role, counterparty } = await findExchangeForParty(req.params.id, req.user._id);
+
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Contact sharing can only be changed while the exchange is in progress', 400);
+  }
+
+  const field = `contactSharing.${role}`;
+  const updated = await ExchangeRequest.findByIdAndUpdate(
+    exchangeRequest._id,
+    share ? { $set: { [field]: new Date() } } : { $unset: { [field]: 1 } },
+    { new: true }
+  );
+
+  const view = contactSharingView(updated);
+
+  logger.info('Chat contact sharing changed', {
+    requestId: exchangeRequest._id,
+    userId: req.user._id,
+    share,
+    agreed: view.agreed
+  });
+
+  emitFromRequest(req, [req.user._id, counterparty], CHAT_EVENTS.CONTACT_SHARING, view);
+
+  res.status(200).json({
+    success: true,
+    message: share ? 'Contact sharing enabled' : 'Contact sharing disabled',
+    data: { contactSharing: view }
+  });
+});
+
+export default {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+  setContactSharing
+};
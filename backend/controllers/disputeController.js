@@ -0,0 +1,382 @@
+import Dispute from '../models/Dispute.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import Transaction from '../models/Transaction.js';
+import AuditLog from '../models/AuditLog.js';
+import Message from '../models/Message.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { emitFromRequest, DISPUTE_EVENTS } from '../utils/socketEvents.js';
+import { endSharing } from '../utils/liveLocation.js';
+import logger from '../utils/logger.js';
+import config from '../config/config.js';
+
+// Set status on both linked requests (settling the parents of fills)
+const setExchangeStatus = async (exchangeRequest, status) => {
+  exchangeRequest.status = status;
+  await exchangeRequest.save();
+
+  const linkedRequest = exchangeRequest.linkedRequest
+    ? await ExchangeRequest.findByIdAndUpdate(exchangeRequest.linkedRequest, {
+        $set: { status }
+      }, { new: true })
+    : null;
+
+  await ExchangeRequest.settleParent(exchangeRequest.parentRequest);
+  await ExchangeRequest.settleParent(linkedRequest?.parentRequest);
+};
+
+// @desc    Open a dispute on an exchange
+// @route   POST /api/disputes/exchange/:exchangeId
+// @access  Private
+export const openDispute = asyncHandler(async (req, res) => {
+  const { reason, evidence } = req.body;
+
+  const exchangeRequest = await ExchangeRequest.findPrimary(req.params.exchangeId);
+
+  if (!exchangeRequest || !exchangeRequest.helper) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  const userId = req.user._id.toString();
+  const isRequester = exchangeRequest.requester.toString() === userId;
+  const isHelper = exchangeRequest.helper.toString() === userId;
+
+  if (!isRequester && !isHelper) {
+    throw new AppError('Only the exchange parties can open a dispute', 403);
+  }
+
+  if (!['ACCEPTED', 'COMPLETED'].includes(exchangeRequest.status)) {
+    throw new AppError('Only accepted or completed exchanges can be disputed', 400);
+  }
+
+  if (exchangeRequest.status === 'COMPLETED') {
+    const windowEnd = new Date(exchangeRequest.timeline.completedAt);
+    windowEnd.setHours(windowEnd.getHours() + config.exchange.disputeWindowHours);
+
+    if (windowEnd < new Date()) {
+      throw new AppError('The dispute window for this exchange has closed', 400);
+    }
+  }
+
+  const existingDispute = await Dispute.findOne({
+    exchangeRequest: exchangeRequest._id,
+    status: { $in: ['OPEN', 'UNDER_REVIEW'] }
+  });
+
+  if (existingDispute) {
+    throw new AppError('A dispute is already open for this exchange', 400);
+  }
+
+  const transaction = await Transaction.findOne({
+    exchangeRequest: exchangeRequest._id
+  });
+
+  const dispute = await Dispute.create({
+    exchangeRequest: exchangeRequest._id,
+    transaction: transaction?._id || null,
+    openedBy: req.user._id,
+    against: isRequester ? exchangeRequest.helper : exchangeRequest.requester,
+    reason,
+    evidence: evidence ? [{ submittedBy: req.user._id, text: evidence }] : [],
+    exchangeStatusBefore: exchangeRequest.status
+  });
+
+  await setExchangeStatus(exchangeRequest, 'DISPUTED');
+  await endSharing(req.app.get('io'), exchangeRequest, 'DISPUTED');
+
+  // Keep the exchange's chat as evidence until the dispute is resolved
+  await Message.holdForDispute(exchangeRequest._id);
+
+  logger.info('Dispute opened', {
+    disputeId: dispute._id,
+    requestId: exchangeRequest._id,
+    userId: req.user._id
+  });
+
+  emitFromRequest(req, [dispute.openedBy, dispute.against], DISPUTE_EVENTS.OPENED, {
+    disputeId: dispute._id,
+    requestId: exchangeRequest._id,
+    openedBy: dispute.openedBy
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dispute opened successfully',
+    data: { dispute }
+  });
+});
+
+// @desc    Get my disputes
+// @route   GET /api/disputes
+// @access  Private
+export const getMyDisputes = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = {
+    $or: [
+      { openedBy: req.user._id },
+      { against: req.user._id }
+    ]
+  };
+
+  if (status) {
+    query.status = status;
+  }
+
+  const disputes = await Dispute.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('exchangeRequest', 'amount exchangeType status');
+
+  const total = await Dispute.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a single dispute
+// @route   GET /api/disputes/:id
+// @access  Private (parties, support, admin)
+export const getDispute = asyncHandler(async (req, res) => {
+  const dispute = await Dispute.findById(req.params.id)
+    .populate('exchangeRequest')
+    .populate('transaction')
+    .populate('openedBy', 'name')
+    .populate('against', 'name');
+
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  const isStaff = ['support', 'admin'].includes(req.user.role);
+
+  if (!isStaff &&
+      dispute.openedBy._id.toString() !== req.user._id.toString() &&
+      dispute.against._id.toString() !== req.user._id.toString()) {
+    throw new AppError('Not authorized to view this dispute', 403);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { dispute }
+  });
+});
+
+// @desc    Get the exchange chat of a dispute (unmasked)
+// @route   GET /api/disputes/:id/messages
+// @access  Private (support, admin)
+export const getDisputeMessages = asyncHandler(async (req, res) => {
+  const dispute = await Dispute.findById(req.params.id);
+
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  const messages = await Message.find({ exchangeRequest: dispute.exchangeRequest })
+    .sort({ createdAt: 1 })
+    .populate('sender', 'name')
+    .populate('recipient', 'name');
+
+  await AuditLog.record(req, 'dispute.view_messages', { type: 'Dispute', id: dispute._id }, {
+    count: messages.length
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { messages }
+  });
+});
+
+// @desc    Add evidence to a dispute
+// @route   POST /api/disputes/:id/evidence
+// @access  Private (parties)
+export const addEvidence = asyncHandler(async (req, res) => {
+  const { text } = req.body;
+
+  const dispute = await Dispute.findById(req.params.id);
+
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  if (!dispute.isParty(req.user._id)) {
+    throw new AppError('Only the dispute parties can add evidence', 403);
+  }
+
+  if (dispute.isResolved) {
+    throw new AppError('Dispute has already been resolved', 400);
+  }
+
+  dispute.evidence.push({ submittedBy: req.user._id, text });
+  await dispute.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Evidence added successfully',
+    data: { dispute }
+  });
+});
+
+// @desc    Start reviewing a dispute
+// @route   PUT /api/disputes/:id/review
+// @access  Private (support, admin)
+export const reviewDispute = asyncHandler(async (req, res) => {
+  const existing = await Dispute.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  if (!existing.canTransitionTo('UNDER_REVIEW')) {
+    throw new AppError(`Cannot review a dispute that is ${existing.status}`, 400);
+  }
+
+  const dispute = await Dispute.claimTransition(existing._id, 'UNDER_REVIEW', req.user._id);
+
+  if (!dispute) {
+    throw new AppError('Dispute was updated in the meantime, please reload', 409);
+  }
+
+  await AuditLog.record(req, 'dispute.review', { type: 'Dispute', id: dispute._id });
+
+  logger.info('Dispute under review', {
+    disputeId: dispute._id,
+    reviewerId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Dispute marked as under review',
+    data: { dispute }
+  });
+});
+
+// @desc    Resolve a dispute
+// @route   PUT /api/disputes/:id/resolve
+// @access  Private (support, admin)
+export const resolveDispute = asyncHandler(async (req, res) => {
+  const { outcome, notes, reverseTransaction = false } = req.body;
+
+  const existing = await Dispute.findById(req.params.id);
+
+  if (!existing) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  const status = outcome === 'REQUESTER'
+    ? 'RESOLVED_FOR_REQUESTER'
+    : 'RESOLVED_FOR_HELPER';
+
+  if (!existing.canTransitionTo(status)) {
+    throw new AppError(`Cannot resolve a dispute that is ${existing.status}`, 400);
+  }
+
+  const exchangeRequest = await ExchangeRequest.findById(existing.exchangeRequest).select('+notes.adminNotes');
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  const transaction = reverseTransaction && existing.transaction
+    ? await Transaction.findById(existing.transaction)
+    : null;
+
+  if (reverseTransaction && (!transaction || transaction.status !== 'COMPLETED')) {
+    throw new AppError('No completed transaction to reverse', 400);
+  }
+
+  // Only one resolution may go through; everything below runs under it
+  const dispute = await Dispute.claimTransition(existing._id, status, req.user._id);
+
+  if (!dispute) {
+    throw new AppError('Dispute was updated in the meantime, please reload', 409);
+  }
+
+  let transactionReversed = false;
+
+  if (transaction) {
+    try {
+      await transaction.reverse(`Dispute ${dispute._id}: ${notes || status}`);
+    } catch (error) {
+      await Dispute.releaseTransition(dispute);
+      throw new AppError(error.message, 400);
+    }
+    transactionReversed = true;
+  }
+
+  // An unfinished exchange is called off; a completed one stays completed
+  // unless its money was reversed
+  const nextStatus = dispute.exchangeStatusBefore === 'COMPLETED' && !transactionReversed
+    ? 'COMPLETED'
+    : 'CANCELLED';
+
+  if (nextStatus === 'CANCELLED') {
+    await exchangeRequest.releaseWalletHold();
+
+    const linkedRequest = await ExchangeRequest.findById(exchangeRequest.linkedRequest);
+    if (linkedRequest) {
+      await linkedRequest.releaseWalletHold();
+    }
+  }
+
+  exchangeRequest.appendAdminNote(`Dispute ${status}${notes ? `: ${notes}` : ''}`);
+
+  await setExchangeStatus(exchangeRequest, nextStatus);
+
+  dispute.resolution = {
+    resolvedBy: req.user._id,
+    notes,
+    transactionReversed,
+    resolvedAt: new Date()
+  };
+  await dispute.save();
+
+  await Message.releaseHold(exchangeRequest._id);
+
+  await AuditLog.record(req, 'dispute.resolve', { type: 'Dispute', id: dispute._id }, {
+    status,
+    notes,
+    transactionReversed
+  });
+
+  logger.info('Dispute resolved', {
+    disputeId: dispute._id,
+    status,
+    transactionReversed,
+    resolverId: req.user._id
+  });
+
+  emitFromRequest(req, [dispute.openedBy, dispute.against], DISPUTE_EVENTS.RESOLVED, {
+    disputeId: dispute._id,
+    requestId: exchangeRequest._id,
+    status,
+    transactionReversed
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Dispute resolved successfully',
+    data: { dispute }
+  });
+});
+
+export default {
+  openDispute,
+  getMyDisputes,
+  getDispute,
+  getDisputeMessages,
+  addEvidence,
+  reviewDispute,
+  resolveDispute
+};
@@ -2,8 +2,24 @@ import mongoose from 'mongoose';
 import ExchangeRequest from '../models/ExchangeRequest.js';
 import Transaction from '../models/Transaction.js';
 import User from '../models/User.js';
+import FeeSchedule from '../models/FeeSchedule.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
+import { emitFromRequest, emitToRequestViewers, EXCHANGE_EVENTS } from '../utils/socketEvents.js';
+import {
+  getAllowance,
+  assertWithinLimits,
+  assertVerificationRequirements,
+  assertNotBusy,
+  assertCanTakeExchange
+} from '../utils/limits.js';
+import { proposeMatch } from '../utils/matching.js';
+import { endSharing } from '../utils/liveLocation.js';
+import {
+  scheduleRequestExpiry,
+  scheduleAcceptedTimeout,
+  cancelAcceptedTimeout
+} from '../utils/exchangeJobs.js';
 import config from '../config/config.js';
 
 // @desc    Create new exchange request
@@ -17,9 +33,13 @@ export const createExchangeRequest = asyncHandler(async (req, res) => {
     longitude, 
     expiresInMinutes,
     notes,
-    meetingPoint
+    meetingPoint,
+    autoMatch,
+    allowPartialFills
   } = req.body;
 
+  assertVerificationRequirements(req.user, amount);
+
   const existingRequest = await ExchangeRequest.findOne({
     requester: req.user._id,
     status: { $in: ['CREATED', 'ACCEPTED'] }
@@ -32,7 +52,9 @@ export const createExchangeRequest = asyncHandler(async (req, res) => {
     );
   }
 
-  if (exchangeType === 'ONLINE_TO_CASH' && req.user.wallet.balance < amount) {
+  await assertWithinLimits(req, amount, { action: 'create' });
+
+  if (exchangeType === 'ONLINE_TO_CASH' && req.user.wallet.available < amount) {
     throw new AppError('Insufficient wallet balance', 400);
   }
 
@@ -41,6 +63,8 @@ export const createExchangeRequest = asyncHandler(async (req, res) => {
     expiresAt.getMinutes() + (expiresInMinutes || config.exchange.defaultExpiryMinutes)
   );
 
+  const feeQuote = await FeeSchedule.quote(amount, exchangeType);
+
   const exchangeRequest = await ExchangeRequest.create({
     requester: req.user._id,
     amount,
@@ -51,16 +75,60 @@ export const createExchangeRequest = asyncHandler(async (req, res) => {
     },
     timeline: { expiresAt },
     notes: { requesterNotes: notes || '' },
+    // The requester's suggestion until both parties agree on a point
+    meetingPoint: meetingPoint && {
+      name: meetingPoint.name,
+      coordinates: meetingPoint.coordinates?.map(parseFloat),
+      notes: meetingPoint.notes
+    },
+    matching: { autoMatch: autoMatch === true || autoMatch === 'true' },
+    allowPartialFills: allowPartialFills === true || allowPartialFills === 'true',
     metadata: {
-      platformFee: (amount * config.exchange.platformFeePercent) / 100
+      platformFee: feeQuote.fee,
+      feeScheduleVersion: feeQuote.version
     }
   });
 
+  // Escrow the online amount until the exchange completes or is cancelled
+  if (exchangeType === 'ONLINE_TO_CASH') {
+    try {
+      await exchangeRequest.placeWalletHold(amount);
+    } catch (error) {
+      await exchangeRequest.deleteOne();
+      throw new AppError('Insufficient wallet balance', 400);
+    }
+  }
+
+  // A missed job is picked up by the hourly backstop sweep
+  await scheduleRequestExpiry(exchangeRequest).catch(error => logger.error('Failed to schedule request expiry', {
+    requestId: exchangeRequest._id,
+    error: error.message
+  }));
+
   logger.info('Exchange request created', {
     userId: req.user._id,
     requestId: exchangeRequest._id
   });
 
+  emitFromRequest(req, [req.user._id], EXCHANGE_EVENTS.CREATED, {
+    requestId: exchangeRequest._id,
+    amount: exchangeRequest.amount,
+    exchangeType: exchangeRequest.exchangeType,
+    expiresAt: exchangeRequest.timeline.expiresAt
+  });
+
+  // Matching failures must not fail the request itself
+  if (exchangeRequest.matching.autoMatch) {
+    try {
+      await proposeMatch(exchangeRequest, req.app.get('io'));
+    } catch (error) {
+      logger.error('Auto-match failed', {
+        requestId: exchangeRequest._id,
+        error: error.message
+      });
+    }
+  }
+
   res.status(201).json({
     success: true,
     message: 'Exchange request created successfully',
@@ -68,6 +136,187 @@ export const createExchangeRequest = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Edit a pending exchange request
+// @route   PATCH /api/exchange/:id
+// @access  Private (requester)
+export const updateExchangeRequest = asyncHandler(async (req, res) => {
+  const { amount, latitude, longitude, expiresInMinutes, notes, meetingPoint } = req.body;
+
+  const exchangeRequest = await ExchangeRequest.findById(req.params.id);
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  if (exchangeRequest.requester.toString() !== req.user._id.toString()) {
+    throw new AppError('Only the requester can edit this request', 403);
+  }
+
+  if (exchangeRequest.status !== 'CREATED') {
+    throw new AppError('Only pending requests can be edited', 400);
+  }
+
+  if (exchangeRequest.isExpired) {
+    throw new AppError('Request has expired', 400);
+  }
+
+  if (exchangeRequest.matching?.proposal) {
+    throw new AppError('This request has an open match proposal. Decline it before editing', 400);
+  }
+
+  const changes = {};
+  const update = {};
+
+  const track = (field, path, from, to) => {
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+      update[path] = to;
+    }
+  };
+
+  let holdDelta = 0;
+
+  if (amount !== undefined && parseFloat(amount) !== exchangeRequest.amount) {
+    const newAmount = parseFloat(amount);
+
+    if (exchangeRequest.remainingAmount < exchangeRequest.amount) {
+      throw new AppError('The amount cannot be changed once fills have been taken', 400);
+    }
+
+    assertVerificationRequirements(req.user, newAmount);
+
+    // The request's old amount is replaced by the new one
+    await assertWithinLimits(req, newAmount, {
+      action: 'edit',
+      exchangeRequest: exchangeRequest._id,
+      excludeRequestId: exchangeRequest._id
+    });
+
+    if (exchangeRequest.exchangeType === 'ONLINE_TO_CASH') {
+      holdDelta = newAmount - exchangeRequest.metadata.heldAmount;
+
+      if (holdDelta > 0 && req.user.wallet.available < holdDelta) {
+        throw new AppError('Insufficient wallet balance', 400);
+      }
+    }
+
+    const feeQuote = await FeeSchedule.quote(newAmount, exchangeRequest.exchangeType);
+
+    track('amount', 'amount', exchangeRequest.amount, newAmount);
+    update.remainingAmount = newAmount;
+    update['metadata.platformFee'] = feeQuote.fee;
+    update['metadata.feeScheduleVersion'] = feeQuote.version;
+  }
+
+  if (latitude !== undefined) {
+    track(
+      'location',
+      'location.coordinates',
+      [...exchangeRequest.location.coordinates],
+      [parseFloat(longitude), parseFloat(latitude)]
+    );
+  }
+
+  if (expiresInMinutes !== undefined) {
+    const expiresAt = new Date();
+    expiresAt.setMinutes(expiresAt.getMinutes() + parseInt(expiresInMinutes));
+    track('expiresAt', 'timeline.expiresAt', exchangeRequest.timeline.expiresAt, expiresAt);
+  }
+
+  if (notes !== undefined) {
+    track('notes', 'notes.requesterNotes', exchangeRequest.notes?.requesterNotes || '', notes);
+  }
+
+  if (meetingPoint !== undefined) {
+    const current = exchangeRequest.toObject().meetingPoint || {};
+    track('meetingPoint', 'meetingPoint', current, {
+      name: meetingPoint.name ?? current.name,
+      coordinates: meetingPoint.coordinates?.map(parseFloat) ?? current.coordinates,
+      notes: meetingPoint.notes ?? current.notes
+    });
+  }
+
+  if (!Object.keys(changes).length) {
+    return res.status(200).json({
+      success: true,
+      message: 'No changes to apply',
+      data: { exchangeRequest }
+    });
+  }
+
+  // Escrow the extra amount before the edit goes through
+  const user = holdDelta !== 0 ? await User.findById(req.user._id) : null;
+
+  if (holdDelta > 0) {
+    try {
+      await user.holdFunds(holdDelta);
+    } catch (error) {
+      throw new AppError('Insufficient wallet balance', 400);
+    }
+  }
+
+  const edit = {
+    editedBy: req.user._id,
+    changes,
+    editedAt: new Date()
+  };
+
+  // Only applies if nobody accepted, filled or proposed a match meanwhile
+  const updatedRequest = await ExchangeRequest.findOneAndUpdate(
+    {
+      _id: exchangeRequest._id,
+      status: 'CREATED',
+      remainingAmount: exchangeRequest.remainingAmount,
+      'matching.proposal': null
+    },
+    {
+      $set: update,
+      $inc: { 'metadata.heldAmount': holdDelta },
+      $push: { edits: edit }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedRequest) {
+    if (holdDelta > 0) {
+      await user.releaseHeldFunds(holdDelta);
+    }
+    throw new AppError('Request was accepted or matched meanwhile and can no longer be edited', 400);
+  }
+
+  if (holdDelta < 0) {
+    await user.releaseHeldFunds(-holdDelta);
+  }
+
+  if (changes.expiresAt) {
+    await scheduleRequestExpiry(updatedRequest);
+  }
+
+  logger.info('Exchange request edited', {
+    requestId: updatedRequest._id,
+    userId: req.user._id,
+    fields: Object.keys(changes)
+  });
+
+  const payload = {
+    requestId: updatedRequest._id,
+    changes,
+    amount: updatedRequest.amount,
+    remainingAmount: updatedRequest.remainingAmount,
+    expiresAt: updatedRequest.timeline.expiresAt,
+    editedAt: edit.editedAt
+  };
+
+  emitFromRequest(req, [req.user._id], EXCHANGE_EVENTS.UPDATED, payload);
+  emitToRequestViewers(req.app.get('io'), updatedRequest._id, EXCHANGE_EVENTS.UPDATED, payload);
+
+  res.status(200).json({
+    success: true,
+    message: 'Exchange request updated successfully',
+    data: { exchangeRequest: updatedRequest }
+  });
+});
+
 export const getNearbyRequests = asyncHandler(async (req, res) => {
   const { lat, lng, maxDistance, minAmount, maxAmount, exchangeType, page, limit } = req.query;
 
@@ -118,6 +367,8 @@ export const discoverHelpers = asyncHandler(async (req, res) => {
       myRequest: {
         _id: myRequest._id,
         amount: myRequest.amount,
+        remainingAmount: myRequest.remainingAmount,
+        allowPartialFills: myRequest.allowPartialFills,
         exchangeType: myRequest.exchangeType
       },
       helpers: result.requests,
@@ -128,18 +379,9 @@ export const discoverHelpers = asyncHandler(async (req, res) => {
 
 export const acceptExchangeRequest = asyncHandler(async (req, res) => {
   const requestId = req.params.id;
+  const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : null;
 
-  const busyCheck = await ExchangeRequest.findOne({
-    status: 'ACCEPTED',
-    $or: [
-      { requester: req.user._id },
-      { helper: req.user._id }
-    ]
-  });
-
-  if (busyCheck) {
-    throw new AppError('You already have an active exchange in progress', 400);
-  }
+  await assertNotBusy(req.user);
 
   const targetRequest = await ExchangeRequest.findById(requestId);
 
@@ -178,46 +420,79 @@ export const acceptExchangeRequest = asyncHandler(async (req, res) => {
     throw new AppError('Exchange types are not compatible', 400);
   }
 
-  if (helperRequest.amount < targetRequest.amount) {
-    throw new AppError('Your request amount is insufficient', 400);
+  // Requests taking partial fills can be served in parts (by default as much
+  // as the helper's request covers); others need one helper for all of it
+  const fillAmount = targetRequest.allowPartialFills
+    ? (amount ?? Math.min(targetRequest.remainingAmount, helperRequest.remainingAmount))
+    : targetRequest.remainingAmount;
+
+  if (!targetRequest.allowPartialFills && amount !== null && amount !== fillAmount) {
+    throw new AppError('This request must be filled in full', 400);
   }
 
-  const updatedRequest = await ExchangeRequest.findOneAndUpdate(
-    { _id: requestId, status: 'CREATED', helper: null },
-    {
-      $set: {
-        status: 'ACCEPTED',
-        helper: req.user._id,
-        'timeline.acceptedAt': new Date()
-      }
-    },
-    { new: true }
-  );
+  if (fillAmount > targetRequest.remainingAmount) {
+    throw new AppError(`Only ${targetRequest.remainingAmount} of this request is still open`, 400);
+  }
 
-  if (!updatedRequest) {
-    throw new AppError('Request already accepted by another user', 400);
+  if (helperRequest.remainingAmount < fillAmount) {
+    throw new AppError('Your request amount is insufficient', 400);
   }
 
-  const completionCode = updatedRequest.generateCompletionCode();
-  await updatedRequest.save();
+  if (fillAmount < config.exchange.minAmount) {
+    throw new AppError(`Fills must be at least ${config.exchange.minAmount}`, 400);
+  }
 
-  await ExchangeRequest.findByIdAndUpdate(helperRequest._id, {
-    status: 'ACCEPTED',
-    linkedRequest: updatedRequest._id,
-    'timeline.acceptedAt': new Date()
+  // The helper's own request is replaced by the amount actually exchanged
+  await assertCanTakeExchange(req, fillAmount, {
+    action: 'accept',
+    asHelper: true,
+    exchangeRequest: targetRequest._id,
+    ownRequestId: helperRequest._id
   });
 
+  let pairing;
+  try {
+    pairing = await targetRequest.pairWith(
+      helperRequest,
+      config.exchange.completionCodeExpiryMinutes,
+      fillAmount
+    );
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const { exchangeRequest: updatedRequest, helperRequest: linkedRequest, completionCode } = pairing;
+
+  await scheduleAcceptedTimeout(updatedRequest);
+
   logger.info('Exchange request accepted', {
     requestId: updatedRequest._id,
-    helperId: req.user._id
+    parentRequestId: updatedRequest.parentRequest,
+    helperId: req.user._id,
+    amount: fillAmount
+  });
+
+  emitFromRequest(req, [updatedRequest.requester, req.user._id], EXCHANGE_EVENTS.ACCEPTED, {
+    requestId: updatedRequest._id,
+    linkedRequestId: linkedRequest._id,
+    parentRequestId: updatedRequest.parentRequest,
+    requesterId: updatedRequest.requester,
+    helperId: req.user._id,
+    amount: updatedRequest.amount,
+    exchangeType: updatedRequest.exchangeType
+  });
+
+  // The requester hands the code over in person; the helper must not get it
+  emitFromRequest(req, [updatedRequest.requester], EXCHANGE_EVENTS.COMPLETION_CODE, {
+    requestId: updatedRequest._id,
+    completionCode
   });
 
   res.status(200).json({
     success: true,
     message: 'Request accepted successfully',
     data: {
-      exchangeRequest: updatedRequest,
-      completionCode
+      exchangeRequest: updatedRequest
     }
   });
 });
@@ -227,6 +502,7 @@ export const completeExchangeRequest = asyncHandler(async (req, res) => {
   const requestId = req.params.id;
 
   const exchangeRequest = await ExchangeRequest.findById(requestId)
+    .select('+metadata.completionCode +metadata.completionCodeExpires')
     .populate('requester')
     .populate('helper');
 
@@ -243,54 +519,148 @@ export const completeExchangeRequest = asyncHandler(async (req, res) => {
     throw new AppError('This request cannot be completed', 400);
   }
 
-  if (!exchangeRequest.verifyCompletionCode(code)) {
-    throw new AppError('Invalid completion code', 400);
+  if (exchangeRequest.isCompletionLocked) {
+    throw new AppError(
+      'Completion is locked after too many invalid codes. Ask the requester for a new code later',
+      403
+    );
+  }
+
+  const { valid, attempts, locked, lockedUntil } = await exchangeRequest.checkCompletionCode(
+    code,
+    config.exchange.completionCodeMaxAttempts,
+    config.exchange.completionLockMinutes
+  );
+
+  if (!valid) {
+
+    if (locked) {
+      logger.warn('Completion locked after invalid codes', {
+        requestId: exchangeRequest._id,
+        helperId: req.user._id,
+        attempts
+      });
+
+      emitFromRequest(
+        req,
+        [exchangeRequest.requester._id, exchangeRequest.helper._id],
+        EXCHANGE_EVENTS.COMPLETION_LOCKED,
+        { requestId: exchangeRequest._id, lockedUntil }
+      );
+
+      throw new AppError(
+        `Too many invalid completion codes. Completion is locked for ${config.exchange.completionLockMinutes} minutes`,
+        403
+      );
+    }
+
+    throw new AppError(
+      `Invalid or expired completion code. ${config.exchange.completionCodeMaxAttempts - attempts} attempts remaining`,
+      400
+    );
   }
 
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const payer = exchangeRequest.exchangeType === 'CASH_TO_ONLINE'
+    // Claim the exchange first; one withdrawn or timed out meanwhile has
+    // nothing left to complete
+    const claimed = await ExchangeRequest.findOneAndUpdate(
+      { _id: exchangeRequest._id, status: 'ACCEPTED' },
+      { $set: { status: 'COMPLETED' } },
+      { session }
+    );
+
+    if (!claimed) {
+      throw new AppError('This request cannot be completed', 400);
+    }
+
+    // The ONLINE_TO_CASH side pays online from escrow
+    const payer = exchangeRequest.exchangeType === 'ONLINE_TO_CASH'
       ? exchangeRequest.requester
       : exchangeRequest.helper;
 
-    const payee = exchangeRequest.exchangeType === 'CASH_TO_ONLINE'
+    const payee = exchangeRequest.exchangeType === 'ONLINE_TO_CASH'
       ? exchangeRequest.helper
       : exchangeRequest.requester;
 
+    const linkedRequest = await ExchangeRequest.findById(exchangeRequest.linkedRequest)
+      .session(session);
+
+    const onlineRequest = exchangeRequest.exchangeType === 'ONLINE_TO_CASH'
+      ? exchangeRequest
+      : linkedRequest;
+
+    const fromHold = !!onlineRequest &&
+      onlineRequest.metadata.heldAmount >= exchangeRequest.amount;
+
     const transaction = await Transaction.createTransaction({
       exchangeRequest: exchangeRequest._id,
       payer: payer._id,
       payee: payee._id,
       amount: exchangeRequest.amount,
       type: exchangeRequest.exchangeType,
-      platformFee: exchangeRequest.metadata.platformFee
+      platformFee: exchangeRequest.metadata.platformFee,
+      feeScheduleVersion: exchangeRequest.metadata.feeScheduleVersion,
+      fromHold
     }, session);
 
+    // Captured funds leave escrow; release any leftover hold
+    if (onlineRequest) {
+      if (fromHold) {
+        onlineRequest.metadata.heldAmount -= exchangeRequest.amount;
+      }
+      await onlineRequest.releaseWalletHold(null, session);
+    }
+
     exchangeRequest.status = 'COMPLETED';
     exchangeRequest.timeline.completedAt = new Date();
+    exchangeRequest.metadata.completionCode = undefined;
+    exchangeRequest.metadata.completionCodeExpires = undefined;
     await exchangeRequest.save({ session });
 
-    const linkedRequest = await ExchangeRequest.findById(exchangeRequest.linkedRequest);
     if (linkedRequest) {
       linkedRequest.status = 'COMPLETED';
       linkedRequest.timeline.completedAt = new Date();
       await linkedRequest.save({ session });
     }
 
-    payer.profile.completedExchanges += 1;
-    payee.profile.completedExchanges += 1;
-    await payer.save({ session });
-    await payee.save({ session });
+    await User.updateMany(
+      { _id: { $in: [payer._id, payee._id] } },
+      { $inc: { 'profile.completedExchanges': 1 } },
+      { session }
+    );
+
+    // The last fill to finish closes out its parent request
+    await ExchangeRequest.settleParent(exchangeRequest.parentRequest, session);
+    await ExchangeRequest.settleParent(linkedRequest?.parentRequest, session);
 
     await session.commitTransaction();
 
+    // The timeout job would no-op anyway; don't fail a committed completion
+    await cancelAcceptedTimeout(exchangeRequest._id).catch(error => logger.error('Failed to cancel exchange timeout', {
+      requestId: exchangeRequest._id,
+      error: error.message
+    }));
+    await endSharing(req.app.get('io'), exchangeRequest, 'COMPLETED').catch(error => logger.error('Failed to end location sharing', {
+      requestId: exchangeRequest._id,
+      error: error.message
+    }));
+
     logger.info('Exchange completed successfully', {
       requestId: exchangeRequest._id,
       transactionId: transaction._id
     });
 
+    emitFromRequest(req, [payer._id, payee._id], EXCHANGE_EVENTS.COMPLETED, {
+      requestId: exchangeRequest._id,
+      linkedRequestId: exchangeRequest.linkedRequest,
+      transactionId: transaction._id,
+      amount: transaction.amount,
+      netAmount: transaction.netAmount
+    });
+
     res.status(200).json({
       success: true,
       message: 'Exchange completed successfully',
@@ -310,7 +680,7 @@ export const completeExchangeRequest = asyncHandler(async (req, res) => {
 export const cancelExchangeRequest = asyncHandler(async (req, res) => {
   const requestId = req.params.id;
 
-  const exchangeRequest = await ExchangeRequest.findById(requestId);
+  let exchangeRequest = await ExchangeRequest.findById(requestId);
 
   if (!exchangeRequest) {
     throw new AppError('Exchange request not found', 404);
@@ -324,15 +694,27 @@ export const cancelExchangeRequest = asyncHandler(async (req, res) => {
     throw new AppError('Only pending requests can be cancelled', 400);
   }
 
-  exchangeRequest.status = 'CANCELLED';
-  exchangeRequest.timeline.cancelledAt = new Date();
-  await exchangeRequest.save();
+  // Fills already taken go ahead; only the open remainder is called off
+  if (exchangeRequest.remainingAmount < exchangeRequest.amount) {
+    exchangeRequest = await exchangeRequest.closeOpenAmount() ?? exchangeRequest;
+  } else {
+    exchangeRequest.status = 'CANCELLED';
+    exchangeRequest.timeline.cancelledAt = new Date();
+    await exchangeRequest.save();
+
+    await exchangeRequest.releaseWalletHold();
+  }
 
   logger.info('Exchange request cancelled', {
     requestId: exchangeRequest._id,
     userId: req.user._id
   });
 
+  emitFromRequest(req, [exchangeRequest.requester], EXCHANGE_EVENTS.CANCELLED, {
+    requestId: exchangeRequest._id,
+    cancelledBy: req.user._id
+  });
+
   res.status(200).json({
     success: true,
     message: 'Request cancelled successfully',
@@ -340,6 +722,160 @@ export const cancelExchangeRequest = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Issue a new completion code (e.g. after expiry or lock)
+// @route   POST /api/exchange/:id/completion-code
+// @access  Private (requester)
+export const regenerateCompletionCode = asyncHandler(async (req, res) => {
+  const exchangeRequest = await ExchangeRequest.findById(req.params.id);
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  if (exchangeRequest.requester.toString() !== req.user._id.toString()) {
+    throw new AppError('Only the requester can issue a completion code', 403);
+  }
+
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Completion codes are only issued for accepted exchanges', 400);
+  }
+
+  if (exchangeRequest.isCompletionLocked) {
+    throw new AppError('Completion is locked. Please try again later', 403);
+  }
+
+  const completionCode = exchangeRequest.generateCompletionCode(
+    config.exchange.completionCodeExpiryMinutes
+  );
+  await exchangeRequest.save();
+
+  logger.info('Completion code regenerated', {
+    requestId: exchangeRequest._id,
+    userId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'New completion code issued',
+    data: { completionCode }
+  });
+});
+
+// @desc    Withdraw from an accepted exchange (requester or helper)
+// @route   POST /api/exchange/:id/withdraw
+// @access  Private
+export const withdrawFromExchange = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const exchangeRequest = await ExchangeRequest.findPrimary(req.params.id);
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  const userId = req.user._id.toString();
+  const isRequester = exchangeRequest.requester.toString() === userId;
+  const isHelper = exchangeRequest.helper?.toString() === userId;
+
+  if (!isRequester && !isHelper) {
+    throw new AppError('Only the requester or helper can withdraw', 403);
+  }
+
+  // Claim the exchange and invalidate its completion code in one step. It
+  // leaves ACCEPTED right away, so a second withdrawal, the completion or the
+  // timeout can't act on it too; a reopened request gets its status below.
+  const claimed = await ExchangeRequest.findOneAndUpdate(
+    { _id: exchangeRequest._id, status: 'ACCEPTED' },
+    {
+      $set: { status: 'CANCELLED' },
+      $unset: { 'metadata.completionCode': 1, 'metadata.completionCodeExpires': 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new AppError('Only accepted exchanges can be withdrawn from', 400);
+  }
+
+  await cancelAcceptedTimeout(claimed._id);
+  await endSharing(req.app.get('io'), claimed, 'WITHDRAWN');
+
+  const helperRequest = await ExchangeRequest.findById(claimed.linkedRequest);
+  const participants = [claimed.requester, claimed.helper];
+
+  const withdrawal = {
+    withdrawnBy: req.user._id,
+    role: isRequester ? 'REQUESTER' : 'HELPER',
+    reason
+  };
+
+  // The withdrawing side is cancelled, the other side goes back to the pool
+  const withdrawnRequest = isRequester ? claimed : helperRequest;
+  let reopenedRequest = isRequester ? helperRequest : claimed;
+
+  if (withdrawnRequest) {
+    withdrawnRequest.status = 'CANCELLED';
+    withdrawnRequest.timeline.cancelledAt = new Date();
+    withdrawnRequest.withdrawals.push(withdrawal);
+    await withdrawnRequest.save();
+    await withdrawnRequest.releaseWalletHold();
+    await ExchangeRequest.settleParent(withdrawnRequest.parentRequest);
+  }
+
+  if (reopenedRequest?.parentRequest) {
+    // A fill can't go back to the pool itself; its amount returns to the parent
+    reopenedRequest.status = 'CANCELLED';
+    reopenedRequest.timeline.cancelledAt = new Date();
+    reopenedRequest.withdrawals.push(withdrawal);
+    await reopenedRequest.save();
+    reopenedRequest = await reopenedRequest.returnToParent();
+  } else if (reopenedRequest) {
+    reopenedRequest.helper = null;
+    reopenedRequest.linkedRequest = null;
+    reopenedRequest.timeline.acceptedAt = undefined;
+    reopenedRequest.remainingAmount = reopenedRequest.amount;
+    reopenedRequest.withdrawals.push(withdrawal);
+
+    if (reopenedRequest.isExpired) {
+      reopenedRequest.status = 'EXPIRED';
+      await reopenedRequest.save();
+      await reopenedRequest.releaseWalletHold();
+    } else {
+      reopenedRequest.status = 'CREATED';
+      await reopenedRequest.save();
+    }
+  }
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $inc: { 'profile.withdrawnExchanges': 1 }
+  });
+
+  logger.info('Exchange withdrawn', {
+    requestId: claimed._id,
+    userId: req.user._id,
+    role: withdrawal.role
+  });
+
+  emitFromRequest(req, participants, EXCHANGE_EVENTS.WITHDRAWN, {
+    requestId: claimed._id,
+    linkedRequestId: helperRequest?._id,
+    withdrawnBy: req.user._id,
+    role: withdrawal.role,
+    reason,
+    reopenedRequestId: reopenedRequest?._id,
+    reopenedStatus: reopenedRequest?.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Withdrawn from exchange successfully',
+    data: {
+      withdrawnRequest,
+      reopenedRequest
+    }
+  });
+});
+
 export const getMyRequests = asyncHandler(async (req, res) => {
   const { status, page = 1, limit = 20 } = req.query;
   const skip = (page - 1) * limit;
@@ -378,12 +914,77 @@ export const getMyRequests = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a request's fills (the child exchanges it was split into)
+// @route   GET /api/exchange/:id/fills
+// @access  Private (requester)
+export const getRequestFills = asyncHandler(async (req, res) => {
+  const exchangeRequest = await ExchangeRequest.findById(req.params.id);
+
+  if (!exchangeRequest) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  if (exchangeRequest.requester.toString() !== req.user._id.toString()) {
+    throw new AppError('Only the requester can view its fills', 403);
+  }
+
+  const fills = await ExchangeRequest.getFills(exchangeRequest._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      exchangeRequest,
+      fills,
+      filledAmount: fills
+        .filter(fill => ['ACCEPTED', 'DISPUTED', 'COMPLETED'].includes(fill.status))
+        .reduce((sum, fill) => sum + fill.amount, 0)
+    }
+  });
+});
+
+// @desc    Quote the platform fee for an exchange
+// @route   GET /api/exchange/fee-quote?amount=&exchangeType=
+// @access  Private
+export const getFeeQuote = asyncHandler(async (req, res) => {
+  const amount = parseFloat(req.query.amount);
+  const { exchangeType } = req.query;
+
+  const quote = await FeeSchedule.quote(amount, exchangeType);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      amount,
+      exchangeType,
+      ...quote
+    }
+  });
+});
+
+// @desc    Get my remaining exchange allowance
+// @route   GET /api/exchange/allowance
+// @access  Private
+export const getMyAllowance = asyncHandler(async (req, res) => {
+  const allowance = await getAllowance(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: { allowance }
+  });
+});
+
 export default {
   createExchangeRequest,
+  updateExchangeRequest,
   getNearbyRequests,
   discoverHelpers,
   acceptExchangeRequest,
   completeExchangeRequest,
   cancelExchangeRequest,
-  getMyRequests
+  regenerateCompletionCode,
+  withdrawFromExchange,
+  getMyRequests,
+  getRequestFills,
+  getFeeQuote,
+  getMyAllowance
 };
@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import KycSubmission from '../models/KycSubmission.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { matchesSignature } from '../middleware/upload.js';
+import { saveFile, getFileStream, deleteFile } from '../utils/storage.js';
+import { sendKycDecisionEmail } from '../utils/mailer.js';
+import { emitFromRequest, KYC_EVENTS } from '../utils/socketEvents.js';
+import logger from '../utils/logger.js';
+
+const FIELD_KINDS = {
+  documentFront: 'DOCUMENT_FRONT',
+  documentBack: 'DOCUMENT_BACK',
+  selfie: 'SELFIE'
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf'
+};
+
+const findSubmissionOrThrow = async (id) => {
+  const submission = await KycSubmission.findById(id)
+    .populate('user', 'name email phone verification');
+
+  if (!submission) {
+    throw new AppError('KYC submission not found', 404);
+  }
+
+  return submission;
+};
+
+// Notify the user of a review decision (socket + best-effort email)
+const notifyDecision = async (req, submission) => {
+  const event = submission.status === 'APPROVED' ? KYC_EVENTS.APPROVED : KYC_EVENTS.REJECTED;
+
+  emitFromRequest(req, [submission.user._id], event, {
+    submissionId: submission._id,
+    status: submission.status,
+    rejectionReason: submission.review.rejectionReason
+  });
+
+  try {
+    await sendKycDecisionEmail(submission.user, submission);
+  } catch (error) {
+    logger.error('Failed to send KYC decision email', {
+      submissionId: submission._id,
+      error: error.message
+    });
+  }
+};
+
+// ====================
+// USER
+// ====================
+
+// @desc    Submit identity documents for review
+// @route   POST /api/kyc
+// @access  Private
+export const submitKyc = asyncHandler(async (req, res) => {
+  const { documentType } = req.body;
+  const uploads = req.files || {};
+
+  if (req.user.verification?.isIdVerified) {
+    throw new AppError('Your identity is already verified', 400);
+  }
+
+  if (!uploads.documentFront || !uploads.selfie) {
+    throw new AppError('documentFront and selfie are required', 400);
+  }
+
+  const pending = await KycSubmission.findOne({ user: req.user._id, status: 'PENDING' });
+
+  if (pending) {
+    throw new AppError('You already have a submission under review', 400);
+  }
+
+  const files = Object.values(uploads).map(([file]) => file);
+
+  for (const file of files) {
+    if (!matchesSignature(file)) {
+      throw new AppError(`${file.fieldname} does not look like a valid ${file.mimetype} file`, 400);
+    }
+  }
+
+  const submission = new KycSubmission({
+    user: req.user._id,
+    documentType
+  });
+
+  const prefix = `kyc/${req.user._id}/${submission._id}`;
+  const storedKeys = [];
+
+  try {
+    for (const file of files) {
+      const kind = FIELD_KINDS[file.fieldname];
+      // Random component so keys can't be guessed from ids
+      const storageKey = `${prefix}/${kind.toLowerCase()}-${crypto.randomBytes(8).toString('hex')}.${EXTENSIONS[file.mimetype]}`;
+
+      await saveFile(storageKey, file.buffer, { contentType: file.mimetype });
+      storedKeys.push(storageKey);
+
+      submission.files.push({
+        kind,
+        storageKey,
+        contentType: file.mimetype,
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+      });
+    }
+
+    await submission.save();
+  } catch (error) {
+    // Don't leave orphaned documents behind
+    await Promise.all(storedKeys.map(key => deleteFile(key).catch(() => {})));
+
+    if (error.code === 11000) {
+      throw new AppError('You already have a submission under review', 400);
+    }
+    throw error;
+  }
+
+  logger.info('KYC submitted', {
+    userId: req.user._id,
+    submissionId: submission._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Documents submitted for review',
+    data: { submission }
+  });
+});
+
+// @desc    Get my KYC submissions and tier
+// @route   GET /api/kyc/me
+// @access  Private
+export const getMyKyc = asyncHandler(async (req, res) => {
+  const submissions = await KycSubmission.find({ user: req.user._id })
+    .select('-review.reviewedBy -review.notes')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      kycTier: req.user.kycTier,
+      isIdVerified: !!req.user.verification?.isIdVerified,
+      submissions
+    }
+  });
+});
+
+// ====================
+// REVIEWERS
+// ====================
+
+// @desc    List KYC submissions (review queue: oldest pending first)
+// @route   GET /api/kyc?status=PENDING
+// @access  Private (support, admin)
+export const listKycSubmissions = asyncHandler(async (req, res) => {
+  const status = req.query.status || 'PENDING';
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+
+  const query = { status };
+
+  const submissions = await KycSubmission.find(query)
+    .sort({ createdAt: status === 'PENDING' ? 1 : -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('user', 'name email');
+
+  const total = await KycSubmission.countDocuments(query);
+
+  await AuditLog.record(req, 'kyc.list', {}, { status, page });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      submissions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a KYC submission
+// @route   GET /api/kyc/:id
+// @access  Private (support, admin)
+export const getKycSubmission = asyncHandler(async (req, res) => {
+  const submission = await findSubmissionOrThrow(req.params.id);
+
+  await AuditLog.record(req, 'kyc.view', { type: 'KycSubmission', id: submission._id });
+
+  res.status(200).json({
+    success: true,
+    data: { submission }
+  });
+});
+
+// @desc    Download a submitted document
+// @route   GET /api/kyc/:id/files/:fileId
+// @access  Private (support, admin)
+export const getKycFile = asyncHandler(async (req, res) => {
+  const submission = await KycSubmission.findById(req.params.id);
+
+  if (!submission) {
+    throw new AppError('KYC submission not found', 404);
+  }
+
+  const file = submission.files.id(req.params.fileId);
+
+  if (!file) {
+    throw new AppError('File not found', 404);
+  }
+
+  let stream;
+  try {
+    stream = await getFileStream(file.storageKey);
+  } catch (error) {
+    logger.error('KYC file missing from storage', {
+      submissionId: submission._id,
+      fileId: file._id,
+      error: error.message
+    });
+    throw new AppError('File not found', 404);
+  }
+
+  await AuditLog.record(req, 'kyc.file', { type: 'KycSubmission', id: submission._id }, {
+    fileId: file._id,
+    kind: file.kind
+  });
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', 'inline');
+  res.setHeader('Cache-Control', 'no-store');
+
+  stream.on('error', (error) => {
+    logger.error('KYC file stream error', { fileId: file._id, error: error.message });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+// @desc    Approve a KYC submission (raises the user's tier)
+// @route   PUT /api/kyc/:id/approve
+// @access  Private (support, admin)
+export const approveKyc = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const pending = await findSubmissionOrThrow(req.params.id);
+
+  if (pending.status !== 'PENDING') {
+    throw new AppError('Submission has already been reviewed', 400);
+  }
+
+  const previousTier = pending.user.kycTier;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let submission;
+  try {
+    submission = await KycSubmission.claimReview(pending._id, 'APPROVED', req.user._id, { notes }, session);
+
+    if (!submission) {
+      throw new AppError('Submission has already been reviewed', 409);
+    }
+
+    await User.findByIdAndUpdate(submission.user._id, {
+      $set: {
+        'verification.isIdVerified': true,
+        'verification.idVerifiedAt': new Date()
+      }
+    }, { session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await AuditLog.record(req, 'kyc.approve', { type: 'KycSubmission', id: submission._id }, {
+    userId: submission.user._id,
+    previousTier,
+    notes
+  });
+
+  logger.info('KYC approved', {
+    submissionId: submission._id,
+    userId: submission.user._id,
+    reviewerId: req.user._id
+  });
+
+  await notifyDecision(req, submission);
+
+  res.status(200).json({
+    success: true,
+    message: 'KYC submission approved',
+    data: { submission }
+  });
+});
+
+// @desc    Reject a KYC submission
+// @route   PUT /api/kyc/:id/reject
+// @access  Private (support, admin)
+export const rejectKyc = asyncHandler(async (req, res) => {
+  const { reason, notes } = req.body;
+
+  const pending = await findSubmissionOrThrow(req.params.id);
+
+  if (pending.status !== 'PENDING') {
+    throw new AppError('Submission has already been reviewed', 400);
+  }
+
+  const submission = await KycSubmission.claimReview(pending._id, 'REJECTED', req.user._id, { reason, notes });
+
+  if (!submission) {
+    throw new AppError('Submission has already been reviewed', 409);
+  }
+
+  await AuditLog.record(req, 'kyc.reject', { type: 'KycSubmission', id: submission._id }, {
+    userId: submission.user._id,
+    reason,
+    notes
+  });
+
+  logger.info('KYC rejected', {
+    submissionId: submission._id,
+    userId: submission.user._id,
+    reviewerId: req.user._id
+  });
+
+  await notifyDecision(req, submission);
+
+  res.status(200).json({
+    success: true,
+    message: 'KYC submission rejected',
+    data: { submission }
+  });
+});
+
+export default {
+  submitKyc,
+  getMyKyc,
+  listKycSubmissions,
+  getKycSubmission,
+  getKycFile,
+  approveKyc,
+  rejectKyc
+};
@@ -0,0 +1,36 @@
+import LedgerEntry from '../models/LedgerEntry.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+// @desc    Get my wallet ledger statement
+// @route   GET /api/ledger/statement
+// @access  Private
+export const getStatement = asyncHandler(async (req, res) => {
+  const { page, limit, from, to } = req.query;
+
+  const statement = await LedgerEntry.getUserStatement(req.user._id, {
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 50,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined
+  });
+
+  // wallet.balance is a cache; the ledger is the source of truth
+  const ledgerBalance = await LedgerEntry.getUserBalance(req.user._id);
+  const cachedBalance = req.user.wallet.balance;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...statement,
+      balance: {
+        ledger: ledgerBalance,
+        cached: cachedBalance,
+        inSync: Math.abs(ledgerBalance - cachedBalance) < 0.01
+      }
+    }
+  });
+});
+
+export default {
+  getStatement
+};
@@ -0,0 +1,21 @@
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getSharing } from '../utils/liveLocation.js';
+
+// Positions themselves are sent over Socket.IO (location:start / location:update
+// / location:stop, see utils/liveLocation.js)
+
+// @desc    Get the parties' current live locations for an exchange
+// @route   GET /api/exchange/:id/live-location
+// @access  Private (requester, helper)
+export const getLiveLocation = asyncHandler(async (req, res) => {
+  const data = await getSharing(req.user._id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+export default {
+  getLiveLocation
+};
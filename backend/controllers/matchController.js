@@ -0,0 +1,125 @@
+import MatchProposal from '../models/MatchProposal.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { lockInProposal, closeProposal } from '../utils/matching.js';
+import logger from '../utils/logger.js';
+
+// Load a proposal the current user is part of
+const findProposalForUser = async (proposalId, userId) => {
+  const proposal = await MatchProposal.findById(proposalId);
+
+  if (!proposal) {
+    throw new AppError('Match proposal not found', 404);
+  }
+
+  const role = proposal.roleOf(userId);
+
+  if (!role) {
+    throw new AppError('Not authorized to access this match proposal', 403);
+  }
+
+  return { proposal, role };
+};
+
+// @desc    Get my match proposals
+// @route   GET /api/matches?status=PROPOSED
+// @access  Private
+export const getMyProposals = asyncHandler(async (req, res) => {
+  const status = req.query.status || 'PROPOSED';
+
+  const proposals = await MatchProposal.find({
+    status,
+    $or: [{ requester: req.user._id }, { helper: req.user._id }]
+  })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .populate('requester', 'name profile.rating profile.totalRatings profile.reputationScore')
+    .populate('helper', 'name profile.rating profile.totalRatings profile.reputationScore')
+    .populate('targetRequest', 'amount exchangeType location timeline.expiresAt')
+    .populate('helperRequest', 'amount exchangeType location timeline.expiresAt');
+
+  res.status(200).json({
+    success: true,
+    data: { proposals }
+  });
+});
+
+// @desc    Confirm a match proposal (locks in once both users confirm)
+// @route   POST /api/matches/:id/confirm
+// @access  Private
+export const confirmProposal = asyncHandler(async (req, res) => {
+  const { proposal, role } = await findProposalForUser(req.params.id, req.user._id);
+  const io = req.app.get('io');
+
+  if (proposal.status !== 'PROPOSED') {
+    throw new AppError(`Match proposal is ${proposal.status.toLowerCase()}`, 400);
+  }
+
+  if (proposal.expiresAt < new Date()) {
+    await closeProposal(proposal, 'EXPIRED', io);
+    throw new AppError('Match proposal has expired', 400);
+  }
+
+  let updated = await MatchProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'PROPOSED' },
+    { $set: { [`confirmations.${role}`]: new Date() } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('Match proposal is no longer open', 400);
+  }
+
+  logger.info('Match proposal confirmed by user', {
+    proposalId: proposal._id,
+    userId: req.user._id,
+    role
+  });
+
+  if (updated.isConfirmedByBoth) {
+    await lockInProposal(updated, io);
+    updated = await MatchProposal.findById(proposal._id);
+  }
+
+  const messages = {
+    PROPOSED: 'Waiting for the other user to confirm',
+    CONFIRMED: 'Match confirmed. The exchange is now accepted',
+    FAILED: `Match could not be completed: ${updated.failureReason}`
+  };
+
+  res.status(200).json({
+    success: true,
+    message: messages[updated.status] || 'Match proposal updated',
+    data: { proposal: updated }
+  });
+});
+
+// @desc    Decline a match proposal
+// @route   POST /api/matches/:id/decline
+// @access  Private
+export const declineProposal = asyncHandler(async (req, res) => {
+  const { proposal } = await findProposalForUser(req.params.id, req.user._id);
+
+  if (proposal.status !== 'PROPOSED') {
+    throw new AppError(`Match proposal is ${proposal.status.toLowerCase()}`, 400);
+  }
+
+  const closed = await closeProposal(proposal, 'DECLINED', req.app.get('io'), {
+    declinedBy: req.user._id
+  });
+
+  if (!closed) {
+    throw new AppError('Match proposal is no longer open', 400);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Match proposal declined',
+    data: { proposal: closed }
+  });
+});
+
+export default {
+  getMyProposals,
+  confirmProposal,
+  declineProposal
+};
@@ -0,0 +1,180 @@
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { emitFromRequest, EXCHANGE_EVENTS } from '../utils/socketEvents.js';
+import { distanceInMeters } from '../utils/geo.js';
+import logger from '../utils/logger.js';
+
+// Load the primary (accepted) request for either party's request id and
+// make sure the user is one of its parties
+const findExchangeForParty = async (requestId, userId) => {
+  const exchangeRequest = await ExchangeRequest.findPrimary(requestId);
+
+  if (!exchangeRequest || !exchangeRequest.helper) {
+    throw new AppError('Exchange not found', 404);
+  }
+
+  const isParty = [exchangeRequest.requester, exchangeRequest.helper]
+    .some(id => id.toString() === userId.toString());
+
+  if (!isParty) {
+    throw new AppError('Only the exchange parties can negotiate the meeting point', 403);
+  }
+
+  return exchangeRequest;
+};
+
+// Distance in meters from each party's current location to a point
+const distancesTo = (point, parties) => {
+  if (point?.coordinates?.length !== 2) return null;
+
+  const distanceFrom = (user) => user?.location?.coordinates?.length === 2
+    ? distanceInMeters(user.location.coordinates, point.coordinates)
+    : null;
+
+  return {
+    requester: distanceFrom(parties.requester),
+    helper: distanceFrom(parties.helper)
+  };
+};
+
+// Agreed point, open proposal and history, with each party's distance
+const meetingPointView = async (exchangeRequest) => {
+  const users = await User.find({
+    _id: { $in: [exchangeRequest.requester, exchangeRequest.helper] }
+  }).select('location');
+
+  const byId = new Map(users.map(u => [u._id.toString(), u]));
+  const parties = {
+    requester: byId.get(exchangeRequest.requester.toString()),
+    helper: byId.get(exchangeRequest.helper.toString())
+  };
+
+  const meetingPoint = exchangeRequest.meetingPoint?.coordinates?.length === 2
+    ? exchangeRequest.meetingPoint
+    : null;
+  const proposal = exchangeRequest.openMeetingPointProposal;
+
+  return {
+    requestId: exchangeRequest._id,
+    meetingPoint,
+    agreed: !!meetingPoint?.agreedAt,
+    proposal,
+    history: exchangeRequest.meetingPointProposals,
+    distances: {
+      meetingPoint: distancesTo(meetingPoint, parties),
+      proposal: distancesTo(proposal, parties)
+    }
+  };
+};
+
+// @desc    Get the meeting point, open proposal and negotiation history
+// @route   GET /api/exchange/:id/meeting-point
+// @access  Private (requester, helper)
+export const getMeetingPoint = asyncHandler(async (req, res) => {
+  const exchangeRequest = await findExchangeForParty(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: await meetingPointView(exchangeRequest)
+  });
+});
+
+// @desc    Propose (or counter-propose) a meeting point
+// @route   POST /api/exchange/:id/meeting-point
+// @access  Private (requester, helper)
+export const proposeMeetingPoint = asyncHandler(async (req, res) => {
+  const { name, coordinates, notes } = req.body;
+
+  const exchangeRequest = await findExchangeForParty(req.params.id, req.user._id);
+
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Meeting points can only be negotiated for accepted exchanges', 400);
+  }
+
+  const { proposal, countered } = exchangeRequest.proposeMeetingPoint(req.user._id, {
+    name,
+    coordinates: coordinates.map(parseFloat),
+    notes
+  });
+  await exchangeRequest.save();
+
+  logger.info('Meeting point proposed', {
+    requestId: exchangeRequest._id,
+    userId: req.user._id,
+    countered
+  });
+
+  const view = await meetingPointView(exchangeRequest);
+
+  emitFromRequest(
+    req,
+    [exchangeRequest.requester, exchangeRequest.helper],
+    EXCHANGE_EVENTS.MEETING_POINT_PROPOSED,
+    {
+      requestId: exchangeRequest._id,
+      proposal,
+      countered,
+      distances: view.distances.proposal
+    }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: countered ? 'Counter-proposal sent' : 'Meeting point proposed',
+    data: view
+  });
+});
+
+// @desc    Accept the other party's meeting point proposal
+// @route   POST /api/exchange/:id/meeting-point/accept
+// @access  Private (requester, helper)
+export const acceptMeetingPoint = asyncHandler(async (req, res) => {
+  const exchangeRequest = await findExchangeForParty(req.params.id, req.user._id);
+
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Meeting points can only be negotiated for accepted exchanges', 400);
+  }
+
+  try {
+    exchangeRequest.acceptMeetingPoint(req.user._id);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  await exchangeRequest.save();
+
+  // Both linked requests carry the agreed point
+  await ExchangeRequest.findByIdAndUpdate(exchangeRequest.linkedRequest, {
+    $set: { meetingPoint: exchangeRequest.meetingPoint.toObject() }
+  });
+
+  logger.info('Meeting point agreed', {
+    requestId: exchangeRequest._id,
+    userId: req.user._id
+  });
+
+  const view = await meetingPointView(exchangeRequest);
+
+  emitFromRequest(
+    req,
+    [exchangeRequest.requester, exchangeRequest.helper],
+    EXCHANGE_EVENTS.MEETING_POINT_AGREED,
+    {
+      requestId: exchangeRequest._id,
+      meetingPoint: view.meetingPoint,
+      distances: view.distances.meetingPoint
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Meeting point agreed',
+    data: view
+  });
+});
+
+export default {
+  getMeetingPoint,
+  proposeMeetingPoint,
+  acceptMeetingPoint
+};
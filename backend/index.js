@@ -11,19 +11,42 @@ import { Server } from 'socket.io';
 import config from './config/config.js';
 import connectDB from './config/db.js';
 import logger from './utils/logger.js';
+import { userRoom } from './utils/socketEvents.js';
+import { expireProposals } from './utils/matching.js';
+import { startScheduler, stopScheduler } from './utils/scheduler.js';
+import { registerExchangeJobs, expireOverdueRequests } from './utils/exchangeJobs.js';
+import { registerRatingJobs, revealOverdueRatings } from './utils/ratingJobs.js';
+import { registerLiveLocationHandlers } from './utils/liveLocation.js';
+import { registerRequestWatchHandlers } from './utils/requestWatch.js';
+import { assertMailTransport } from './utils/mailer.js';
+import { assertSmsProvider } from './utils/sms.js';
 
 // Middleware
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { apiLimiter } from './middleware/rateLimiter.js';
+import { socketAuth } from './middleware/socketAuth.js';
 
 // Routes
 import authRoutes from './routes/authRoutes.js';
 import exchangeRoutes from './routes/exchangeRoutes.js';
 import transactionRoutes from './routes/transactionRoutes.js';
 import ratingRoutes from './routes/ratingRoutes.js';
+import disputeRoutes from './routes/disputeRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import ledgerRoutes from './routes/ledgerRoutes.js';
+import kycRoutes from './routes/kycRoutes.js';
+import matchRoutes from './routes/matchRoutes.js';
 import testRoutes from './routes/testRoutes.js';
 // Models
 import ExchangeRequest from './models/ExchangeRequest.js';
+import ReconciliationReport from './models/ReconciliationReport.js';
+import Rating from './models/Rating.js';
+import Migration from './models/Migration.js';
+import revealLegacyRatings from './migrations/002-reveal-legacy-ratings.js';
+
+// Refuse to start with development-only delivery in production
+assertMailTransport();
+assertSmsProvider();
 
 // Initialize Express app
 const app = express();
@@ -84,18 +107,25 @@ if (config.env === 'development') {
 // SOCKET.IO SETUP
 // ====================
 
+// Authenticate sockets with the same access token as the REST API
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-  logger.info('Socket connected', { socketId: socket.id });
+  const userId = socket.user._id.toString();
 
   // Join user to their personal room
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    logger.info('User joined room', { userId, socketId: socket.id });
-  });
+  socket.join(userRoom(userId));
+  logger.info('Socket connected', { socketId: socket.id, userId });
+
+  // Viewers of an exchange request get its live updates (e.g. edits)
+  registerRequestWatchHandlers(socket);
+
+  // Live location sharing between the parties of an accepted exchange
+  registerLiveLocationHandlers(io, socket);
 
   // Handle disconnect
   socket.on('disconnect', () => {
-    logger.info('Socket disconnected', { socketId: socket.id });
+    logger.info('Socket disconnected', { socketId: socket.id, userId });
   });
 });
 
@@ -124,6 +154,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/exchange', exchangeRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/ratings', ratingRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/matches', matchRoutes);
 app.use('/api/test', testRoutes); // Added test routes for development
 
 // API documentation route
@@ -136,7 +171,12 @@ app.get('/api', (req, res) => {
       auth: '/api/auth',
       exchange: '/api/exchange',
       transactions: '/api/transactions',
-      ratings: '/api/ratings'
+      ratings: '/api/ratings',
+      disputes: '/api/disputes',
+      admin: '/api/admin',
+      ledger: '/api/ledger',
+      kyc: '/api/kyc',
+      matches: '/api/matches'
     },
     documentation: 'See README.md for full API documentation'
   });
@@ -156,25 +196,42 @@ app.use(errorHandler);
 // CRON JOBS
 // ====================
 
-// Expire old exchange requests (runs every hour)
+// Backstop for requests that missed their expiry job (runs every hour).
+// Expiry itself is scheduled per request (see SCHEDULED JOBS below).
 cron.schedule('0 * * * *', async () => {
   try {
-    const result = await ExchangeRequest.updateMany(
-      {
-        status: 'CREATED',
-        'timeline.expiresAt': { $lte: new Date() }
-      },
-      {
-        $set: { status: 'EXPIRED' }
-      }
-    );
+    const count = await expireOverdueRequests(io);
 
     logger.info('Expired requests updated', {
-      count: result.modifiedCount
+      count
     });
   } catch (error) {
     logger.error('Error in expiry cron job:', error);
   }
+
+  // Same for ratings whose reveal job was missed
+  try {
+    const count = await revealOverdueRatings(io);
+
+    if (count) {
+      logger.info('Overdue ratings revealed', { count });
+    }
+  } catch (error) {
+    logger.error('Error in rating reveal cron job:', error);
+  }
+});
+
+// Expire unconfirmed auto-match proposals (runs every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    const count = await expireProposals(io);
+
+    if (count > 0) {
+      logger.info('Match proposals expired', { count });
+    }
+  } catch (error) {
+    logger.error('Error in match proposal cron job:', error);
+  }
 });
 
 // Cleanup very old completed/cancelled requests (runs daily at 2 AM)
@@ -196,6 +253,61 @@ cron.schedule('0 2 * * *', async () => {
   }
 });
 
+// Reconcile wallet balances against transactions and ledger (runs daily at 3 AM)
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const report = await ReconciliationReport.run();
+
+    const summary = {
+      reportId: report._id,
+      status: report.status,
+      usersChecked: report.usersChecked,
+      mismatchCount: report.mismatchCount,
+      error: report.error
+    };
+
+    if (report.status === 'OK') {
+      logger.info('Wallet reconciliation finished', summary);
+    } else {
+      logger.error('Wallet reconciliation found problems', summary);
+    }
+  } catch (error) {
+    logger.error('Error in reconciliation cron job:', error);
+  }
+});
+
+// Rebuild every profile's rating stats from the Rating collection (runs
+// daily at 4 AM). Reputation scores decay over time, and this also drops
+// ratings that were hidden or deleted. Skipped until legacy ratings are
+// backfilled: without revealedAt they don't count, and their profiles
+// would be zeroed.
+cron.schedule('0 4 * * *', async () => {
+  try {
+    if (!(await Migration.hasRun(revealLegacyRatings.name))) {
+      logger.warn('Rating recompute skipped: run `npm run migrate` to backfill legacy ratings', {
+        migration: revealLegacyRatings.name
+      });
+      return;
+    }
+
+    const count = await Rating.recomputeAllProfiles();
+
+    logger.info('Profile ratings recomputed', { count });
+  } catch (error) {
+    logger.error('Error in rating recompute cron job:', error);
+  }
+});
+
+// ====================
+// SCHEDULED JOBS
+// ====================
+
+// Per-request delayed jobs (request expiry, accepted exchange timeouts,
+// rating reveals), persisted in MongoDB so they survive restarts
+registerExchangeJobs();
+registerRatingJobs();
+startScheduler({ io });
+
 // ====================
 // START SERVER
 // ====================
@@ -223,6 +335,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -27,7 +27,7 @@ export const protect = async (req, res, next) => {
 
     // Get user from database (exclude sensitive fields)
     const user = await User.findById(decoded.id)
-      .select('-password -refreshTokens -verification');
+      .select('-password -refreshTokens');
 
     if (!user) {
       return res.status(401).json({
@@ -81,7 +81,7 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = verifyAccessToken(token);
       const user = await User.findById(decoded.id)
-        .select('-password -refreshTokens -verification');
+        .select('-password -refreshTokens');
 
       if (user && user.isActive) {
         req.user = user;
@@ -28,6 +28,12 @@ export const errorHandler = (err, req, res, next) => {
     userId: req.user?._id
   });
 
+  // A streamed response (e.g. statement export) failed mid-way; we can
+  // no longer send JSON, so let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Invalid ID format';
@@ -58,6 +64,11 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError('Token expired', 401);
   }
 
+  // File upload errors (size, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    error = new AppError(err.message, 400);
+  }
+
   // Send error response
   res.status(error.statusCode).json({
     success: false,
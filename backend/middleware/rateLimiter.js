@@ -25,6 +25,39 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true // Don't count successful requests
 });
 
+// Rate limiter for emails (verification, password reset)
+export const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3, // 3 emails per window
+  message: {
+    success: false,
+    message: 'Too many email requests, please try again after 15 minutes'
+  },
+  skipSuccessfulRequests: false
+});
+
+// Rate limiter for SMS OTPs (per-user cooldown is enforced separately)
+export const smsLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 SMS per hour
+  message: {
+    success: false,
+    message: 'Too many verification codes requested, please try again later'
+  },
+  skipSuccessfulRequests: false
+});
+
+// Rate limiter for statement exports (these scan a user's full history)
+export const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 exports per hour
+  message: {
+    success: false,
+    message: 'Too many statement exports, please try again later'
+  },
+  skipSuccessfulRequests: false
+});
+
 // Rate limiter for exchange creation
 export const exchangeCreationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -47,9 +80,25 @@ export const acceptLimiter = rateLimit({
   skipSuccessfulRequests: true
 });
 
+// Rate limiter for chat messages (per user; runs after `protect`)
+export const chatMessageLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: config.chat.rateLimitPerMinute, // 20 messages per minute
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'You are sending messages too quickly, please slow down'
+  },
+  skipSuccessfulRequests: false
+});
+
 export default {
   apiLimiter,
   authLimiter,
+  emailLimiter,
+  smsLimiter,
+  exportLimiter,
   exchangeCreationLimiter,
-  acceptLimiter
+  acceptLimiter,
+  chatMessageLimiter
 };
@@ -0,0 +1,48 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/generateToken.js';
+import logger from '../utils/logger.js';
+
+// Socket.IO handshake auth - same checks as `protect`
+export const socketAuth = async (socket, next) => {
+  try {
+    let token = socket.handshake.auth?.token;
+
+    // Fall back to Authorization header (non-browser clients)
+    const header = socket.handshake.headers?.authorization;
+    if (!token && header && header.startsWith('Bearer')) {
+      token = header.split(' ')[1];
+    }
+
+    if (!token) {
+      return next(new Error('Not authorized. No token provided'));
+    }
+
+    const decoded = verifyAccessToken(token);
+
+    const user = await User.findById(decoded.id)
+      .select('-password -refreshTokens');
+
+    if (!user) {
+      return next(new Error('User not found. Token invalid'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account has been deactivated. Please contact support'));
+    }
+
+    if (user.isLocked) {
+      return next(new Error('Account is temporarily locked due to multiple failed login attempts'));
+    }
+
+    // Attach user to socket
+    socket.user = user;
+
+    next();
+  } catch (error) {
+    logger.error('Socket auth error:', { error: error.message });
+
+    next(new Error('Not authorized. Invalid token'));
+  }
+};
+
+export default socketAuth;
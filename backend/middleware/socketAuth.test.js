@@ -0,0 +1,97 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import User from '../models/User.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+import { socketAuth } from './socketAuth.js';
+import { emitToUsers, userRoom, EXCHANGE_EVENTS } from '../utils/socketEvents.js';
+
+// Run the handshake middleware and resolve with the error passed to next
+const handshake = (socket) => new Promise(resolve => socketAuth(socket, resolve));
+
+describe('socketAuth', () => {
+  let user;
+  let token;
+
+  beforeEach(() => {
+    user = User.hydrate({ _id: new User()._id, name: 'Asha Rao', isActive: true });
+    token = generateAccessToken(user._id.toString());
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('attaches the user for a token in the handshake auth', async () => {
+    const socket = { handshake: { auth: { token } } };
+
+    expect(await handshake(socket)).toBeUndefined();
+    expect(socket.user).toBe(user);
+    expect(User.findById).toHaveBeenCalledWith(user._id.toString());
+  });
+
+  it('accepts a bearer token in the Authorization header', async () => {
+    const socket = { handshake: { headers: { authorization: `Bearer ${token}` } } };
+
+    expect(await handshake(socket)).toBeUndefined();
+    expect(socket.user).toBe(user);
+  });
+
+  it('rejects a handshake without a token', async () => {
+    const error = await handshake({ handshake: { auth: {}, headers: {} } });
+
+    expect(error.message).toBe('Not authorized. No token provided');
+  });
+
+  it('rejects an invalid token', async () => {
+    const error = await handshake({ handshake: { auth: { token: 'not-a-token' } } });
+
+    expect(error.message).toBe('Not authorized. Invalid token');
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it('rejects deactivated and locked accounts', async () => {
+    user.isActive = false;
+    expect((await handshake({ handshake: { auth: { token } } })).message)
+      .toBe('Account has been deactivated. Please contact support');
+
+    user.isActive = true;
+    user.lockUntil = Date.now() + 60 * 1000;
+    expect((await handshake({ handshake: { auth: { token } } })).message)
+      .toMatch(/temporarily locked/);
+  });
+
+  it('rejects a token for a user that no longer exists', async () => {
+    user = null;
+
+    const error = await handshake({ handshake: { auth: { token } } });
+
+    expect(error.message).toBe('User not found. Token invalid');
+  });
+});
+
+describe('emitToUsers', () => {
+  it('emits once to each distinct user room', () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const requester = new User()._id;
+    const helper = { _id: new User()._id };
+
+    emitToUsers(io, [requester, helper, requester.toString(), null], EXCHANGE_EVENTS.ACCEPTED, { id: 1 });
+
+    expect(io.to).toHaveBeenCalledWith([userRoom(requester), userRoom(helper._id)]);
+    expect(emit).toHaveBeenCalledWith(EXCHANGE_EVENTS.ACCEPTED, expect.objectContaining({
+      type: EXCHANGE_EVENTS.ACCEPTED,
+      data: { id: 1 }
+    }));
+  });
+
+  it('does nothing without a socket server or recipients', () => {
+    const io = { to: jest.fn() };
+
+    emitToUsers(null, [new User()._id], EXCHANGE_EVENTS.CREATED, {});
+    emitToUsers(io, [null], EXCHANGE_EVENTS.CREATED, {});
+
+    expect(io.to).not.toHaveBeenCalled();
+  });
+});
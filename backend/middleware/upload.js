@@ -0,0 +1,46 @@
+import multer from 'multer';
+import config from '../config/config.js';
+import { AppError } from './errorHandler.js';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const DOCUMENT_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+// Leading bytes of each allowed type - the client's mimetype isn't trusted
+const SIGNATURES = {
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'application/pdf': [0x25, 0x50, 0x44, 0x46]
+};
+
+export const matchesSignature = (file) => {
+  const signature = SIGNATURES[file.mimetype];
+  return !!signature && signature.every((byte, i) => file.buffer[i] === byte);
+};
+
+// KYC uploads: ID document (front, optional back) and a selfie.
+// Kept in memory and handed to the storage driver by the controller.
+export const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.kyc.maxFileSizeMB * 1024 * 1024,
+    files: 3
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'selfie' ? IMAGE_TYPES : DOCUMENT_TYPES;
+
+    if (!allowed.includes(file.mimetype)) {
+      return cb(new AppError(`${file.fieldname} must be one of: ${allowed.join(', ')}`, 400));
+    }
+
+    cb(null, true);
+  }
+}).fields([
+  { name: 'documentFront', maxCount: 1 },
+  { name: 'documentBack', maxCount: 1 },
+  { name: 'selfie', maxCount: 1 }
+]);
+
+export default {
+  kycUpload,
+  matchesSignature
+};
@@ -73,33 +73,192 @@ export const validateLogin = [
   validate
 ];
 
-// Exchange request validation
-export const validateExchangeRequest = [
-  body('amount')
+// Email-only validation (forgot password)
+export const validateEmail = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  validate
+];
+
+// Emailed token validation
+export const validateEmailToken = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid or malformed token'),
+  
+  validate
+];
+
+// Password reset validation
+export const validatePasswordReset = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid or malformed token'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  
+  validate
+];
+
+// Phone OTP send validation
+export const validatePhoneOtpSend = [
+  body('phone')
+    .optional()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone number must be exactly 10 digits'),
+  
+  validate
+];
+
+// Phone OTP confirm validation
+export const validatePhoneOtpConfirm = [
+  body('code')
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Verification code must be a 6-digit number'),
+  
+  validate
+];
+
+// Meeting point fields ({ name, coordinates: [lng, lat], notes }) under `prefix`
+const meetingPointRules = (prefix = '') => [
+  body(`${prefix}name`)
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Meeting point name must be between 1 and 100 characters'),
+  
+  body(`${prefix}coordinates`)
+    .optional()
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Meeting point coordinates must be [longitude, latitude]'),
+  
+  body(`${prefix}coordinates[0]`)
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Meeting point longitude must be between -180 and 180'),
+  
+  body(`${prefix}coordinates[1]`)
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Meeting point latitude must be between -90 and 90'),
+  
+  body(`${prefix}notes`)
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Meeting point notes cannot exceed 500 characters')
+];
+
+// Exchange request field rules, shared by create and edit
+const exchangeRequestRules = {
+  amount: () => body('amount')
     .isFloat({ min: config.exchange.minAmount, max: config.exchange.maxAmount })
     .withMessage(`Amount must be between ${config.exchange.minAmount} and ${config.exchange.maxAmount}`),
   
-  body('exchangeType')
-    .isIn(['CASH_TO_ONLINE', 'ONLINE_TO_CASH'])
-    .withMessage('Exchange type must be either CASH_TO_ONLINE or ONLINE_TO_CASH'),
-  
-  body('latitude')
+  latitude: () => body('latitude')
     .isFloat({ min: -90, max: 90 })
     .withMessage('Latitude must be between -90 and 90'),
   
-  body('longitude')
+  longitude: () => body('longitude')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitude must be between -180 and 180'),
   
-  body('expiresInMinutes')
+  expiresInMinutes: () => body('expiresInMinutes')
     .optional()
     .isInt({ min: 5, max: 1440 })
     .withMessage('Expiry time must be between 5 minutes and 24 hours'),
   
-  body('notes')
+  notes: () => body('notes')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters'),
+    .withMessage('Notes cannot exceed 500 characters')
+};
+
+// Exchange request validation
+export const validateExchangeRequest = [
+  exchangeRequestRules.amount(),
+  
+  body('exchangeType')
+    .isIn(['CASH_TO_ONLINE', 'ONLINE_TO_CASH'])
+    .withMessage('Exchange type must be either CASH_TO_ONLINE or ONLINE_TO_CASH'),
+  
+  exchangeRequestRules.latitude(),
+  exchangeRequestRules.longitude(),
+  exchangeRequestRules.expiresInMinutes(),
+  exchangeRequestRules.notes(),
+  
+  body('autoMatch')
+    .optional()
+    .isBoolean()
+    .withMessage('autoMatch must be a boolean'),
+  
+  body('allowPartialFills')
+    .optional()
+    .isBoolean()
+    .withMessage('allowPartialFills must be a boolean'),
+  
+  ...meetingPointRules('meetingPoint.'),
+  
+  validate
+];
+
+// Exchange request edit validation (same rules, every field optional)
+export const validateExchangeRequestUpdate = [
+  exchangeRequestRules.amount().optional(),
+  
+  body('exchangeType')
+    .not()
+    .exists()
+    .withMessage('Exchange type cannot be changed. Cancel and create a new request instead'),
+  
+  exchangeRequestRules.latitude().optional(),
+  exchangeRequestRules.longitude().optional(),
+  
+  body('longitude')
+    .custom((value, { req }) => (value === undefined) === (req.body.latitude === undefined))
+    .withMessage('Latitude and longitude must be updated together'),
+  
+  exchangeRequestRules.expiresInMinutes(),
+  exchangeRequestRules.notes(),
+  
+  ...meetingPointRules('meetingPoint.'),
+  
+  body()
+    .custom(value => ['amount', 'latitude', 'expiresInMinutes', 'notes', 'meetingPoint']
+      .some(field => value[field] !== undefined))
+    .withMessage('Nothing to update'),
+  
+  validate
+];
+
+// Meeting point proposal validation
+export const validateMeetingPointProposal = [
+  body('name')
+    .exists()
+    .withMessage('Meeting point name is required'),
+  
+  body('coordinates')
+    .exists()
+    .withMessage('Meeting point coordinates are required'),
+  
+  ...meetingPointRules(),
+  
+  validate
+];
+
+// Accept validation (optional fill amount for partial fills)
+export const validateAcceptRequest = [
+  body('amount')
+    .optional()
+    .isFloat({ min: config.exchange.minAmount, max: config.exchange.maxAmount })
+    .withMessage(`Amount must be between ${config.exchange.minAmount} and ${config.exchange.maxAmount}`),
   
   validate
 ];
@@ -204,6 +363,26 @@ export const validateRating = [
   validate
 ];
 
+// Rating response validation
+export const validateRatingResponse = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Response must be between 1 and 500 characters'),
+  
+  validate
+];
+
+// Rating report and moderation reason validation
+export const validateRatingReason = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  
+  validate
+];
+
 // Completion code validation
 export const validateCompletionCode = [
   body('code')
@@ -213,6 +392,350 @@ export const validateCompletionCode = [
   validate
 ];
 
+// Withdrawal validation
+export const validateWithdrawal = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  
+  validate
+];
+
+// Chat message validation
+export const validateChatMessage = [
+  body('body')
+    .isString()
+    .withMessage('Message must be text')
+    .trim()
+    .isLength({ min: 1, max: config.chat.maxMessageLength })
+    .withMessage(`Message must be between 1 and ${config.chat.maxMessageLength} characters`),
+  
+  validate
+];
+
+export const validateChatQuery = [
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before must be an ISO 8601 date'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  validate
+];
+
+export const validateContactSharing = [
+  body('share')
+    .isBoolean()
+    .withMessage('share must be a boolean'),
+  
+  validate
+];
+
+// Dispute validation
+export const validateDispute = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+  
+  body('evidence')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Evidence cannot exceed 2000 characters'),
+  
+  validate
+];
+
+// Dispute evidence validation
+export const validateDisputeEvidence = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Evidence must be between 1 and 2000 characters'),
+  
+  validate
+];
+
+// Dispute resolution validation
+export const validateDisputeResolution = [
+  body('outcome')
+    .isIn(['REQUESTER', 'HELPER'])
+    .withMessage('Outcome must be either REQUESTER or HELPER'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  body('reverseTransaction')
+    .optional()
+    .isBoolean()
+    .withMessage('reverseTransaction must be a boolean'),
+  
+  validate
+];
+
+// KYC validation
+export const validateKycSubmission = [
+  body('documentType')
+    .isIn(['PASSPORT', 'NATIONAL_ID', 'DRIVING_LICENSE'])
+    .withMessage('Document type must be PASSPORT, NATIONAL_ID or DRIVING_LICENSE'),
+  
+  validate
+];
+
+export const validateKycApproval = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  validate
+];
+
+export const validateKycRejection = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Rejection reason must be between 3 and 500 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  
+  validate
+];
+
+// Transaction reversal validation
+export const validateReversal = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  
+  validate
+];
+
+// Partial refund validation
+export const validateRefund = [
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  
+  body('source')
+    .isIn(['PLATFORM_FEE', 'PAYEE'])
+    .withMessage('Source must be either PLATFORM_FEE or PAYEE'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  
+  validate
+];
+
+// Admin list query validation
+export const validateAdminListQuery = [
+  query('role')
+    .optional()
+    .isIn(['user', 'support', 'admin'])
+    .withMessage('Invalid role'),
+  
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  query(['userId', 'actor', 'targetId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  validate
+];
+
+// Role update validation
+export const validateRoleUpdate = [
+  body('role')
+    .isIn(['user', 'support', 'admin'])
+    .withMessage('Role must be user, support or admin'),
+  
+  validate
+];
+
+// Admin note validation
+export const validateAdminNote = [
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Note must be between 1 and 500 characters'),
+  
+  validate
+];
+
+// Fee schedule validation (create and draft edits)
+export const validateFeeSchedule = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('defaultPercent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('defaultPercent must be between 0 and 100'),
+  
+  body('tiers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('tiers must be an array of at most 20 tiers'),
+  
+  body('tiers.*.exchangeType')
+    .optional({ nullable: true })
+    .isIn(['CASH_TO_ONLINE', 'ONLINE_TO_CASH'])
+    .withMessage('Invalid tier exchange type'),
+  
+  body('tiers.*.minAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Tier minAmount must be 0 or more'),
+  
+  body('tiers.*.maxAmount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Tier maxAmount must be 0 or more'),
+  
+  body('tiers.*.percent')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tier percent must be between 0 and 100'),
+  
+  body('minFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minFee must be 0 or more'),
+  
+  body('maxFee')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('maxFee must be 0 or more'),
+  
+  body('promotions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('promotions must be an array of at most 20 promotions'),
+  
+  body('promotions.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Promotion name must be between 1 and 100 characters'),
+  
+  body('promotions.*.exchangeType')
+    .optional({ nullable: true })
+    .isIn(['CASH_TO_ONLINE', 'ONLINE_TO_CASH'])
+    .withMessage('Invalid promotion exchange type'),
+  
+  body('promotions.*.startsAt')
+    .isISO8601()
+    .withMessage('Promotion startsAt must be an ISO 8601 date'),
+  
+  body('promotions.*.endsAt')
+    .isISO8601()
+    .withMessage('Promotion endsAt must be an ISO 8601 date'),
+  
+  validate
+];
+
+// Fee preview validation
+export const validateFeeQuote = [
+  query('amount')
+    .isFloat({ min: config.exchange.minAmount, max: config.exchange.maxAmount })
+    .withMessage(`Amount must be between ${config.exchange.minAmount} and ${config.exchange.maxAmount}`),
+  
+  query('exchangeType')
+    .isIn(['CASH_TO_ONLINE', 'ONLINE_TO_CASH'])
+    .withMessage('Exchange type must be either CASH_TO_ONLINE or ONLINE_TO_CASH'),
+  
+  validate
+];
+
+// Statement query validation (date range + pagination)
+export const validateStatementQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  validate
+];
+
+// Statement export validation
+export const validateCsvExport = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) <= new Date(req.query.from)) {
+        throw new Error('to must be after from');
+      }
+      return true;
+    }),
+  
+  validate
+];
+
+export const validateMonthlyStatement = [
+  query('month')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be in YYYY-MM format')
+    .custom((value) => {
+      if (new Date(`${value}-01T00:00:00Z`) > new Date()) {
+        throw new Error('month cannot be in the future');
+      }
+      return true;
+    }),
+  
+  validate
+];
+
 // Wallet operations validation
 export const validateWalletOperation = [
   body('amount')
@@ -226,11 +749,41 @@ export default {
   validate,
   validateRegistration,
   validateLogin,
+  validateEmail,
+  validateEmailToken,
+  validatePasswordReset,
+  validatePhoneOtpSend,
+  validatePhoneOtpConfirm,
   validateExchangeRequest,
+  validateExchangeRequestUpdate,
+  validateMeetingPointProposal,
+  validateAcceptRequest,
   validateLocationUpdate,
   validateNearbyQuery,
   validateObjectId,
   validateRating,
+  validateRatingResponse,
+  validateRatingReason,
   validateCompletionCode,
+  validateWithdrawal,
+  validateChatMessage,
+  validateChatQuery,
+  validateContactSharing,
+  validateDispute,
+  validateDisputeEvidence,
+  validateDisputeResolution,
+  validateReversal,
+  validateRefund,
+  validateAdminListQuery,
+  validateRoleUpdate,
+  validateAdminNote,
+  validateFeeSchedule,
+  validateFeeQuote,
+  validateKycSubmission,
+  validateKycApproval,
+  validateKycRejection,
+  validateStatementQuery,
+  validateCsvExport,
+  validateMonthlyStatement,
   validateWalletOperation
 };
\ No newline at end of file
@@ -0,0 +1,28 @@
+import Rating from '../models/Rating.js';
+
+// Ratings used to be unique per transaction (index `transaction_1`). Each
+// party now rates once, so drop that index - otherwise the second party's
+// rating fails as a duplicate - and build the { transaction, rater } index.
+export default {
+  name: '001-rating-per-rater-index',
+
+  up: async () => {
+    const indexes = await Rating.collection.indexes().catch((error) => {
+      // No ratings collection yet
+      if (error.codeName === 'NamespaceNotFound') {
+        return [];
+      }
+      throw error;
+    });
+
+    const droppedIndex = indexes.some(index => index.name === 'transaction_1');
+
+    if (droppedIndex) {
+      await Rating.collection.dropIndex('transaction_1');
+    }
+
+    await Rating.createIndexes();
+
+    return { droppedIndex };
+  }
+};
@@ -0,0 +1,30 @@
+import Rating from '../models/Rating.js';
+
+// Ratings from before hidden ratings have neither revealedAt nor
+// revealDeadline. They were already public and counted, so mark them
+// revealed as of their creation with a deadline that has passed: they stay
+// on profiles and the reveal job leaves them alone.
+export default {
+  name: '002-reveal-legacy-ratings',
+
+  up: async () => {
+    const createdAt = { $ifNull: ['$createdAt', '$$NOW'] };
+
+    const { matchedCount, modifiedCount } = await Rating.collection.updateMany(
+      {
+        $or: [
+          { revealedAt: { $exists: false } },
+          { revealDeadline: { $exists: false } }
+        ]
+      },
+      [{
+        $set: {
+          revealedAt: { $ifNull: ['$revealedAt', createdAt] },
+          revealDeadline: { $ifNull: ['$revealDeadline', createdAt] }
+        }
+      }]
+    );
+
+    return { matched: matchedCount, revealed: modifiedCount };
+  }
+};
@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import logger from '../utils/logger.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Wallets funded before the ledger existed have no entries for that money,
+// so their ledger balance (statements, PDF opening balances, inSync) falls
+// short of wallet.balance. Post the difference as an OPENING_BALANCE journal
+// dated just before the first ledger entry: everything after that point is
+// already in the ledger. Users whose ledger exceeds their wallet are left
+// for reconciliation to report.
+export default {
+  name: '003-ledger-opening-balances',
+
+  up: async () => {
+    // A rerun after a partial run keeps the date already used
+    const [previous, first] = await Promise.all([
+      LedgerEntry.findOne({ entryType: 'OPENING_BALANCE' }).select('createdAt').lean(),
+      LedgerEntry.findOne().sort({ createdAt: 1 }).select('createdAt').lean()
+    ]);
+    const openedAt = previous?.createdAt ||
+      new Date((first?.createdAt || new Date()).getTime() - 1);
+
+    let opened = 0;
+    let skipped = 0;
+
+    const cursor = User.find().select('wallet.balance').lean().cursor();
+
+    for await (const user of cursor) {
+      const ledgerBalance = await LedgerEntry.getUserBalance(user._id);
+      const difference = round((user.wallet?.balance || 0) - ledgerBalance);
+
+      if (difference > 0) {
+        await LedgerEntry.recordOpeningBalance(user._id, difference, openedAt);
+        opened += 1;
+      } else if (difference < 0) {
+        logger.warn('Ledger balance exceeds wallet balance, no opening balance posted', {
+          userId: user._id,
+          walletBalance: user.wallet?.balance,
+          ledgerBalance
+        });
+        skipped += 1;
+      }
+    }
+
+    return { openedAt, opened, skipped };
+  }
+};
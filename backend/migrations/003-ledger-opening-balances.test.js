@@ -0,0 +1,82 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import ledgerOpeningBalances from './003-ledger-opening-balances.js';
+
+const firstEntryAt = new Date('2026-03-01T09:00:00Z');
+
+describe('003-ledger-opening-balances', () => {
+  let users;
+  let ledgerBalances;
+  let create;
+
+  beforeEach(() => {
+    users = [];
+    ledgerBalances = new Map();
+
+    const leanQuery = (doc) => ({ sort: () => leanQuery(doc), select: () => leanQuery(doc), lean: async () => doc });
+    jest.spyOn(LedgerEntry, 'findOne').mockImplementation((filter = {}) =>
+      leanQuery(filter.entryType ? null : { createdAt: firstEntryAt })
+    );
+
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({
+        lean: () => ({
+          cursor: () => (async function* () { yield* users; })()
+        })
+      })
+    });
+
+    jest.spyOn(LedgerEntry, 'getUserBalance').mockImplementation(async (userId) => ledgerBalances.get(userId.toString()) || 0);
+    create = jest.spyOn(LedgerEntry, 'create').mockImplementation(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const addUser = (balance, ledgerBalance = 0) => {
+    const user = { _id: new mongoose.Types.ObjectId(), wallet: { balance } };
+    users.push(user);
+    ledgerBalances.set(user._id.toString(), ledgerBalance);
+    return user;
+  };
+
+  it('posts the pre-ledger part of each wallet, dated before the first entry', async () => {
+    const preLedger = addUser(1500);
+    const mixed = addUser(800, 300);
+
+    const result = await ledgerOpeningBalances.up();
+
+    const openedAt = new Date(firstEntryAt.getTime() - 1);
+    expect(result).toEqual({ openedAt, opened: 2, skipped: 0 });
+    expect(create).toHaveBeenCalledTimes(2);
+
+    const [docs] = create.mock.calls[0];
+    expect(docs).toEqual([
+      expect.objectContaining({ account: 'PLATFORM_FUNDING', direction: 'DEBIT', amount: 1500, createdAt: openedAt }),
+      expect.objectContaining({
+        account: 'USER_WALLET',
+        user: preLedger._id,
+        direction: 'CREDIT',
+        amount: 1500,
+        entryType: 'OPENING_BALANCE',
+        balanceAfter: 1500,
+        createdAt: openedAt
+      })
+    ]);
+    expect(create.mock.calls[1][0][1]).toEqual(expect.objectContaining({ user: mixed._id, amount: 500 }));
+  });
+
+  it('skips wallets already matching the ledger and reports those below it', async () => {
+    addUser(200, 200);
+    addUser(0);
+    addUser(100, 150);
+
+    const result = await ledgerOpeningBalances.up();
+
+    expect(result).toEqual(expect.objectContaining({ opened: 0, skipped: 1 }));
+    expect(create).not.toHaveBeenCalled();
+  });
+});
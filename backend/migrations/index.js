@@ -0,0 +1,59 @@
+import Migration from '../models/Migration.js';
+import logger from '../utils/logger.js';
+import ratingPerRaterIndex from './001-rating-per-rater-index.js';
+import revealLegacyRatings from './002-reveal-legacy-ratings.js';
+import ledgerOpeningBalances from './003-ledger-opening-balances.js';
+
+// One-off data migrations, applied in order and at most once each
+// (`npm run migrate`). A migration exports { name, up }; up() returns
+// counts that are kept on its Migration record.
+export const MIGRATIONS = [
+  ratingPerRaterIndex,
+  revealLegacyRatings,
+  ledgerOpeningBalances
+];
+
+// Apply the pending migrations and return the names of those applied
+export const runMigrations = async (migrations = MIGRATIONS) => {
+  const applied = [];
+
+  for (const migration of migrations) {
+    // Claim the migration so a concurrent run can't apply it twice
+    try {
+      await Migration.create({ name: migration.name });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      if (await Migration.hasRun(migration.name)) {
+        continue;
+      }
+
+      throw new Error(`Migration ${migration.name} is already running. If a previous run crashed, delete its Migration record and retry`);
+    }
+
+    logger.info('Applying migration', { migration: migration.name });
+
+    let result;
+    try {
+      result = await migration.up();
+    } catch (error) {
+      // Release the claim so the migration can be retried
+      await Migration.deleteOne({ name: migration.name, status: 'RUNNING' });
+      throw error;
+    }
+
+    await Migration.updateOne(
+      { name: migration.name },
+      { $set: { status: 'APPLIED', appliedAt: new Date(), result } }
+    );
+
+    logger.info('Migration applied', { migration: migration.name, result });
+    applied.push(migration.name);
+  }
+
+  return applied;
+};
+
+export default runMigrations;
@@ -0,0 +1,56 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import Migration from '../models/Migration.js';
+import { runMigrations } from './index.js';
+
+const migration = (name, up = async () => ({ updated: 1 })) => ({ name, up: jest.fn(up) });
+
+describe('runMigrations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies pending migrations in order and records them', async () => {
+    const create = jest.spyOn(Migration, 'create').mockResolvedValue({});
+    const updateOne = jest.spyOn(Migration, 'updateOne').mockResolvedValue({});
+    const first = migration('001-first');
+    const second = migration('002-second');
+
+    const applied = await runMigrations([first, second]);
+
+    expect(applied).toEqual(['001-first', '002-second']);
+    expect(create.mock.calls.map(([doc]) => doc.name)).toEqual(['001-first', '002-second']);
+    expect(updateOne).toHaveBeenCalledWith(
+      { name: '001-first' },
+      { $set: expect.objectContaining({ status: 'APPLIED', result: { updated: 1 } }) }
+    );
+  });
+
+  it('skips migrations that were already applied', async () => {
+    jest.spyOn(Migration, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    jest.spyOn(Migration, 'hasRun').mockResolvedValue(true);
+    const done = migration('001-done');
+
+    expect(await runMigrations([done])).toEqual([]);
+    expect(done.up).not.toHaveBeenCalled();
+  });
+
+  it('refuses to run a migration claimed by another run', async () => {
+    jest.spyOn(Migration, 'create').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+    jest.spyOn(Migration, 'hasRun').mockResolvedValue(false);
+    const running = migration('001-running');
+
+    await expect(runMigrations([running])).rejects.toThrow('already running');
+    expect(running.up).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim and stops when a migration fails', async () => {
+    jest.spyOn(Migration, 'create').mockResolvedValue({});
+    const deleteOne = jest.spyOn(Migration, 'deleteOne').mockResolvedValue({});
+    const failing = migration('001-failing', async () => { throw new Error('boom'); });
+    const next = migration('002-next');
+
+    await expect(runMigrations([failing, next])).rejects.toThrow('boom');
+    expect(deleteOne).toHaveBeenCalledWith({ name: '001-failing', status: 'RUNNING' });
+    expect(next.up).not.toHaveBeenCalled();
+  });
+});
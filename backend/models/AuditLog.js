@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['user', 'support', 'admin', 'system'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'ExchangeRequest', 'Transaction', 'Dispute', 'FeeSchedule', 'KycSubmission', 'Rating', 'System'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Static method to record an action from a request
+auditLogSchema.statics.record = async function(req, action, target = {}, details = {}) {
+  return await this.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType: target.type || 'System',
+    targetId: target.id || null,
+    details,
+    ip: req.ip
+  });
+};
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
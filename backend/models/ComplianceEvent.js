@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const complianceEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['LIMIT_EXCEEDED'],
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'accept', 'edit', 'match'],
+    required: true
+  },
+  exchangeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    default: null
+  },
+  amount: Number,
+  kycTier: String,
+  period: {
+    type: String,
+    enum: ['daily', 'monthly']
+  },
+  limit: Number,
+  used: Number,
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+complianceEventSchema.index({ createdAt: -1 });
+complianceEventSchema.index({ user: 1, createdAt: -1 });
+
+// Compliance events are append-only
+complianceEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Compliance events cannot be modified'));
+});
+
+const ComplianceEvent = mongoose.model('ComplianceEvent', complianceEventSchema);
+
+export default ComplianceEvent;
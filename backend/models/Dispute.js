@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+// Allowed status transitions
+const TRANSITIONS = {
+  OPEN: ['UNDER_REVIEW', 'RESOLVED_FOR_REQUESTER', 'RESOLVED_FOR_HELPER'],
+  UNDER_REVIEW: ['RESOLVED_FOR_REQUESTER', 'RESOLVED_FOR_HELPER'],
+  RESOLVED_FOR_REQUESTER: [],
+  RESOLVED_FOR_HELPER: []
+};
+
+const disputeSchema = new mongoose.Schema({
+  exchangeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    required: true,
+    index: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  against: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.keys(TRANSITIONS),
+      message: 'Invalid dispute status'
+    },
+    default: 'OPEN',
+    index: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    maxlength: 1000,
+    trim: true
+  },
+  evidence: [{
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, required: true, maxlength: 2000, trim: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  exchangeStatusBefore: {
+    type: String,
+    enum: ['ACCEPTED', 'COMPLETED'],
+    required: true
+  },
+  resolution: {
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String, maxlength: 1000 },
+    transactionReversed: { type: Boolean, default: false },
+    resolvedAt: Date
+  },
+  history: [{
+    from: String,
+    to: String,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ openedBy: 1, createdAt: -1 });
+disputeSchema.index({ against: 1, createdAt: -1 });
+
+// Virtual for resolved state
+disputeSchema.virtual('isResolved').get(function() {
+  return this.status.startsWith('RESOLVED_');
+});
+
+// Static: allowed transitions (exposed for controllers)
+disputeSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// Method to check a status transition
+disputeSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move to a new status (records history)
+disputeSchema.methods.transitionTo = function(status, userId) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move dispute from ${this.status} to ${status}`);
+  }
+
+  this.history.push({
+    from: this.status,
+    to: status,
+    changedBy: userId
+  });
+  this.status = status;
+
+  return this;
+};
+
+// Atomically move a dispute to a new status from any state that allows it,
+// recording the step in its history. Returns the updated dispute, or null if
+// another update moved it first.
+disputeSchema.statics.claimTransition = async function(id, status, userId) {
+  const from = Object.keys(TRANSITIONS).filter(state => TRANSITIONS[state].includes(status));
+
+  const previous = await this.findOneAndUpdate(
+    { _id: id, status: { $in: from } },
+    { $set: { status } }
+  );
+
+  if (!previous) {
+    return null;
+  }
+
+  return await this.findByIdAndUpdate(id, {
+    $push: { history: { from: previous.status, to: status, changedBy: userId } }
+  }, { new: true });
+};
+
+// Undo a claimed transition whose follow-up failed
+disputeSchema.statics.releaseTransition = async function(dispute) {
+  const { from, to } = dispute.history[dispute.history.length - 1];
+
+  await this.updateOne(
+    { _id: dispute._id, status: to },
+    { $set: { status: from }, $pop: { history: 1 } }
+  );
+};
+
+// Method to check if user is a party to the dispute
+disputeSchema.methods.isParty = function(userId) {
+  const id = userId.toString();
+  return this.openedBy.toString() === id || this.against.toString() === id;
+};
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Completion codes are only ever stored as SHA-256 hashes
+const hashCompletionCode = (code) =>
+  crypto.createHash('sha256').update(String(code)).digest('hex');
 
 const exchangeRequestSchema = new mongoose.Schema({
   requester: {
@@ -57,7 +62,7 @@ const exchangeRequestSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['CREATED', 'ACCEPTED', 'COMPLETED', 'CANCELLED', 'EXPIRED', 'DISPUTED'],
+      values: ['CREATED', 'FILLED', 'ACCEPTED', 'COMPLETED', 'CANCELLED', 'EXPIRED', 'DISPUTED'],
       message: 'Invalid status'
     },
     default: 'CREATED',
@@ -68,10 +73,61 @@ const exchangeRequestSchema = new mongoose.Schema({
     ref: 'ExchangeRequest',
     default: null
   },
+  // Partial fills: each fill of a request is a child request that is
+  // paired, completed and paid like any other exchange
+  parentRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    default: null
+  },
+  allowPartialFills: {
+    type: Boolean,
+    default: false
+  },
+  remainingAmount: {
+    type: Number, // Amount still open to new fills
+    min: 0
+  },
+  matching: {
+    autoMatch: { type: Boolean, default: false }, // Opted in to automatic matching
+    proposal: { type: mongoose.Schema.Types.ObjectId, ref: 'MatchProposal', default: null }
+  },
+  withdrawals: [{
+    withdrawnBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['REQUESTER', 'HELPER'], required: true },
+    reason: { type: String, maxlength: 500 },
+    withdrawnAt: { type: Date, default: Date.now }
+  }],
+  edits: [{
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    changes: { type: mongoose.Schema.Types.Mixed, required: true }, // { field: { from, to } }
+    editedAt: { type: Date, default: Date.now }
+  }],
   meetingPoint: {
     name: String,
-    coordinates: [Number],
-    notes: String
+    coordinates: [Number], // [longitude, latitude]
+    notes: String,
+    agreedAt: Date // Unset while it's only the requester's suggestion
+  },
+  // Meeting point negotiation after acceptance (kept on the primary request)
+  meetingPointProposals: [{
+    proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, maxlength: 100 },
+    coordinates: { type: [Number], required: true },
+    notes: { type: String, maxlength: 500 },
+    status: {
+      type: String,
+      enum: ['PROPOSED', 'ACCEPTED', 'COUNTERED', 'REPLACED'],
+      default: 'PROPOSED'
+    },
+    respondedAt: Date,
+    proposedAt: { type: Date, default: Date.now }
+  }],
+  // When each party agreed to show phone numbers and emails in chat (kept
+  // on the primary request; both must agree)
+  contactSharing: {
+    requester: Date,
+    helper: Date
   },
   timeline: {
     createdAt: { type: Date, default: Date.now },
@@ -83,18 +139,33 @@ const exchangeRequestSchema = new mongoose.Schema({
   notes: {
     requesterNotes: { type: String, maxlength: 500 },
     helperNotes: { type: String, maxlength: 500 },
-    adminNotes: { type: String, maxlength: 1000 }
+    // Staff only: never loaded unless selected with +notes.adminNotes
+    adminNotes: { type: String, maxlength: 1000, select: false }
   },
   metadata: {
     distance: Number, // Distance between users in meters
     platformFee: { type: Number, default: 0 },
-    completionCode: String, // OTP for verification
-    attempts: { type: Number, default: 0 },
+    feeScheduleVersion: { type: Number, default: null }, // null = flat config fee
+    heldAmount: { type: Number, default: 0 }, // Funds escrowed on requester's wallet
+    completionCode: { type: String, select: false }, // Hashed OTP for verification
+    completionCodeExpires: { type: Date, select: false },
+    attempts: { type: Number, default: 0 }, // Completion code attempts on the current code
+    completionLockedUntil: Date,
     viewCount: { type: Number, default: 0 }
   }
 }, { 
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      // Never serialise the completion code, even if it was selected
+      if (ret.metadata) {
+        delete ret.metadata.completionCode;
+        delete ret.metadata.completionCodeExpires;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -105,6 +176,7 @@ exchangeRequestSchema.index({ status: 1, exchangeType: 1, 'timeline.expiresAt':
 exchangeRequestSchema.index({ requester: 1, status: 1 });
 exchangeRequestSchema.index({ helper: 1, status: 1 });
 exchangeRequestSchema.index({ linkedRequest: 1 });
+exchangeRequestSchema.index({ parentRequest: 1, status: 1 });
 exchangeRequestSchema.index({ createdAt: -1 });
 
 // Virtual for checking if expired
@@ -119,6 +191,21 @@ exchangeRequestSchema.virtual('timeRemaining').get(function() {
   return Math.max(0, Math.floor((expiry - now) / 1000)); // seconds
 });
 
+// Virtual for completion lock after too many invalid codes
+exchangeRequestSchema.virtual('isCompletionLocked').get(function() {
+  return !!(this.metadata?.completionLockedUntil && this.metadata.completionLockedUntil > new Date());
+});
+
+// Virtual for the meeting point proposal awaiting an answer (if any)
+exchangeRequestSchema.virtual('openMeetingPointProposal').get(function() {
+  return (this.meetingPointProposals || []).find(p => p.status === 'PROPOSED') || null;
+});
+
+// Virtual for whether both parties agreed to share contact details in chat
+exchangeRequestSchema.virtual('isContactSharingAgreed').get(function() {
+  return !!(this.contactSharing?.requester && this.contactSharing?.helper);
+});
+
 // Virtual for opposite exchange type
 exchangeRequestSchema.virtual('oppositeType').get(function() {
   return this.exchangeType === 'CASH_TO_ONLINE' ? 'ONLINE_TO_CASH' : 'CASH_TO_ONLINE';
@@ -126,6 +213,11 @@ exchangeRequestSchema.virtual('oppositeType').get(function() {
 
 // Pre-save middleware to validate business rules
 exchangeRequestSchema.pre('save', function(next) {
+  // The full amount is open until fills are taken from it
+  if (this.isNew && this.remainingAmount == null) {
+    this.remainingAmount = this.status === 'CREATED' ? this.amount : 0;
+  }
+
   // Ensure timeline consistency
   if (this.status === 'ACCEPTED' && !this.timeline.acceptedAt) {
     this.timeline.acceptedAt = new Date();
@@ -163,9 +255,10 @@ exchangeRequestSchema.statics.findNearby = async function(options) {
     requester: { $ne: excludeUserId }
   };
 
+  // Amount filters apply to what is still open, not the original amount
   if (exchangeType) query.exchangeType = exchangeType;
-  if (minAmount) query.amount = { ...query.amount, $gte: minAmount };
-  if (maxAmount) query.amount = { ...query.amount, $lte: maxAmount };
+  if (minAmount) query.remainingAmount = { ...query.remainingAmount, $gte: minAmount };
+  if (maxAmount) query.remainingAmount = { ...query.remainingAmount, $lte: maxAmount };
 
   const requests = await this.aggregate([
     {
@@ -198,7 +291,10 @@ exchangeRequestSchema.statics.findNearby = async function(options) {
         'requesterDetails.password': 0,
         'requesterDetails.refreshTokens': 0,
         'requesterDetails.wallet': 0,
-        'requesterDetails.verification': 0
+        'requesterDetails.verification': 0,
+        'metadata.completionCode': 0,
+        'metadata.completionCodeExpires': 0,
+        'notes.adminNotes': 0
       }
     }
   ]);
@@ -216,6 +312,29 @@ exchangeRequestSchema.statics.findNearby = async function(options) {
   };
 };
 
+// Static method to sum a user's exchange volume since a date. Counts their
+// own requests (helpers always have one) that weren't cancelled or expired.
+// Fills are part of their parent's amount and aren't counted again.
+exchangeRequestSchema.statics.getUserVolume = async function(userId, since, excludeRequestId = null) {
+  const match = {
+    requester: new mongoose.Types.ObjectId(userId),
+    parentRequest: null,
+    status: { $nin: ['CANCELLED', 'EXPIRED'] },
+    createdAt: { $gte: since }
+  };
+
+  if (excludeRequestId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeRequestId) };
+  }
+
+  const result = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+};
+
 // Static method to find compatible helpers
 exchangeRequestSchema.statics.findCompatibleHelpers = async function(requestId, options = {}) {
   const request = await this.findById(requestId);
@@ -239,22 +358,447 @@ exchangeRequestSchema.statics.findCompatibleHelpers = async function(requestId,
     maxDistance,
     excludeUserId: request.requester,
     exchangeType: oppositeType,
-    minAmount: request.amount,
+    // Smaller counterparties can only serve requests that take partial fills
+    minAmount: request.allowPartialFills ? undefined : request.remainingAmount,
     limit,
     page
   });
 };
 
-// Method to generate completion code
-exchangeRequestSchema.methods.generateCompletionCode = function() {
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
-  this.metadata.completionCode = code;
+// Method to generate completion code (returns the plain code once)
+exchangeRequestSchema.methods.generateCompletionCode = function(expiresInMinutes = 120) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const expires = new Date();
+  expires.setMinutes(expires.getMinutes() + expiresInMinutes);
+
+  this.metadata.completionCode = hashCompletionCode(code);
+  this.metadata.completionCodeExpires = expires;
+  this.metadata.attempts = 0;
   return code;
 };
 
-// Method to verify completion code
+// Method to verify completion code (requires +metadata.completionCode)
 exchangeRequestSchema.methods.verifyCompletionCode = function(code) {
-  return this.metadata.completionCode === code;
+  if (!this.metadata.completionCode || !code) {
+    return false;
+  }
+
+  if (this.metadata.completionCodeExpires && this.metadata.completionCodeExpires < new Date()) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.metadata.completionCode, 'hex');
+  const actual = Buffer.from(hashCompletionCode(code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to check a completion code. The attempt is counted before the code
+// is compared, so parallel guesses can't get past maxAttempts; at the
+// threshold completion is locked. Returns { valid, attempts, locked, lockedUntil }.
+exchangeRequestSchema.methods.checkCompletionCode = async function(code, maxAttempts, lockMinutes) {
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'metadata.attempts': { $lt: maxAttempts } },
+    { $inc: { 'metadata.attempts': 1 } },
+    { new: true }
+  ).select('+metadata.completionCode +metadata.completionCodeExpires');
+
+  if (counted?.verifyCompletionCode(code)) {
+    return { valid: true, attempts: counted.metadata.attempts, locked: false };
+  }
+
+  // No match means the attempts ran out in the meantime
+  const attempts = counted ? counted.metadata.attempts : maxAttempts;
+
+  if (attempts < maxAttempts) {
+    return { valid: false, attempts, locked: false };
+  }
+
+  // Lock and invalidate the code; the requester has to issue a new one
+  const lockedUntil = new Date();
+  lockedUntil.setMinutes(lockedUntil.getMinutes() + lockMinutes);
+
+  await this.constructor.findByIdAndUpdate(this._id, {
+    $set: { 'metadata.attempts': 0, 'metadata.completionLockedUntil': lockedUntil },
+    $unset: { 'metadata.completionCode': 1, 'metadata.completionCodeExpires': 1 }
+  });
+
+  return { valid: false, attempts, locked: true, lockedUntil };
+};
+
+// Method to append a timestamped admin note (keeps the most recent 1000 chars).
+// The request must be loaded with +notes.adminNotes, or the existing notes
+// would be overwritten.
+exchangeRequestSchema.methods.appendAdminNote = function(note) {
+  if (!this.isSelected('notes.adminNotes')) {
+    throw new Error('Load notes.adminNotes before appending to it');
+  }
+
+  this.notes.adminNotes = [
+    this.notes.adminNotes,
+    `[${new Date().toISOString()}] ${note}`
+  ].filter(Boolean).join('\n').slice(-1000);
+
+  return this.notes.adminNotes;
+};
+
+// Method to propose a meeting point. An open proposal from the other party
+// is countered; one of the proposer's own is replaced.
+// Returns { proposal, countered }.
+exchangeRequestSchema.methods.proposeMeetingPoint = function(userId, { name, coordinates, notes }) {
+  const open = this.openMeetingPointProposal;
+  const countered = !!open && open.proposedBy.toString() !== userId.toString();
+
+  if (open) {
+    open.status = countered ? 'COUNTERED' : 'REPLACED';
+    open.respondedAt = new Date();
+  }
+
+  this.meetingPointProposals.push({ proposedBy: userId, name, coordinates, notes });
+
+  return {
+    proposal: this.meetingPointProposals[this.meetingPointProposals.length - 1],
+    countered
+  };
+};
+
+// Method to accept the other party's open meeting point proposal; it
+// becomes the agreed meeting point. Returns the accepted proposal.
+exchangeRequestSchema.methods.acceptMeetingPoint = function(userId) {
+  const open = this.openMeetingPointProposal;
+
+  if (!open) {
+    throw new Error('There is no meeting point proposal to accept');
+  }
+
+  if (open.proposedBy.toString() === userId.toString()) {
+    throw new Error('You cannot accept your own proposal');
+  }
+
+  const agreedAt = new Date();
+  open.status = 'ACCEPTED';
+  open.respondedAt = agreedAt;
+
+  this.meetingPoint = {
+    name: open.name,
+    coordinates: open.coordinates,
+    notes: open.notes,
+    agreedAt
+  };
+
+  return open;
+};
+
+// Escrow: hold funds on the requester's wallet for this request
+exchangeRequestSchema.methods.placeWalletHold = async function(amount, session = null) {
+  const User = mongoose.model('User');
+  const user = await User.findById(this.requester).session(session);
+
+  if (!user) {
+    throw new Error('Requester not found');
+  }
+
+  await user.holdFunds(amount, session);
+
+  this.metadata.heldAmount += amount;
+  await this.save({ session });
+
+  return this.metadata.heldAmount;
+};
+
+// Escrow: release held funds (defaults to everything still held)
+exchangeRequestSchema.methods.releaseWalletHold = async function(amount = null, session = null) {
+  amount = Math.min(amount ?? this.metadata.heldAmount, this.metadata.heldAmount);
+
+  if (!amount) {
+    return 0;
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(this.requester).session(session);
+
+  if (user) {
+    await user.releaseHeldFunds(amount, session);
+  }
+
+  this.metadata.heldAmount -= amount;
+  await this.save({ session });
+
+  return amount;
+};
+
+// A fill's share of its parent's quoted platform fee
+const proratedFee = (request, amount) =>
+  Math.round((request.metadata.platformFee * amount / request.amount) * 100) / 100;
+
+// Pair this (target) request with a helper's opposite-type request for
+// `amount` (defaults to all of the target still open): escrow the online side,
+// lock both sides as ACCEPTED and issue a completion code.
+// A side used in full is paired as is. A side only partly used is split: the
+// fill becomes an ACCEPTED child request and the rest stays open to others.
+// Returns { exchangeRequest, helperRequest, completionCode } where
+// exchangeRequest is the primary (target side) of the new exchange.
+exchangeRequestSchema.methods.pairWith = async function(helperRequest, codeExpiryMinutes, amount = null) {
+  const Model = this.constructor;
+  const User = mongoose.model('User');
+
+  amount = amount ?? this.remainingAmount;
+
+  if (amount < this.remainingAmount && !this.allowPartialFills) {
+    throw new Error('This request must be filled in full');
+  }
+
+  if (amount > helperRequest.remainingAmount) {
+    throw new Error('Your request amount is insufficient');
+  }
+
+  const acceptedAt = new Date();
+  const sides = [this, helperRequest].map(request => {
+    const whole = amount === request.amount;
+    return {
+      request,
+      whole,
+      online: request.exchangeType === 'ONLINE_TO_CASH',
+      id: whole ? request._id : new mongoose.Types.ObjectId()
+    };
+  });
+  const [target, helper] = sides;
+  const online = sides.find(side => side.online);
+
+  // Escrow comes from the online request's hold; top it up if it falls short
+  const fromHold = Math.min(amount, online.request.metadata.heldAmount);
+  const holdShortfall = amount - fromHold;
+  const onlineUser = holdShortfall > 0 ? await User.findById(online.request.requester) : null;
+
+  if (holdShortfall > 0) {
+    try {
+      await onlineUser.holdFunds(holdShortfall);
+    } catch (error) {
+      throw new Error('Insufficient wallet balance to hold for this exchange');
+    }
+  }
+
+  const links = {
+    [target.id]: { helper: helperRequest.requester, linkedRequest: helper.id },
+    [helper.id]: { linkedRequest: target.id }
+  };
+
+  // Claim the amount on each side; the remaining amount check keeps
+  // concurrent fills from overbooking a request
+  const claim = (side) => {
+    const filter = { _id: side.request._id, status: 'CREATED', remainingAmount: { $gte: amount } };
+
+    if (side.whole) {
+      return Model.findOneAndUpdate(
+        { ...filter, helper: null },
+        {
+          $set: {
+            ...links[side.id],
+            status: 'ACCEPTED',
+            remainingAmount: 0,
+            'timeline.acceptedAt': acceptedAt
+          },
+          $inc: { 'metadata.heldAmount': side.online ? holdShortfall : 0 }
+        },
+        { new: true }
+      );
+    }
+
+    // The fill takes its escrow with it
+    return Model.findOneAndUpdate(
+      side.online ? { ...filter, 'metadata.heldAmount': { $gte: fromHold } } : filter,
+      { $inc: { remainingAmount: -amount, 'metadata.heldAmount': side.online ? -fromHold : 0 } },
+      { new: true }
+    );
+  };
+
+  const unclaim = (side) => Model.findByIdAndUpdate(side.request._id, side.whole
+    ? {
+        $set: { status: 'CREATED', helper: null, linkedRequest: null, remainingAmount: amount },
+        $inc: { 'metadata.heldAmount': side.online ? -holdShortfall : 0 },
+        $unset: { 'timeline.acceptedAt': 1 }
+      }
+    : { $inc: { remainingAmount: amount, 'metadata.heldAmount': side.online ? fromHold : 0 } });
+
+  const claimed = [];
+  let failure = null;
+
+  for (const side of sides) {
+    const updated = await claim(side);
+
+    if (!updated) {
+      failure = side === target
+        ? 'Request already accepted by another user'
+        : 'Your request amount is insufficient';
+      break;
+    }
+
+    claimed.push({ side, updated });
+  }
+
+  const rollBack = async () => {
+    for (const { side } of claimed) {
+      await unclaim(side);
+    }
+    if (holdShortfall > 0) {
+      await onlineUser.releaseHeldFunds(holdShortfall);
+    }
+  };
+
+  if (failure) {
+    await rollBack();
+    throw new Error(failure);
+  }
+
+  let paired;
+  try {
+    paired = await Promise.all(claimed.map(({ side, updated }) => {
+      if (side.whole) return updated;
+
+      const parent = side.request;
+      return Model.create({
+        _id: side.id,
+        ...links[side.id],
+        requester: parent.requester,
+        parentRequest: parent._id,
+        amount,
+        remainingAmount: 0,
+        exchangeType: parent.exchangeType,
+        location: parent.toObject().location,
+        meetingPoint: parent.toObject().meetingPoint,
+        status: 'ACCEPTED',
+        timeline: { acceptedAt, expiresAt: parent.timeline.expiresAt },
+        notes: { requesterNotes: parent.notes?.requesterNotes },
+        metadata: {
+          platformFee: proratedFee(parent, amount),
+          feeScheduleVersion: parent.metadata.feeScheduleVersion,
+          heldAmount: side.online ? amount : 0
+        }
+      });
+    }));
+  } catch (error) {
+    await Model.deleteMany({ _id: { $in: sides.filter(side => !side.whole).map(side => side.id) } });
+    await rollBack();
+    throw error;
+  }
+
+  const [exchangeRequest, pairedHelperRequest] = paired;
+
+  const completionCode = exchangeRequest.generateCompletionCode(codeExpiryMinutes);
+  await exchangeRequest.save();
+
+  // Parents with nothing left open wait for their fills to finish
+  await Model.updateMany(
+    {
+      _id: { $in: sides.filter(side => !side.whole).map(side => side.request._id) },
+      status: 'CREATED',
+      remainingAmount: 0
+    },
+    { $set: { status: 'FILLED' } }
+  );
+
+  return { exchangeRequest, helperRequest: pairedHelperRequest, completionCode };
+};
+
+// Stop taking new fills on a partly filled request. The open remainder's
+// escrow is released and the request settles once its fills finish.
+exchangeRequestSchema.methods.closeOpenAmount = async function() {
+  this.status = 'FILLED';
+  this.remainingAmount = 0;
+  await this.save();
+  await this.releaseWalletHold();
+
+  return this.constructor.settleParent(this._id);
+};
+
+// Hand a cancelled fill's amount (and escrow) back to its parent so others
+// can take it. Returns the reopened parent, or null if it no longer takes
+// fills (the fill's escrow is released instead).
+exchangeRequestSchema.methods.returnToParent = async function() {
+  const parent = await this.constructor.findOneAndUpdate(
+    {
+      _id: this.parentRequest,
+      status: { $in: ['CREATED', 'FILLED'] },
+      'timeline.expiresAt': { $gt: new Date() }
+    },
+    {
+      $set: { status: 'CREATED' },
+      $inc: { remainingAmount: this.amount, 'metadata.heldAmount': this.metadata.heldAmount }
+    },
+    { new: true }
+  );
+
+  if (!parent) {
+    await this.releaseWalletHold();
+    await this.constructor.settleParent(this.parentRequest);
+    return null;
+  }
+
+  this.metadata.heldAmount = 0;
+  await this.save();
+
+  return parent;
+};
+
+// Static method to close out a FILLED parent once none of its fills is in
+// progress: COMPLETED if any fill completed, otherwise CANCELLED
+exchangeRequestSchema.statics.settleParent = async function(parentId, session = null) {
+  if (!parentId) return null;
+
+  const inProgress = await this.exists({
+    parentRequest: parentId,
+    status: { $in: ['ACCEPTED', 'DISPUTED'] }
+  }).session(session);
+
+  if (inProgress) return null;
+
+  const completed = await this.exists({ parentRequest: parentId, status: 'COMPLETED' })
+    .session(session);
+
+  return this.findOneAndUpdate(
+    { _id: parentId, status: 'FILLED' },
+    {
+      $set: completed
+        ? { status: 'COMPLETED', 'timeline.completedAt': new Date() }
+        : { status: 'CANCELLED', 'timeline.cancelledAt': new Date() }
+    },
+    { new: true, session }
+  );
+};
+
+// Static method to load an exchange's primary (accepted) request from either
+// party's request id; the helper's own request only links to it
+exchangeRequestSchema.statics.findPrimary = async function(requestId) {
+  const request = await this.findById(requestId);
+
+  if (request && !request.helper && request.linkedRequest) {
+    return this.findById(request.linkedRequest);
+  }
+
+  return request;
+};
+
+// Static method to check whether a user may see a request: open requests
+// are public (they show up in nearby search), anything else only to its
+// requester and helper
+exchangeRequestSchema.statics.isVisibleTo = async function(requestId, userId) {
+  const visible = await this.exists({
+    _id: requestId,
+    $or: [
+      { status: 'CREATED', 'timeline.expiresAt': { $gt: new Date() } },
+      { requester: userId },
+      { helper: userId }
+    ]
+  });
+
+  return !!visible;
+};
+
+// Static method to list a request's fills (oldest first)
+exchangeRequestSchema.statics.getFills = function(parentId) {
+  return this.find({ parentRequest: parentId })
+    .sort({ createdAt: 1 })
+    .populate('requester', 'name profile')
+    .populate('helper', 'name profile');
 };
 
 const ExchangeRequest = mongoose.model('ExchangeRequest', exchangeRequestSchema);
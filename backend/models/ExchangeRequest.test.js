@@ -0,0 +1,323 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ExchangeRequest from './ExchangeRequest.js';
+import './User.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Deep copy that keeps ObjectIds and dates as they are
+const clone = (value) => {
+  if (value instanceof mongoose.Types.ObjectId || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+describe('admin notes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('are left out of queries unless selected', () => {
+    const query = ExchangeRequest.findById(id());
+    query._applyPaths();
+    expect(query._fields).toHaveProperty(['notes.adminNotes'], 0);
+
+    const staffQuery = ExchangeRequest.findById(id()).select('+notes.adminNotes');
+    staffQuery._applyPaths();
+    expect(staffQuery._fields).not.toHaveProperty(['notes.adminNotes']);
+  });
+
+  it('are left out of nearby search results', async () => {
+    const aggregate = jest.spyOn(ExchangeRequest, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(ExchangeRequest, 'countDocuments').mockResolvedValue(0);
+
+    await ExchangeRequest.findNearby([77.59, 12.97], { excludeUserId: id() });
+
+    const { $project } = aggregate.mock.calls[0][0].find(stage => stage.$project);
+    expect($project['notes.adminNotes']).toBe(0);
+  });
+
+  it('can only be appended to when loaded', () => {
+    const request = ExchangeRequest.hydrate(
+      { _id: id(), notes: { requesterNotes: 'Near the gate' } },
+      { 'notes.adminNotes': 0 }
+    );
+
+    expect(() => request.appendAdminNote('Refunded')).toThrow('Load notes.adminNotes');
+    expect(request.toJSON().notes).not.toHaveProperty('adminNotes');
+  });
+
+  it('keep the most recent notes when appended', () => {
+    const request = ExchangeRequest.hydrate({ _id: id(), notes: { adminNotes: 'First note' } });
+
+    const notes = request.appendAdminNote('Second note');
+
+    expect(notes).toMatch(/^First note\n\[.+\] Second note$/);
+  });
+});
+
+// In-memory stand-in for the requests collection, enough for the atomic
+// claims in pairWith
+const fakeStore = (docs) => {
+  const store = new Map(docs.map(doc => [doc._id.toString(), clone(doc)]));
+
+  const get = (path, doc) => path.split('.').reduce((value, key) => value?.[key], doc);
+  const set = (path, doc, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => (value[key] ??= {}), doc)[last] = value;
+  };
+
+  const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    const value = get(path, doc);
+    if (condition?.$gte !== undefined) return value >= condition.$gte;
+    if (condition === null) return value == null;
+    return String(value) === String(condition);
+  });
+
+  const apply = (doc, update) => {
+    Object.entries(update.$set || {}).forEach(([path, value]) => set(path, doc, value));
+    Object.entries(update.$inc || {}).forEach(([path, value]) => set(path, doc, (get(path, doc) || 0) + value));
+    Object.keys(update.$unset || {}).forEach(path => set(path, doc, undefined));
+    return ExchangeRequest.hydrate(clone(doc));
+  };
+
+  jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = store.get(filter._id.toString());
+    return doc && matches(doc, filter) ? apply(doc, update) : null;
+  });
+  jest.spyOn(ExchangeRequest, 'findByIdAndUpdate').mockImplementation(async (requestId, update) =>
+    apply(store.get(requestId.toString()), update)
+  );
+  jest.spyOn(ExchangeRequest, 'create').mockImplementation(async (data) => {
+    store.set(data._id.toString(), clone(data));
+    return new ExchangeRequest(data);
+  });
+  jest.spyOn(ExchangeRequest, 'updateMany').mockResolvedValue({});
+  jest.spyOn(ExchangeRequest, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+
+  return store;
+};
+
+const openRequest = (overrides = {}) => ({
+  _id: id(),
+  requester: id(),
+  amount: 1000,
+  remainingAmount: 1000,
+  exchangeType: 'ONLINE_TO_CASH',
+  status: 'CREATED',
+  allowPartialFills: true,
+  location: { type: 'Point', coordinates: [77.59, 12.97] },
+  timeline: { expiresAt: new Date(Date.now() + 60 * 60 * 1000) },
+  metadata: { platformFee: 10, heldAmount: 1000 },
+  ...overrides
+});
+
+describe('pairWith', () => {
+  let target;
+  let helperRequest;
+  let store;
+
+  beforeEach(() => {
+    target = openRequest();
+    helperRequest = openRequest({
+      amount: 400,
+      remainingAmount: 400,
+      exchangeType: 'CASH_TO_ONLINE',
+      metadata: { platformFee: 0, heldAmount: 0 }
+    });
+    store = fakeStore([target, helperRequest]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('splits a fill off a request that allows partial fills', async () => {
+    const { exchangeRequest, helperRequest: paired, completionCode } = await ExchangeRequest
+      .hydrate(clone(target))
+      .pairWith(ExchangeRequest.hydrate(clone(helperRequest)), 30, 400);
+
+    // The fill takes the amount and its share of the escrow and fee
+    expect(exchangeRequest.parentRequest).toEqual(target._id);
+    expect(exchangeRequest.amount).toBe(400);
+    expect(exchangeRequest.status).toBe('ACCEPTED');
+    expect(exchangeRequest.helper).toEqual(helperRequest.requester);
+    expect(exchangeRequest.linkedRequest).toEqual(helperRequest._id);
+    expect(exchangeRequest.metadata.heldAmount).toBe(400);
+    expect(exchangeRequest.metadata.platformFee).toBe(4);
+    expect(completionCode).toMatch(/^\d{6}$/);
+
+    // The parent stays open for the rest
+    const parent = store.get(target._id.toString());
+    expect(parent.status).toBe('CREATED');
+    expect(parent.remainingAmount).toBe(600);
+    expect(parent.metadata.heldAmount).toBe(600);
+
+    // The helper's request is used in full and links to the fill
+    expect(paired._id).toEqual(helperRequest._id);
+    expect(paired.status).toBe('ACCEPTED');
+    expect(paired.linkedRequest).toEqual(exchangeRequest._id);
+  });
+
+  it('marks the parent FILLED once nothing is left open', async () => {
+    await ExchangeRequest
+      .hydrate(clone(target))
+      .pairWith(ExchangeRequest.hydrate(clone(helperRequest)), 30, 400);
+
+    const [filter, update] = ExchangeRequest.updateMany.mock.calls[0];
+    expect(filter._id.$in).toEqual([target._id]);
+    expect(filter.remainingAmount).toBe(0);
+    expect(update).toEqual({ $set: { status: 'FILLED' } });
+  });
+
+  it('refuses a partial fill of a request that must be filled in full', async () => {
+    const request = ExchangeRequest.hydrate({ ...clone(target), allowPartialFills: false });
+
+    await expect(request.pairWith(ExchangeRequest.hydrate(clone(helperRequest)), 30, 400))
+      .rejects.toThrow('This request must be filled in full');
+    expect(ExchangeRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('gives the claimed amount back when the other side is gone', async () => {
+    store.get(helperRequest._id.toString()).status = 'ACCEPTED';
+
+    await expect(ExchangeRequest
+      .hydrate(clone(target))
+      .pairWith(ExchangeRequest.hydrate(clone(helperRequest)), 30, 400)
+    ).rejects.toThrow('Your request amount is insufficient');
+
+    const parent = store.get(target._id.toString());
+    expect(parent.remainingAmount).toBe(1000);
+    expect(parent.metadata.heldAmount).toBe(1000);
+    expect(ExchangeRequest.create).not.toHaveBeenCalled();
+  });
+
+  it('does not overbook a request claimed concurrently', async () => {
+    store.get(target._id.toString()).remainingAmount = 300;
+
+    await expect(ExchangeRequest
+      .hydrate(clone(target))
+      .pairWith(ExchangeRequest.hydrate(clone(helperRequest)), 30, 400)
+    ).rejects.toThrow('Request already accepted by another user');
+
+    expect(store.get(helperRequest._id.toString()).status).toBe('CREATED');
+  });
+});
+
+describe('settleParent', () => {
+  const parentId = id();
+  let fills;
+
+  beforeEach(() => {
+    fills = [];
+    jest.spyOn(ExchangeRequest, 'exists').mockImplementation((filter) => ({
+      session: async () => fills.find(fill => (filter.status.$in || [filter.status]).includes(fill.status)) || null
+    }));
+    jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$set);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('waits while a fill is still in progress', async () => {
+    fills = [{ status: 'COMPLETED' }, { status: 'ACCEPTED' }];
+
+    expect(await ExchangeRequest.settleParent(parentId)).toBeNull();
+    expect(ExchangeRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('completes a filled parent when any fill completed', async () => {
+    fills = [{ status: 'COMPLETED' }, { status: 'CANCELLED' }];
+
+    const settled = await ExchangeRequest.settleParent(parentId);
+
+    expect(settled.status).toBe('COMPLETED');
+    expect(ExchangeRequest.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: parentId, status: 'FILLED' });
+  });
+
+  it('cancels a filled parent when no fill completed', async () => {
+    fills = [{ status: 'CANCELLED' }];
+
+    const settled = await ExchangeRequest.settleParent(parentId);
+
+    expect(settled.status).toBe('CANCELLED');
+  });
+
+  it('ignores requests without a parent', async () => {
+    expect(await ExchangeRequest.settleParent(null)).toBeNull();
+    expect(ExchangeRequest.exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkCompletionCode', () => {
+  let request;
+  let code;
+  let stored;
+
+  beforeEach(() => {
+    request = ExchangeRequest.hydrate({ _id: id(), status: 'ACCEPTED', metadata: { attempts: 0 } });
+    code = request.generateCompletionCode(30);
+    stored = clone(request.metadata.toObject());
+
+    // Stands in for the conditional update: the filter is checked and the
+    // counter bumped in one step, as the database does
+    jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockImplementation((filter) => {
+      const matched = stored.attempts < filter['metadata.attempts'].$lt;
+      if (matched) stored.attempts += 1;
+      const counted = matched ? ExchangeRequest.hydrate({ _id: request._id, metadata: clone(stored) }) : null;
+      return { select: async () => counted };
+    });
+    jest.spyOn(ExchangeRequest, 'findByIdAndUpdate').mockImplementation(async (requestId, update) => {
+      Object.assign(stored, {
+        attempts: update.$set['metadata.attempts'],
+        completionLockedUntil: update.$set['metadata.completionLockedUntil']
+      });
+      delete stored.completionCode;
+      delete stored.completionCodeExpires;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the right code', async () => {
+    const result = await request.checkCompletionCode(code, 5, 30);
+
+    expect(result).toMatchObject({ valid: true, locked: false });
+  });
+
+  it('counts a wrong code and says how many attempts were used', async () => {
+    const result = await request.checkCompletionCode('000000', 5, 30);
+
+    expect(result).toEqual({ valid: false, attempts: 1, locked: false });
+    expect(stored.attempts).toBe(1);
+  });
+
+  it('does not let parallel guesses past the limit', async () => {
+    const guesses = Array.from({ length: 8 }, (_, i) => String(100000 + i));
+    const verify = jest.spyOn(ExchangeRequest.prototype, 'verifyCompletionCode');
+
+    const results = await Promise.all(guesses.map(guess => request.checkCompletionCode(guess, 5, 30)));
+
+    expect(verify).toHaveBeenCalledTimes(5);
+    expect(results.every(result => !result.valid)).toBe(true);
+    expect(results.filter(result => result.locked).length).toBeGreaterThan(0);
+    expect(stored.completionCode).toBeUndefined();
+    expect(stored.completionLockedUntil).toBeInstanceOf(Date);
+  });
+
+  it('refuses the right code once completion locked', async () => {
+    stored.attempts = 5;
+
+    const result = await request.checkCompletionCode(code, 5, 30);
+
+    expect(result).toMatchObject({ valid: false, locked: true });
+  });
+});
@@ -0,0 +1,191 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+const EXCHANGE_TYPES = ['CASH_TO_ONLINE', 'ONLINE_TO_CASH'];
+
+// Amounts are money; compare at paisa precision
+const round = (value) => Math.round(value * 100) / 100;
+
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['DRAFT', 'ACTIVE', 'RETIRED'],
+    default: 'DRAFT',
+    index: true
+  },
+  // Used when no tier matches
+  defaultPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Amount bands: minAmount inclusive, maxAmount exclusive (null = no upper bound).
+  // A tier with an exchangeType wins over a generic tier for the same amount.
+  tiers: [{
+    exchangeType: { type: String, enum: EXCHANGE_TYPES, default: null },
+    minAmount: { type: Number, required: true, min: 0 },
+    maxAmount: { type: Number, default: null },
+    percent: { type: Number, required: true, min: 0, max: 100 }
+  }],
+  minFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxFee: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Zero-fee windows
+  promotions: [{
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    exchangeType: { type: String, enum: EXCHANGE_TYPES, default: null },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Only one schedule can be active at a time
+feeScheduleSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'ACTIVE' } }
+);
+
+feeScheduleSchema.pre('validate', function(next) {
+  for (const tier of this.tiers) {
+    if (tier.maxAmount !== null && tier.maxAmount <= tier.minAmount) {
+      return next(new Error('Tier maxAmount must be greater than minAmount'));
+    }
+  }
+
+  for (const promotion of this.promotions) {
+    if (promotion.endsAt <= promotion.startsAt) {
+      return next(new Error('Promotion must end after it starts'));
+    }
+  }
+
+  if (this.maxFee !== null && this.maxFee < this.minFee) {
+    return next(new Error('maxFee cannot be less than minFee'));
+  }
+
+  next();
+});
+
+// Published schedules are immutable - fees already charged reference them
+feeScheduleSchema.pre('save', function(next) {
+  const ruleFields = ['defaultPercent', 'tiers', 'minFee', 'maxFee', 'promotions'];
+
+  if (!this.isNew && this.status !== 'DRAFT' && ruleFields.some(f => this.isModified(f))) {
+    return next(new Error('Only draft fee schedules can be edited'));
+  }
+
+  next();
+});
+
+// Method to compute the fee for an exchange under this schedule
+feeScheduleSchema.methods.computeFee = function(amount, exchangeType, at = new Date()) {
+  const promotion = this.promotions.find(p =>
+    p.startsAt <= at && at < p.endsAt &&
+    (!p.exchangeType || p.exchangeType === exchangeType)
+  );
+
+  if (promotion) {
+    return { fee: 0, percent: 0, version: this.version, promotion: promotion.name };
+  }
+
+  const inBand = (tier) => amount >= tier.minAmount &&
+    (tier.maxAmount === null || amount < tier.maxAmount);
+
+  const tier = this.tiers.find(t => t.exchangeType === exchangeType && inBand(t)) ||
+    this.tiers.find(t => !t.exchangeType && inBand(t));
+
+  const percent = tier ? tier.percent : this.defaultPercent;
+
+  let fee = (amount * percent) / 100;
+  fee = Math.max(fee, this.minFee);
+  if (this.maxFee !== null) fee = Math.min(fee, this.maxFee);
+
+  // Never charge more than the exchange itself
+  fee = Math.min(fee, amount);
+
+  return { fee: round(fee), percent, version: this.version, promotion: null };
+};
+
+// Static method to quote a fee under the active schedule. Falls back to the
+// flat config.exchange.platformFeePercent (version null) if none is active.
+feeScheduleSchema.statics.quote = async function(amount, exchangeType, at = new Date()) {
+  const schedule = await this.findOne({ status: 'ACTIVE' });
+
+  if (!schedule) {
+    const percent = config.exchange.platformFeePercent;
+    return { fee: round((amount * percent) / 100), percent, version: null, promotion: null };
+  }
+
+  return schedule.computeFee(amount, exchangeType, at);
+};
+
+// Static method to get the next version number
+feeScheduleSchema.statics.nextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+// Method to make this schedule the active one, retiring the current one
+feeScheduleSchema.methods.activate = async function(userId) {
+  if (this.status !== 'DRAFT') {
+    throw new Error('Only draft fee schedules can be activated');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await this.constructor.updateMany(
+      { status: 'ACTIVE' },
+      { $set: { status: 'RETIRED', retiredAt: new Date() } },
+      { session }
+    );
+
+    this.status = 'ACTIVE';
+    this.activatedBy = userId;
+    this.activatedAt = new Date();
+    await this.save({ session });
+
+    await session.commitTransaction();
+    return this;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+const FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
+
+export default FeeSchedule;
@@ -0,0 +1,89 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import FeeSchedule from './FeeSchedule.js';
+import config from '../config/config.js';
+
+const schedule = (overrides = {}) => new FeeSchedule({
+  version: 3,
+  name: 'Tiered',
+  status: 'ACTIVE',
+  defaultPercent: 2,
+  tiers: [
+    { minAmount: 0, maxAmount: 1000, percent: 1 },
+    { minAmount: 1000, maxAmount: 5000, percent: 1.5 },
+    { exchangeType: 'CASH_TO_ONLINE', minAmount: 1000, maxAmount: 5000, percent: 0.5 }
+  ],
+  minFee: 5,
+  maxFee: 50,
+  ...overrides
+});
+
+describe('FeeSchedule.quote', () => {
+  let active;
+
+  beforeEach(() => {
+    active = null;
+    jest.spyOn(FeeSchedule, 'findOne').mockImplementation(async () => active);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('falls back to the flat config percent when no schedule is active', async () => {
+    const percent = config.exchange.platformFeePercent;
+
+    const quote = await FeeSchedule.quote(1234, 'ONLINE_TO_CASH');
+
+    expect(FeeSchedule.findOne).toHaveBeenCalledWith({ status: 'ACTIVE' });
+    expect(quote).toEqual({
+      fee: Math.round(1234 * percent) / 100,
+      percent,
+      version: null,
+      promotion: null
+    });
+  });
+
+  it('uses the tier the amount falls in, upper bound exclusive', async () => {
+    active = schedule();
+
+    expect(await FeeSchedule.quote(999, 'ONLINE_TO_CASH')).toMatchObject({ fee: 9.99, percent: 1, version: 3 });
+    expect(await FeeSchedule.quote(1000, 'ONLINE_TO_CASH')).toMatchObject({ fee: 15, percent: 1.5 });
+  });
+
+  it('prefers a tier for the exchange type over a generic one', async () => {
+    active = schedule();
+
+    expect(await FeeSchedule.quote(2000, 'CASH_TO_ONLINE')).toMatchObject({ fee: 10, percent: 0.5 });
+  });
+
+  it('uses the default percent above every tier, capped at maxFee', async () => {
+    active = schedule();
+
+    expect(await FeeSchedule.quote(6000, 'ONLINE_TO_CASH')).toMatchObject({ fee: 50, percent: 2 });
+  });
+
+  it('charges at least minFee but never more than the amount', async () => {
+    active = schedule();
+
+    expect(await FeeSchedule.quote(100, 'ONLINE_TO_CASH')).toMatchObject({ fee: 5 });
+    expect(await FeeSchedule.quote(3, 'ONLINE_TO_CASH')).toMatchObject({ fee: 3 });
+  });
+
+  it('is free during a matching promotion', async () => {
+    const at = new Date('2026-03-15T12:00:00Z');
+    active = schedule({
+      promotions: [{
+        name: 'Holi',
+        exchangeType: 'CASH_TO_ONLINE',
+        startsAt: new Date('2026-03-14T00:00:00Z'),
+        endsAt: new Date('2026-03-16T00:00:00Z')
+      }]
+    });
+
+    expect(await FeeSchedule.quote(2000, 'CASH_TO_ONLINE', at))
+      .toEqual({ fee: 0, percent: 0, version: 3, promotion: 'Holi' });
+    expect(await FeeSchedule.quote(2000, 'ONLINE_TO_CASH', at)).toMatchObject({ fee: 30, promotion: null });
+    expect(await FeeSchedule.quote(2000, 'CASH_TO_ONLINE', new Date('2026-03-16T00:00:00Z')))
+      .toMatchObject({ fee: 10, promotion: null });
+  });
+});
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+export const DOCUMENT_TYPES = ['PASSPORT', 'NATIONAL_ID', 'DRIVING_LICENSE'];
+export const FILE_KINDS = ['DOCUMENT_FRONT', 'DOCUMENT_BACK', 'SELFIE'];
+
+const kycSubmissionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING',
+    index: true
+  },
+  documentType: {
+    type: String,
+    enum: {
+      values: DOCUMENT_TYPES,
+      message: 'Invalid document type'
+    },
+    required: true
+  },
+  files: [{
+    kind: { type: String, enum: FILE_KINDS, required: true },
+    storageKey: { type: String, required: true }, // Never serialised
+    contentType: String,
+    size: Number,
+    sha256: String
+  }],
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    rejectionReason: { type: String, maxlength: 500 },
+    notes: { type: String, maxlength: 1000 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Documents are only served through the audited download endpoint
+      if (ret.files) {
+        ret.files.forEach(file => delete file.storageKey);
+      }
+      return ret;
+    }
+  }
+});
+
+// Indexes
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+
+// One submission under review per user
+kycSubmissionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+// Static method to record a review decision. The update only matches a
+// submission that is still PENDING, so two reviewers can't both decide it.
+// Returns the reviewed submission (user populated), or null if it was
+// reviewed in the meantime.
+kycSubmissionSchema.statics.claimReview = function(id, status, reviewerId, { reason, notes } = {}, session = null) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'PENDING' },
+    {
+      $set: {
+        status,
+        review: {
+          reviewedBy: reviewerId,
+          reviewedAt: new Date(),
+          rejectionReason: status === 'REJECTED' ? reason : undefined,
+          notes
+        }
+      }
+    },
+    { new: true, runValidators: true, session }
+  ).populate('user', 'name email phone verification');
+};
+
+const KycSubmission = mongoose.model('KycSubmission', kycSubmissionSchema);
+
+export default KycSubmission;
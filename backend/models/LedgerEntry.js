@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+
+// Accounts: one wallet per user, plus platform accounts
+const ACCOUNTS = ['USER_WALLET', 'PLATFORM_FEES', 'PLATFORM_FUNDING'];
+
+const ENTRY_TYPES = ['OPENING_BALANCE', 'TOP_UP', 'EXCHANGE_DEBIT', 'EXCHANGE_CREDIT', 'PLATFORM_FEE', 'REFUND', 'REVERSAL'];
+
+// Amounts are money; compare at paisa precision
+const round = (value) => Math.round(value * 100) / 100;
+
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amount must be positive']
+  },
+  entryType: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  exchangeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    default: null
+  },
+  balanceAfter: Number, // User wallet balance after this entry (USER_WALLET only)
+  description: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ledgerEntrySchema.index({ account: 1, user: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+// Ledger entries are append-only
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Ledger entries cannot be modified'));
+});
+
+// Static method to post a balanced journal (sum of debits == sum of credits)
+ledgerEntrySchema.statics.postJournal = async function(entries, refs = {}, session = null) {
+  const debits = entries
+    .filter(e => e.direction === 'DEBIT')
+    .reduce((sum, e) => sum + e.amount, 0);
+  const credits = entries
+    .filter(e => e.direction === 'CREDIT')
+    .reduce((sum, e) => sum + e.amount, 0);
+
+  if (round(debits) !== round(credits)) {
+    throw new Error(`Unbalanced journal: debits ${debits} != credits ${credits}`);
+  }
+
+  const journalId = new mongoose.Types.ObjectId();
+
+  // Zero-amount legs (e.g. no platform fee) are omitted
+  const docs = entries
+    .filter(e => e.amount > 0)
+    .map(e => ({
+      ...e,
+      journalId,
+      transaction: refs.transaction || null,
+      exchangeRequest: refs.exchangeRequest || null
+    }));
+
+  return await this.create(docs, { session, ordered: true });
+};
+
+// Static method to record a wallet top-up
+ledgerEntrySchema.statics.recordTopUp = async function(user, amount, session = null) {
+  return await this.postJournal([
+    {
+      account: 'PLATFORM_FUNDING',
+      direction: 'DEBIT',
+      amount,
+      entryType: 'TOP_UP',
+      description: 'Wallet top-up'
+    },
+    {
+      account: 'USER_WALLET',
+      user: user._id,
+      direction: 'CREDIT',
+      amount,
+      entryType: 'TOP_UP',
+      balanceAfter: user.wallet.balance,
+      description: 'Wallet top-up'
+    }
+  ], {}, session);
+};
+
+// Static method to record the wallet balance a user had before the ledger
+// existed, dated `at` (just before the first ledger entry)
+ledgerEntrySchema.statics.recordOpeningBalance = async function(userId, amount, at, session = null) {
+  return await this.postJournal([
+    {
+      account: 'PLATFORM_FUNDING',
+      direction: 'DEBIT',
+      amount,
+      entryType: 'OPENING_BALANCE',
+      description: 'Opening balance',
+      createdAt: at
+    },
+    {
+      account: 'USER_WALLET',
+      user: userId,
+      direction: 'CREDIT',
+      amount,
+      entryType: 'OPENING_BALANCE',
+      balanceAfter: amount,
+      description: 'Opening balance',
+      createdAt: at
+    }
+  ], {}, session);
+};
+
+// Static method to record a completed exchange transaction
+ledgerEntrySchema.statics.recordExchange = async function(transaction, session = null) {
+  return await this.postJournal([
+    {
+      account: 'USER_WALLET',
+      user: transaction.payer,
+      direction: 'DEBIT',
+      amount: transaction.amount,
+      entryType: 'EXCHANGE_DEBIT',
+      balanceAfter: transaction.payerBalanceAfter,
+      description: 'Exchange payment'
+    },
+    {
+      account: 'USER_WALLET',
+      user: transaction.payee,
+      direction: 'CREDIT',
+      amount: transaction.netAmount,
+      entryType: 'EXCHANGE_CREDIT',
+      balanceAfter: transaction.payeeBalanceAfter,
+      description: 'Exchange received'
+    },
+    {
+      account: 'PLATFORM_FEES',
+      direction: 'CREDIT',
+      amount: transaction.platformFee,
+      entryType: 'PLATFORM_FEE',
+      description: 'Platform fee'
+    }
+  ], {
+    transaction: transaction._id,
+    exchangeRequest: transaction.exchangeRequest
+  }, session);
+};
+
+// Static method to record a partial refund to the payer
+ledgerEntrySchema.statics.recordRefund = async function(transaction, refund, balances, session = null) {
+  const source = refund.source === 'PLATFORM_FEE'
+    ? { account: 'PLATFORM_FEES', description: 'Platform fee refunded' }
+    : { account: 'USER_WALLET', user: transaction.payee, balanceAfter: balances.payee, description: 'Refund to payer' };
+
+  return await this.postJournal([
+    {
+      ...source,
+      direction: 'DEBIT',
+      amount: refund.amount,
+      entryType: 'REFUND'
+    },
+    {
+      account: 'USER_WALLET',
+      user: transaction.payer,
+      direction: 'CREDIT',
+      amount: refund.amount,
+      entryType: 'REFUND',
+      balanceAfter: balances.payer,
+      description: refund.reason || 'Refund'
+    }
+  ], {
+    transaction: transaction._id,
+    exchangeRequest: transaction.exchangeRequest
+  }, session);
+};
+
+// Static method to record a reversal (mirror of the original journal,
+// less anything already refunded)
+ledgerEntrySchema.statics.recordReversal = async function(transaction, amounts, balances, session = null) {
+  return await this.postJournal([
+    {
+      account: 'USER_WALLET',
+      user: transaction.payee,
+      direction: 'DEBIT',
+      amount: amounts.payee,
+      entryType: 'REVERSAL',
+      balanceAfter: balances.payee,
+      description: 'Exchange reversed'
+    },
+    {
+      account: 'PLATFORM_FEES',
+      direction: 'DEBIT',
+      amount: amounts.fee,
+      entryType: 'REVERSAL',
+      description: 'Platform fee refunded'
+    },
+    {
+      account: 'USER_WALLET',
+      user: transaction.payer,
+      direction: 'CREDIT',
+      amount: amounts.payer,
+      entryType: 'REVERSAL',
+      balanceAfter: balances.payer,
+      description: 'Exchange reversed'
+    }
+  ], {
+    transaction: transaction._id,
+    exchangeRequest: transaction.exchangeRequest
+  }, session);
+};
+
+// Static method to derive a user's wallet balance from the ledger.
+// Pass `before` to get the balance as it stood at that moment.
+ledgerEntrySchema.statics.getUserBalance = async function(userId, options = {}) {
+  const match = {
+    account: 'USER_WALLET',
+    user: new mongoose.Types.ObjectId(userId)
+  };
+
+  if (options.before) match.createdAt = { $lt: options.before };
+
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  return round(result.length > 0 ? result[0].balance : 0);
+};
+
+// Static method to get a user's ledger statement
+ledgerEntrySchema.statics.getUserStatement = async function(userId, options = {}) {
+  const { page = 1, limit = 50, from, to } = options;
+  const skip = (page - 1) * limit;
+
+  const query = {
+    account: 'USER_WALLET',
+    user: userId
+  };
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const entries = await this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('transaction', 'amount type status');
+
+  const total = await this.countDocuments(query);
+
+  const totals = await this.aggregate([
+    { $match: { ...query, user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$direction', amount: { $sum: '$amount' } } }
+  ]);
+
+  const sumOf = (direction) => round(totals.find(t => t._id === direction)?.amount || 0);
+
+  return {
+    entries,
+    totals: {
+      credits: sumOf('CREDIT'),
+      debits: sumOf('DEBIT')
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -0,0 +1,86 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import LedgerEntry from './LedgerEntry.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('postJournal', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(LedgerEntry, 'create').mockImplementation(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const legs = (payer, payee, fee) => [
+    { account: 'USER_WALLET', user: id(), direction: 'DEBIT', amount: payer, entryType: 'EXCHANGE_DEBIT' },
+    { account: 'USER_WALLET', user: id(), direction: 'CREDIT', amount: payee, entryType: 'EXCHANGE_CREDIT' },
+    { account: 'PLATFORM_FEES', direction: 'CREDIT', amount: fee, entryType: 'PLATFORM_FEE' }
+  ];
+
+  it('posts balanced legs under one journal id with their references', async () => {
+    const refs = { transaction: id(), exchangeRequest: id() };
+    const session = {};
+
+    const entries = await LedgerEntry.postJournal(legs(1000, 980, 20), refs, session);
+
+    expect(entries).toHaveLength(3);
+    expect(new Set(entries.map(e => e.journalId.toString())).size).toBe(1);
+    entries.forEach(entry => {
+      expect(entry.transaction).toBe(refs.transaction);
+      expect(entry.exchangeRequest).toBe(refs.exchangeRequest);
+    });
+    expect(create.mock.calls[0][1]).toEqual({ session, ordered: true });
+  });
+
+  it('rejects a journal whose debits and credits differ', async () => {
+    await expect(LedgerEntry.postJournal(legs(1000, 980, 10)))
+      .rejects.toThrow('Unbalanced journal: debits 1000 != credits 990');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('tolerates floating point noise in the totals', async () => {
+    await expect(LedgerEntry.postJournal(legs(0.3, 0.1, 0.2))).resolves.toHaveLength(3);
+  });
+
+  it('omits zero-amount legs', async () => {
+    const entries = await LedgerEntry.postJournal(legs(500, 500, 0));
+
+    expect(entries.map(e => e.entryType)).toEqual(['EXCHANGE_DEBIT', 'EXCHANGE_CREDIT']);
+  });
+
+  it('leaves the references empty when none are given', async () => {
+    const [entry] = await LedgerEntry.postJournal(legs(100, 100, 0));
+
+    expect(entry.transaction).toBeNull();
+    expect(entry.exchangeRequest).toBeNull();
+  });
+});
+
+describe('recordReversal', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('mirrors what is left of the original journal', async () => {
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (docs) => docs);
+    const transaction = { _id: id(), exchangeRequest: id(), payer: id(), payee: id() };
+
+    const entries = await LedgerEntry.recordReversal(
+      transaction,
+      { payee: 880, fee: 20, payer: 900 },
+      { payee: 120, payer: 1900 }
+    );
+
+    expect(entries.map(e => [e.account, e.direction, e.amount])).toEqual([
+      ['USER_WALLET', 'DEBIT', 880],
+      ['PLATFORM_FEES', 'DEBIT', 20],
+      ['USER_WALLET', 'CREDIT', 900]
+    ]);
+    expect(entries[0].user).toBe(transaction.payee);
+    expect(entries[2].user).toBe(transaction.payer);
+  });
+});
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A party's live location during one accepted exchange. Shares are deleted
+// when the exchange ends; expiresAt purges any that were missed.
+const locationShareSchema = new mongoose.Schema({
+  // Primary (accepted) request of the exchange
+  exchangeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['REQUESTER', 'HELPER'],
+    required: true
+  },
+  position: {
+    coordinates: [Number], // [longitude, latitude]
+    accuracy: Number, // Meters
+    heading: Number, // Degrees from north
+    speed: Number, // Meters per second
+    recordedAt: Date
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+locationShareSchema.index({ exchangeRequest: 1, user: 1 }, { unique: true });
+locationShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LocationShare = mongoose.model('LocationShare', locationShareSchema);
+
+export default LocationShare;
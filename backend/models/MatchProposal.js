@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+const matchProposalSchema = new mongoose.Schema({
+  // The request being filled; becomes the primary (accepted) request
+  targetRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    required: true,
+    index: true
+  },
+  // The counterparty's opposite-type request
+  helperRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    required: true,
+    index: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  helper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  exchangeType: {
+    type: String,
+    enum: ['CASH_TO_ONLINE', 'ONLINE_TO_CASH'],
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  breakdown: {
+    distance: Number, // Meters between the two requests
+    distanceScore: Number,
+    amountFitScore: Number,
+    ratingScore: Number
+  },
+  status: {
+    type: String,
+    enum: ['PROPOSED', 'CONFIRMED', 'DECLINED', 'EXPIRED', 'FAILED'],
+    default: 'PROPOSED',
+    index: true
+  },
+  confirmations: {
+    requester: Date,
+    helper: Date
+  },
+  declinedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failureReason: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+matchProposalSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to get a user's side of the proposal ('requester' | 'helper' | null)
+matchProposalSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  if (this.requester.toString() === id) return 'requester';
+  if (this.helper.toString() === id) return 'helper';
+  return null;
+};
+
+// Virtual for whether both sides have confirmed
+matchProposalSchema.virtual('isConfirmedByBoth').get(function() {
+  return !!(this.confirmations?.requester && this.confirmations?.helper);
+});
+
+const MatchProposal = mongoose.model('MatchProposal', matchProposalSchema);
+
+export default MatchProposal;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chat message between the two parties of an exchange. The original text is
+// stored as sent; contact details are masked when it is read (see
+// utils/contactMasking.js) so they show once both parties opt in.
+const messageSchema = new mongoose.Schema({
+  // Primary (accepted) request of the exchange
+  exchangeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeRequest',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: config.chat.maxMessageLength,
+    trim: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Removed after the retention period; unset while a dispute holds it
+  purgeAt: {
+    type: Date,
+    default: () => new Date(Date.now() + config.chat.retentionDays * DAY_MS)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+messageSchema.index({ exchangeRequest: 1, createdAt: -1 });
+messageSchema.index({ exchangeRequest: 1, recipient: 1, readAt: 1 });
+messageSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to mark everything `userId` received in an exchange as read.
+// Returns the number of messages marked.
+messageSchema.statics.markRead = async function(exchangeRequestId, userId, readAt = new Date()) {
+  const { modifiedCount } = await this.updateMany(
+    { exchangeRequest: exchangeRequestId, recipient: userId, readAt: null },
+    { $set: { readAt } }
+  );
+
+  return modifiedCount;
+};
+
+// Static method to keep an exchange's messages as dispute evidence
+messageSchema.statics.holdForDispute = function(exchangeRequestId) {
+  return this.updateMany(
+    { exchangeRequest: exchangeRequestId },
+    { $unset: { purgeAt: 1 } }
+  );
+};
+
+// Static method to restart retention once a dispute is resolved
+messageSchema.statics.releaseHold = function(exchangeRequestId) {
+  return this.updateMany(
+    { exchangeRequest: exchangeRequestId, purgeAt: null },
+    { $set: { purgeAt: new Date(Date.now() + config.chat.retentionDays * DAY_MS) } }
+  );
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -0,0 +1,50 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Message from './Message.js';
+import config from '../config/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('message retention', () => {
+  const exchangeRequest = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('purges new messages after the retention period', () => {
+    const message = new Message({ body: 'Hi' });
+
+    expect(message.purgeAt.getTime() - Date.now()).toBeGreaterThan((config.chat.retentionDays - 1) * DAY_MS);
+  });
+
+  it('keeps an exchange\'s messages while a dispute holds them', async () => {
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    await Message.holdForDispute(exchangeRequest);
+
+    expect(updateMany).toHaveBeenCalledWith({ exchangeRequest }, { $unset: { purgeAt: 1 } });
+  });
+
+  it('restarts retention only for held messages once the dispute is resolved', async () => {
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    await Message.releaseHold(exchangeRequest);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({ exchangeRequest, purgeAt: null });
+    expect(update.$set.purgeAt.getTime() - Date.now()).toBeGreaterThan((config.chat.retentionDays - 1) * DAY_MS);
+  });
+
+  it('marks only unread messages to the reader as read', async () => {
+    const reader = new mongoose.Types.ObjectId();
+    const readAt = new Date();
+    const updateMany = jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await Message.markRead(exchangeRequest, reader, readAt)).toBe(2);
+    expect(updateMany).toHaveBeenCalledWith(
+      { exchangeRequest, recipient: reader, readAt: null },
+      { $set: { readAt } }
+    );
+  });
+});
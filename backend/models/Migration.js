@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One-off data migrations that have been applied (see migrations/)
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'APPLIED'],
+    default: 'RUNNING'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  appliedAt: Date,
+  result: mongoose.Schema.Types.Mixed // Counts reported by the migration
+}, {
+  timestamps: true
+});
+
+// Static method to check whether a migration has been applied
+migrationSchema.statics.hasRun = async function(name) {
+  return !!(await this.exists({ name, status: 'APPLIED' }));
+};
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -1,11 +1,18 @@
 import mongoose from 'mongoose';
+import { computeProfileStats } from '../utils/reputation.js';
+
+// Ratings shown on profiles and counted in the average: revealed to both
+// parties and not hidden by a moderator
+export const VISIBLE_RATING = {
+  revealedAt: { $ne: null },
+  'flags.isHidden': { $ne: true }
+};
 
 const ratingSchema = new mongoose.Schema({
   transaction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction',
-    required: true,
-    unique: true // One rating per transaction
+    required: true
   },
   exchangeRequest: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,50 +56,105 @@ const ratingSchema = new mongoose.Schema({
     createdAt: Date
   },
   flags: {
-    isReported: { type: Boolean, default: false },
+    isReported: { type: Boolean, default: false }, // Awaiting moderation
     reportReason: String,
-    reportedAt: Date
+    reportedAt: Date,
+    isHidden: { type: Boolean, default: false } // Hidden by a moderator
+  },
+  moderation: [{
+    action: { type: String, enum: ['HIDE', 'RESTORE'], required: true },
+    reason: { type: String, maxlength: 500, required: true },
+    moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Ratings stay hidden (and don't count towards the profile) until both
+  // parties have rated or the rating window closes, so neither can retaliate
+  revealedAt: {
+    type: Date,
+    default: null
+  },
+  revealDeadline: {
+    type: Date,
+    required: true
   }
 }, { 
   timestamps: true 
 });
 
 // Indexes
-ratingSchema.index({ rated: 1, createdAt: -1 });
+ratingSchema.index({ rated: 1, revealedAt: 1, createdAt: -1 });
 ratingSchema.index({ rater: 1, createdAt: -1 });
 ratingSchema.index({ rating: -1 });
+ratingSchema.index({ 'flags.isReported': 1, 'flags.reportedAt': 1 });
 
-// Prevent duplicate ratings
-ratingSchema.index({ rater: 1, transaction: 1 }, { unique: true });
+// One rating per party per transaction
+ratingSchema.index({ transaction: 1, rater: 1 }, { unique: true });
 
-// Static method to create rating and update user
+// Static method to create a rating. Once both parties have rated, both
+// ratings are revealed and counted towards the rated users' profiles.
 ratingSchema.statics.createRating = async function(data) {
-  const { transaction, exchangeRequest, rater, rated, rating, review, categories, isAnonymous } = data;
+  const { transaction, exchangeRequest, rater, rated, rating, review, categories, isAnonymous, revealDeadline } = data;
   
-  // Check if rating already exists
-  const existingRating = await this.findOne({ transaction });
+  // Check if this party already rated
+  const existingRating = await this.findOne({ transaction, rater });
   if (existingRating) {
-    throw new Error('Rating already exists for this transaction');
+    throw new Error('You have already rated this transaction');
   }
   
   // Create rating
-  const newRating = await this.create({
-    transaction,
-    exchangeRequest,
-    rater,
-    rated,
-    rating,
-    review,
-    categories,
-    isAnonymous
-  });
+  let newRating;
+  try {
+    newRating = await this.create({
+      transaction,
+      exchangeRequest,
+      rater,
+      rated,
+      rating,
+      review,
+      categories,
+      isAnonymous,
+      revealDeadline
+    });
+  } catch (error) {
+    // A concurrent submission by the same party won
+    if (error.code === 11000) {
+      throw new Error('You have already rated this transaction');
+    }
+    throw error;
+  }
   
-  // Update user's rating
-  const User = mongoose.model('User');
-  const user = await User.findById(rated);
-  await user.updateRating(rating);
+  const count = await this.countDocuments({ transaction });
+  if (count < 2) {
+    return newRating;
+  }
   
-  return newRating;
+  await this.revealForTransaction(transaction);
+  
+  return this.findById(newRating._id);
+};
+
+// Static method to reveal a transaction's hidden ratings and count them
+// towards the rated users' profiles. Returns the ratings it revealed.
+ratingSchema.statics.revealForTransaction = async function(transactionId) {
+  const hidden = await this.find({ transaction: transactionId, revealedAt: null });
+  const revealed = [];
+  
+  for (const { _id } of hidden) {
+    // Claim the rating so concurrent reveals count it only once
+    const rating = await this.findOneAndUpdate(
+      { _id, revealedAt: null },
+      { $set: { revealedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!rating) continue;
+    
+    await this.recomputeProfile(rating.rated);
+    
+    revealed.push(rating);
+  }
+  
+  return revealed;
 };
 
 // Static method to get user ratings
@@ -100,7 +162,9 @@ ratingSchema.statics.getUserRatings = async function(userId, options = {}) {
   const { page = 1, limit = 20, minRating, maxRating } = options;
   const skip = (page - 1) * limit;
   
-  const query = { rated: userId };
+  // Ratings still waiting for the other party or hidden by a moderator are
+  // not shown
+  const query = { rated: userId, ...VISIBLE_RATING };
   
   if (minRating) query.rating = { ...query.rating, $gte: minRating };
   if (maxRating) query.rating = { ...query.rating, $lte: maxRating };
@@ -116,7 +180,7 @@ ratingSchema.statics.getUserRatings = async function(userId, options = {}) {
   
   // Get rating breakdown
   const breakdown = await this.aggregate([
-    { $match: { rated: mongoose.Types.ObjectId(userId) } },
+    { $match: { rated: new mongoose.Types.ObjectId(userId), ...VISIBLE_RATING } },
     {
       $group: {
         _id: '$rating',
@@ -141,8 +205,54 @@ ratingSchema.statics.getUserRatings = async function(userId, options = {}) {
   };
 };
 
-// Method to add response to rating
+// Static method to rebuild a user's profile rating stats (average,
+// category averages, reputation score) from their visible ratings
+ratingSchema.statics.recomputeProfile = async function(userId) {
+  const ratings = await this.find({ rated: userId, ...VISIBLE_RATING })
+    .select('rating categories createdAt')
+    .lean();
+  
+  const stats = computeProfileStats(ratings);
+  
+  const User = mongoose.model('User');
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'profile.rating': stats.rating,
+      'profile.totalRatings': stats.totalRatings,
+      'profile.categoryRatings': stats.categoryRatings,
+      'profile.reputationScore': stats.reputationScore,
+      'profile.ratingsUpdatedAt': new Date()
+    }
+  });
+  
+  return stats;
+};
+
+// Static method to rebuild every user's profile rating stats, including
+// users whose ratings have all been hidden or deleted. Returns the number
+// of profiles rebuilt.
+ratingSchema.statics.recomputeAllProfiles = async function() {
+  const User = mongoose.model('User');
+  
+  const ratedIds = await this.distinct('rated', VISIBLE_RATING);
+  const rated = new Set(ratedIds.map(id => id.toString()));
+  
+  const staleIds = (await User.distinct('_id', { 'profile.totalRatings': { $gt: 0 } }))
+    .filter(id => !rated.has(id.toString()));
+  
+  for (const userId of [...ratedIds, ...staleIds]) {
+    await this.recomputeProfile(userId);
+  }
+  
+  return ratedIds.length + staleIds.length;
+};
+
+// Method to add the rated user's response (once)
 ratingSchema.methods.addResponse = async function(responseText) {
+  if (this.response?.text) {
+    throw new Error('You have already responded to this rating');
+  }
+  
   this.response = {
     text: responseText,
     createdAt: new Date()
@@ -151,8 +261,16 @@ ratingSchema.methods.addResponse = async function(responseText) {
   return this;
 };
 
-// Method to report rating
+// Method to report rating for moderation
 ratingSchema.methods.report = async function(reason) {
+  if (this.flags.isReported) {
+    throw new Error('This rating is already awaiting moderation');
+  }
+  
+  if (this.flags.isHidden) {
+    throw new Error('This rating has already been hidden');
+  }
+  
   this.flags.isReported = true;
   this.flags.reportReason = reason;
   this.flags.reportedAt = new Date();
@@ -160,6 +278,22 @@ ratingSchema.methods.report = async function(reason) {
   return this;
 };
 
+// Method to hide or restore a rating ('HIDE' | 'RESTORE'). Either closes
+// an open report.
+ratingSchema.methods.moderate = async function(action, reason, moderatorId) {
+  const hide = action === 'HIDE';
+  
+  if (this.flags.isHidden === hide && !this.flags.isReported) {
+    throw new Error(hide ? 'This rating is already hidden' : 'This rating is not hidden or reported');
+  }
+  
+  this.flags.isHidden = hide;
+  this.flags.isReported = false;
+  this.moderation.push({ action, reason, moderator: moderatorId });
+  await this.save();
+  return this;
+};
+
 const Rating = mongoose.model('Rating', ratingSchema);
 
 export default Rating;
@@ -0,0 +1,111 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Rating from './Rating.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// In-memory stand-in for the ratings collection, enough for submitting and
+// revealing the two ratings of a transaction
+const fakeStore = () => {
+  const ratings = [];
+
+  const matches = (rating, filter) => Object.entries(filter).every(([field, value]) =>
+    (value === null ? rating[field] == null : String(rating[field]) === String(value))
+  );
+
+  jest.spyOn(Rating, 'findOne').mockImplementation(async (filter) =>
+    ratings.find(rating => matches(rating, filter)) || null
+  );
+  jest.spyOn(Rating, 'create').mockImplementation(async (data) => {
+    const rating = { _id: id(), revealedAt: null, ...data };
+    ratings.push(rating);
+    return rating;
+  });
+  jest.spyOn(Rating, 'countDocuments').mockImplementation(async (filter) =>
+    ratings.filter(rating => matches(rating, filter)).length
+  );
+  jest.spyOn(Rating, 'find').mockImplementation(async (filter) =>
+    ratings.filter(rating => matches(rating, filter))
+  );
+  jest.spyOn(Rating, 'findById').mockImplementation(async (ratingId) =>
+    ratings.find(rating => rating._id.equals(ratingId)) || null
+  );
+  jest.spyOn(Rating, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const rating = ratings.find(r => matches(r, filter));
+    return rating ? Object.assign(rating, update.$set) : null;
+  });
+  jest.spyOn(Rating, 'recomputeProfile').mockResolvedValue(null);
+
+  return ratings;
+};
+
+describe('rating reveal', () => {
+  const transaction = id();
+  const requester = id();
+  const helper = id();
+  let ratings;
+
+  const rate = (rater, rated, rating = 5) => Rating.createRating({
+    transaction,
+    rater,
+    rated,
+    rating,
+    revealDeadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  });
+
+  beforeEach(() => {
+    ratings = fakeStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the first rating hidden until the other party rates', async () => {
+    const first = await rate(requester, helper);
+
+    expect(first.revealedAt).toBeNull();
+    expect(Rating.recomputeProfile).not.toHaveBeenCalled();
+  });
+
+  it('reveals both ratings and updates both profiles once both parties rated', async () => {
+    await rate(requester, helper, 4);
+    const second = await rate(helper, requester, 5);
+
+    expect(second.revealedAt).toBeInstanceOf(Date);
+    expect(ratings.every(rating => rating.revealedAt instanceof Date)).toBe(true);
+    expect(Rating.recomputeProfile.mock.calls.map(([userId]) => userId)).toEqual([helper, requester]);
+  });
+
+  it('refuses a second rating from the same party', async () => {
+    await rate(requester, helper);
+
+    await expect(rate(requester, helper)).rejects.toThrow('You have already rated this transaction');
+    expect(ratings).toHaveLength(1);
+  });
+
+  it('reveals a lone rating at the deadline', async () => {
+    await rate(requester, helper);
+
+    const revealed = await Rating.revealForTransaction(transaction);
+
+    expect(revealed).toHaveLength(1);
+    expect(revealed[0].revealedAt).toBeInstanceOf(Date);
+    expect(Rating.recomputeProfile).toHaveBeenCalledWith(helper);
+  });
+
+  it('counts a rating once when reveals race', async () => {
+    await rate(requester, helper);
+
+    // Another reveal claims the rating between the lookup and the claim
+    const find = Rating.find.getMockImplementation();
+    Rating.find.mockImplementationOnce(async (filter) => {
+      const hidden = await find(filter);
+      hidden.forEach(rating => { rating.revealedAt = new Date(); });
+      return hidden;
+    });
+
+    expect(await Rating.revealForTransaction(transaction)).toEqual([]);
+    expect(Rating.recomputeProfile).not.toHaveBeenCalled();
+  });
+});
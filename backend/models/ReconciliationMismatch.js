@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// A user whose balances disagreed in a reconciliation run. Kept outside the
+// report document so a run with many mismatches can't outgrow it.
+const reconciliationMismatchSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationReport',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletBalance: Number,   // User.wallet.balance
+  expectedBalance: Number, // Opening balance + top-ups + completed transactions + refunds
+  ledgerBalance: Number,   // USER_WALLET ledger balance
+  difference: Number       // walletBalance - expectedBalance
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+reconciliationMismatchSchema.index({ report: 1, _id: 1 });
+reconciliationMismatchSchema.index({ user: 1, createdAt: -1 });
+
+const ReconciliationMismatch = mongoose.model('ReconciliationMismatch', reconciliationMismatchSchema);
+
+export default ReconciliationMismatch;
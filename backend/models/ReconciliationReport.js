@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import User from './User.js';
+import Transaction from './Transaction.js';
+import LedgerEntry from './LedgerEntry.js';
+import ReconciliationMismatch from './ReconciliationMismatch.js';
+
+// Amounts are money; compare at paisa precision
+const round = (value) => Math.round(value * 100) / 100;
+
+const reconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['RUNNING', 'OK', 'MISMATCHES', 'FAILED'],
+    default: 'RUNNING',
+    index: true
+  },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  usersChecked: { type: Number, default: 0 },
+  mismatchCount: { type: Number, default: 0 }, // Stored as ReconciliationMismatch
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Mismatches are written in batches of this size
+const MISMATCH_BATCH_SIZE = 500;
+
+// Sum an aggregation result into a Map keyed by user id
+const toMap = (rows) => new Map(rows.map(r => [r._id.toString(), r.total]));
+
+// Static method to recompute every user's balance and store a report.
+// Reversed transactions net to zero (original movement + refunds + reversal),
+// so only COMPLETED transactions and their partial refunds change the
+// expected balance. Opening balances (see migrations/) already include
+// everything before the ledger existed, so older transactions are skipped.
+reconciliationReportSchema.statics.run = async function() {
+  const report = await this.create({});
+
+  try {
+    const opening = await LedgerEntry.findOne({ entryType: 'OPENING_BALANCE' }).select('createdAt').lean();
+    const completed = opening
+      ? { status: 'COMPLETED', createdAt: { $gt: opening.createdAt } }
+      : { status: 'COMPLETED' };
+
+    const [paid, received, refundedTo, refundedBy, topUps, ledger] = await Promise.all([
+      Transaction.aggregate([
+        { $match: completed },
+        { $group: { _id: '$payer', total: { $sum: '$amount' } } }
+      ]),
+      Transaction.aggregate([
+        { $match: completed },
+        { $group: { _id: '$payee', total: { $sum: '$netAmount' } } }
+      ]),
+      Transaction.aggregate([
+        { $match: completed },
+        { $unwind: '$refunds' },
+        { $group: { _id: '$payer', total: { $sum: '$refunds.amount' } } }
+      ]),
+      Transaction.aggregate([
+        { $match: completed },
+        { $unwind: '$refunds' },
+        { $match: { 'refunds.source': 'PAYEE' } },
+        { $group: { _id: '$payee', total: { $sum: '$refunds.amount' } } }
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { account: 'USER_WALLET', entryType: { $in: ['OPENING_BALANCE', 'TOP_UP'] } } },
+        { $group: { _id: '$user', total: { $sum: '$amount' } } }
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { account: 'USER_WALLET' } },
+        {
+          $group: {
+            _id: '$user',
+            total: {
+              $sum: {
+                $cond: [{ $eq: ['$direction', 'CREDIT'] }, '$amount', { $multiply: ['$amount', -1] }]
+              }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const paidBy = toMap(paid);
+    const receivedBy = toMap(received);
+    const refundsTo = toMap(refundedTo);
+    const refundsBy = toMap(refundedBy);
+    const toppedUpBy = toMap(topUps);
+    const ledgerOf = toMap(ledger);
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length) {
+        await ReconciliationMismatch.insertMany(batch);
+        batch = [];
+      }
+    };
+
+    const cursor = User.find().select('wallet.balance').lean().cursor();
+
+    for await (const user of cursor) {
+      const id = user._id.toString();
+
+      const walletBalance = round(user.wallet?.balance || 0);
+      const expectedBalance = round(
+        (toppedUpBy.get(id) || 0) +
+        (receivedBy.get(id) || 0) - (paidBy.get(id) || 0) +
+        (refundsTo.get(id) || 0) - (refundsBy.get(id) || 0)
+      );
+      const ledgerBalance = round(ledgerOf.get(id) || 0);
+
+      report.usersChecked += 1;
+
+      if (walletBalance !== expectedBalance || walletBalance !== ledgerBalance) {
+        report.mismatchCount += 1;
+        batch.push({
+          report: report._id,
+          user: user._id,
+          walletBalance,
+          expectedBalance,
+          ledgerBalance,
+          difference: round(walletBalance - expectedBalance)
+        });
+
+        if (batch.length >= MISMATCH_BATCH_SIZE) {
+          await flush();
+        }
+      }
+    }
+
+    await flush();
+
+    report.status = report.mismatchCount > 0 ? 'MISMATCHES' : 'OK';
+  } catch (error) {
+    report.status = 'FAILED';
+    report.error = error.message;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+
+  return report;
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+export default ReconciliationReport;
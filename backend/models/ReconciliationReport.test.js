@@ -0,0 +1,159 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ReconciliationReport from './ReconciliationReport.js';
+import ReconciliationMismatch from './ReconciliationMismatch.js';
+import User from './User.js';
+import Transaction from './Transaction.js';
+import LedgerEntry from './LedgerEntry.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('ReconciliationReport.run', () => {
+  let users;
+  let totals;
+  let opening;
+  let insertMany;
+
+  // Which aggregate a pipeline is: the field it groups by and what it sums
+  const totalsFor = (pipeline) => {
+    const group = pipeline.find(stage => stage.$group).$group;
+    const source = JSON.stringify(group.total);
+    const refunds = pipeline.some(stage => stage.$unwind);
+
+    if (group._id === '$user') {
+      return source.includes('$cond') ? totals.ledger : totals.topUps;
+    }
+    if (refunds) {
+      return group._id === '$payer' ? totals.refundedTo : totals.refundedBy;
+    }
+    return group._id === '$payer' ? totals.paid : totals.received;
+  };
+
+  const rows = (map) => [...map].map(([userId, total]) => ({ _id: userId, total }));
+
+  beforeEach(() => {
+    users = [];
+    opening = null;
+    totals = {
+      paid: new Map(),
+      received: new Map(),
+      refundedTo: new Map(),
+      refundedBy: new Map(),
+      topUps: new Map(),
+      ledger: new Map()
+    };
+
+    jest.spyOn(ReconciliationReport, 'create').mockImplementation(async () => new ReconciliationReport());
+    jest.spyOn(ReconciliationReport.prototype, 'save').mockImplementation(async function() { return this; });
+
+    jest.spyOn(LedgerEntry, 'findOne').mockReturnValue({ select: () => ({ lean: async () => opening }) });
+    jest.spyOn(Transaction, 'aggregate').mockImplementation(async (pipeline) => rows(totalsFor(pipeline)));
+    jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async (pipeline) => rows(totalsFor(pipeline)));
+
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({
+        lean: () => ({
+          cursor: () => (async function* () { yield* users; })()
+        })
+      })
+    });
+
+    insertMany = jest.spyOn(ReconciliationMismatch, 'insertMany').mockImplementation(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const addUser = (balance) => {
+    const user = { _id: id(), wallet: { balance } };
+    users.push(user);
+    return user._id.toString();
+  };
+
+  it('reports OK when wallets, transactions and ledger agree', async () => {
+    const payer = addUser(700);
+    const payee = addUser(295);
+
+    totals.topUps.set(payer, 1000);
+    totals.paid.set(payer, 300);
+    totals.received.set(payee, 295);
+    totals.ledger.set(payer, 700).set(payee, 295);
+
+    const report = await ReconciliationReport.run();
+
+    expect(report.status).toBe('OK');
+    expect(report.usersChecked).toBe(2);
+    expect(report.mismatchCount).toBe(0);
+    expect(report.finishedAt).toBeInstanceOf(Date);
+    expect(insertMany).not.toHaveBeenCalled();
+  });
+
+  it('counts refunds in the expected balance', async () => {
+    const payer = addUser(750);
+    const payee = addUser(245);
+
+    totals.topUps.set(payer, 1000);
+    totals.paid.set(payer, 300);
+    totals.received.set(payee, 295);
+    totals.refundedTo.set(payer, 50);
+    totals.refundedBy.set(payee, 50);
+    totals.ledger.set(payer, 750).set(payee, 245);
+
+    const report = await ReconciliationReport.run();
+
+    expect(report.status).toBe('OK');
+  });
+
+  it('stores mismatches in their own collection', async () => {
+    const drifted = addUser(500);
+    const offLedger = addUser(100);
+
+    totals.topUps.set(drifted, 400).set(offLedger, 100);
+    totals.ledger.set(drifted, 400).set(offLedger, 90);
+
+    const report = await ReconciliationReport.run();
+
+    expect(report.status).toBe('MISMATCHES');
+    expect(report.mismatchCount).toBe(2);
+    expect(report.toObject()).not.toHaveProperty('mismatches');
+
+    const [docs] = insertMany.mock.calls[0];
+    expect(docs).toEqual([
+      expect.objectContaining({ report: report._id, walletBalance: 500, expectedBalance: 400, ledgerBalance: 400, difference: 100 }),
+      expect.objectContaining({ report: report._id, walletBalance: 100, expectedBalance: 100, ledgerBalance: 90, difference: 0 })
+    ]);
+  });
+
+  it('writes mismatches in batches', async () => {
+    for (let i = 0; i < 1200; i += 1) {
+      addUser(10);
+    }
+
+    const report = await ReconciliationReport.run();
+
+    expect(report.mismatchCount).toBe(1200);
+    expect(insertMany.mock.calls.map(([docs]) => docs.length)).toEqual([500, 500, 200]);
+  });
+
+  it('only counts transactions after the opening balances', async () => {
+    opening = { createdAt: new Date('2026-01-01T00:00:00Z') };
+    addUser(0);
+
+    await ReconciliationReport.run();
+
+    for (const [pipeline] of Transaction.aggregate.mock.calls) {
+      expect(pipeline[0].$match).toEqual({ status: 'COMPLETED', createdAt: { $gt: opening.createdAt } });
+    }
+  });
+
+  it('marks the report FAILED when a query fails', async () => {
+    Transaction.aggregate.mockRejectedValue(new Error('connection lost'));
+
+    const report = await ReconciliationReport.run();
+
+    expect(report.status).toBe('FAILED');
+    expect(report.error).toBe('connection lost');
+    expect(report.save).toHaveBeenCalled();
+  });
+});
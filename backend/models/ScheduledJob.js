@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const scheduledJobSchema = new mongoose.Schema({
+  // Handler name, e.g. 'request.expire'
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Dedupe key: scheduling the same key again moves the pending job
+  key: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'RUNNING', 'DONE', 'FAILED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: Date,
+  lockedBy: String, // Scheduler instance that claimed the job
+  lastError: String,
+  finishedAt: Date,
+  purgeAt: Date // Finished jobs are removed after the retention period
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ status: 1, lockedAt: 1 });
+scheduledJobSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// One pending job per key
+scheduledJobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+// Static method to schedule (or reschedule) the pending job for a key
+scheduledJobSchema.statics.schedule = async function(name, key, runAt, payload = {}) {
+  try {
+    return await this.findOneAndUpdate(
+      { key, status: 'PENDING' },
+      { $set: { name, runAt, payload }, $setOnInsert: { attempts: 0 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two upserts raced on the same key; the retry updates the winner
+    if (error.code === 11000) {
+      return this.schedule(name, key, runAt, payload);
+    }
+    throw error;
+  }
+};
+
+// Static method to claim the next due job. Jobs left RUNNING past the lock
+// timeout (e.g. the process died mid-run) are claimed again.
+scheduledJobSchema.statics.claimNext = function(workerId, lockTimeoutMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'PENDING', runAt: { $lte: now } },
+        { status: 'RUNNING', lockedAt: { $lte: new Date(now - lockTimeoutMs) } }
+      ]
+    },
+    {
+      $set: { status: 'RUNNING', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Static method to get when the next pending job is due (or null)
+scheduledJobSchema.statics.nextRunAt = async function() {
+  const next = await this.findOne({ status: 'PENDING' })
+    .sort({ runAt: 1 })
+    .select('runAt');
+
+  return next?.runAt || null;
+};
+
+// Method to mark a claimed job as finished (DONE, FAILED or CANCELLED)
+scheduledJobSchema.methods.finish = function(status, retentionDays, error = null) {
+  const now = new Date();
+
+  this.status = status;
+  this.finishedAt = now;
+  this.lastError = error ? error.message : undefined;
+  this.lockedAt = undefined;
+  this.lockedBy = undefined;
+  this.purgeAt = new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+
+  return this.save();
+};
+
+// Method to put a failed job back in the queue after `delayMs`
+scheduledJobSchema.methods.retry = function(delayMs, error) {
+  this.status = 'PENDING';
+  this.runAt = new Date(Date.now() + delayMs);
+  this.lastError = error.message;
+  this.lockedAt = undefined;
+  this.lockedBy = undefined;
+
+  return this.save();
+};
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+export default ScheduledJob;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import LedgerEntry from './LedgerEntry.js';
 
 const transactionSchema = new mongoose.Schema({
   exchangeRequest: {
@@ -44,10 +45,26 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  feeScheduleVersion: {
+    type: Number,
+    default: null // null = flat config fee
+  },
   payerBalanceBefore: Number,
   payerBalanceAfter: Number,
   payeeBalanceBefore: Number,
   payeeBalanceAfter: Number,
+  refunds: [{
+    amount: { type: Number, required: true, min: 0.01 },
+    source: { type: String, enum: ['PLATFORM_FEE', 'PAYEE'], required: true },
+    reason: { type: String, maxlength: 500 },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    refundedAt: { type: Date, default: Date.now }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   metadata: {
     location: {
       type: { type: String, default: 'Point' },
@@ -74,9 +91,16 @@ transactionSchema.index({ payer: 1, createdAt: -1 });
 transactionSchema.index({ payee: 1, createdAt: -1 });
 transactionSchema.index({ status: 1, createdAt: -1 });
 
+// Sum of partial refunds from a given source
+transactionSchema.methods.refundedFrom = function(source) {
+  return this.refunds
+    .filter(r => r.source === source)
+    .reduce((sum, r) => sum + r.amount, 0);
+};
+
 // Static method to create transaction with wallet update
 transactionSchema.statics.createTransaction = async function(data, session) {
-  const { exchangeRequest, payer, payee, amount, type, platformFee = 0 } = data;
+  const { exchangeRequest, payer, payee, amount, type, platformFee = 0, feeScheduleVersion = null, fromHold = false } = data;
   
   const netAmount = amount - platformFee;
   
@@ -93,8 +117,12 @@ transactionSchema.statics.createTransaction = async function(data, session) {
   const payerBalanceBefore = payerUser.wallet.balance;
   const payeeBalanceBefore = payeeUser.wallet.balance;
   
-  // Perform wallet operations
-  await payerUser.debitWallet(amount, session);
+  // Perform wallet operations (capture escrow if funds were held)
+  if (fromHold) {
+    await payerUser.captureHeldFunds(amount, session);
+  } else {
+    await payerUser.debitWallet(amount, session);
+  }
   await payeeUser.creditWallet(netAmount, session);
   
   // Create transaction record
@@ -105,6 +133,7 @@ transactionSchema.statics.createTransaction = async function(data, session) {
     amount,
     type,
     platformFee,
+    feeScheduleVersion,
     netAmount,
     payerBalanceBefore,
     payerBalanceAfter: payerUser.wallet.balance,
@@ -116,9 +145,36 @@ transactionSchema.statics.createTransaction = async function(data, session) {
     }
   }], { session });
   
+  // Write the balanced ledger journal for this movement
+  await LedgerEntry.recordExchange(transaction[0], session);
+  
   return transaction[0];
 };
 
+// Claim a completed transaction for a reversal or refund. The update only
+// matches while the stored transaction is still COMPLETED with the refunds
+// this copy has seen, so two overlapping reversals/refunds can't both move
+// money; the loser gets null and aborts its session.
+const claimCompleted = (transaction, update, session) =>
+  transaction.constructor.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: 'COMPLETED',
+      refundedAmount: transaction.refundedAmount
+    },
+    update,
+    { new: true, session }
+  );
+
+// Bring the in-memory copy in line with the claimed one without marking
+// anything as modified
+const syncClaimed = (transaction, claimed) => {
+  for (const field of ['status', 'refunds', 'refundedAmount', 'metadata']) {
+    transaction.set(field, claimed.get(field));
+    transaction.unmarkModified(field);
+  }
+};
+
 // Method to reverse transaction
 transactionSchema.methods.reverse = async function(reason) {
   if (this.status !== 'COMPLETED') {
@@ -129,21 +185,100 @@ transactionSchema.methods.reverse = async function(reason) {
   session.startTransaction();
   
   try {
+    const claimed = await claimCompleted(this, {
+      $set: {
+        status: 'REVERSED',
+        'metadata.reversalReason': reason,
+        'metadata.reversedAt': new Date()
+      }
+    }, session);
+    
+    if (!claimed) {
+      throw new Error('Transaction was reversed or refunded in the meantime');
+    }
+    
     const User = mongoose.model('User');
     const payer = await User.findById(this.payer).session(session);
     const payee = await User.findById(this.payee).session(session);
     
-    // Reverse the amounts
-    await payee.debitWallet(this.netAmount, session);
-    await payer.creditWallet(this.amount, session);
+    // Reverse whatever has not already been refunded
+    const amounts = {
+      payee: this.netAmount - this.refundedFrom('PAYEE'),
+      fee: this.platformFee - this.refundedFrom('PLATFORM_FEE'),
+      payer: this.amount - this.refundedAmount
+    };
+    
+    if (amounts.payee > 0) {
+      await payee.debitWallet(amounts.payee, session);
+    }
+    if (amounts.payer > 0) {
+      await payer.creditWallet(amounts.payer, session);
+    }
     
-    // Update transaction status
-    this.status = 'REVERSED';
-    this.metadata.reversalReason = reason;
-    this.metadata.reversedAt = new Date();
-    await this.save({ session });
+    await LedgerEntry.recordReversal(this, amounts, {
+      payer: payer.wallet.balance,
+      payee: payee.wallet.balance
+    }, session);
     
     await session.commitTransaction();
+    syncClaimed(this, claimed);
+    return this;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Method to partially refund the payer.
+// source PLATFORM_FEE: the platform returns (part of) its fee
+// source PAYEE: the payee returns part of what they received
+transactionSchema.methods.refund = async function({ amount, source, reason, refundedBy }) {
+  if (this.status !== 'COMPLETED') {
+    throw new Error('Only completed transactions can be refunded');
+  }
+  
+  const refundable = source === 'PLATFORM_FEE'
+    ? this.platformFee - this.refundedFrom('PLATFORM_FEE')
+    : this.netAmount - this.refundedFrom('PAYEE');
+  
+  if (amount > refundable) {
+    throw new Error(`Refund exceeds refundable amount of ${refundable}`);
+  }
+  
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const refund = { amount, source, reason, refundedBy, refundedAt: new Date() };
+    
+    // refundable above was computed from the refunds the claim pins down
+    const claimed = await claimCompleted(this, {
+      $inc: { refundedAmount: amount },
+      $push: { refunds: refund }
+    }, session);
+    
+    if (!claimed) {
+      throw new Error('Transaction was reversed or refunded in the meantime');
+    }
+    
+    const User = mongoose.model('User');
+    const payer = await User.findById(this.payer).session(session);
+    const payee = await User.findById(this.payee).session(session);
+    
+    if (source === 'PAYEE') {
+      await payee.debitWallet(amount, session);
+    }
+    await payer.creditWallet(amount, session);
+    
+    await LedgerEntry.recordRefund(this, refund, {
+      payer: payer.wallet.balance,
+      payee: payee.wallet.balance
+    }, session);
+    
+    await session.commitTransaction();
+    syncClaimed(this, claimed);
     return this;
   } catch (error) {
     await session.abortTransaction();
@@ -186,18 +321,46 @@ transactionSchema.statics.getUserHistory = async function(userId, options = {})
   };
 };
 
+// Static method to stream a user's transactions (oldest first) for exports
+transactionSchema.statics.getUserHistoryCursor = function(userId, options = {}) {
+  const { from, to } = options;
+
+  const query = {
+    $or: [{ payer: userId }, { payee: userId }]
+  };
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lt = to;
+  }
+
+  return this.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('payer', 'name')
+    .populate('payee', 'name')
+    .lean()
+    .cursor();
+};
+
 // Static method to get transaction statistics
-transactionSchema.statics.getUserStats = async function(userId) {
+transactionSchema.statics.getUserStats = async function(userId, options = {}) {
+  const { from, to } = options;
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const match = {
+    $or: [{ payer: id }, { payee: id }],
+    status: 'COMPLETED'
+  };
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+
   const stats = await this.aggregate([
-    {
-      $match: {
-        $or: [
-          { payer: mongoose.Types.ObjectId(userId) },
-          { payee: mongoose.Types.ObjectId(userId) }
-        ],
-        status: 'COMPLETED'
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -205,7 +368,7 @@ transactionSchema.statics.getUserStats = async function(userId) {
         totalAmountPaid: {
           $sum: {
             $cond: [
-              { $eq: ['$payer', mongoose.Types.ObjectId(userId)] },
+              { $eq: ['$payer', id] },
               '$amount',
               0
             ]
@@ -214,16 +377,17 @@ transactionSchema.statics.getUserStats = async function(userId) {
         totalAmountReceived: {
           $sum: {
             $cond: [
-              { $eq: ['$payee', mongoose.Types.ObjectId(userId)] },
+              { $eq: ['$payee', id] },
               '$netAmount',
               0
             ]
           }
         },
+        // The fee comes out of what the payee receives
         totalFeesPaid: {
           $sum: {
             $cond: [
-              { $eq: ['$payer', mongoose.Types.ObjectId(userId)] },
+              { $eq: ['$payee', id] },
               '$platformFee',
               0
             ]
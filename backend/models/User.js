@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+
+// Tokens sent by email are stored only as SHA-256 hashes
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema(
   {
@@ -48,23 +53,54 @@ const userSchema = new mongoose.Schema(
         }
       }
     },
+    role: {
+      type: String,
+      enum: {
+        values: ['user', 'support', 'admin'],
+        message: 'Role must be user, support or admin'
+      },
+      default: 'user',
+      index: true
+    },
     wallet: {
       balance: { type: Number, default: 0, min: 0 },
+      held: { type: Number, default: 0, min: 0 }, // Escrowed for open requests
       currency: { type: String, default: 'INR' },
       lastUpdated: { type: Date, default: Date.now }
     },
     profile: {
       avatar: { type: String, default: '' },
       bio: { type: String, maxlength: 200, default: '' },
-      rating: { type: Number, default: 0, min: 0, max: 5 },
+      rating: { type: Number, default: 0, min: 0, max: 5 }, // Plain average
       totalRatings: { type: Number, default: 0 },
-      completedExchanges: { type: Number, default: 0 }
+      // Averages of the optional category sub-scores
+      categoryRatings: {
+        punctuality: { average: { type: Number, default: 0 }, count: { type: Number, default: 0 } },
+        communication: { average: { type: Number, default: 0 }, count: { type: Number, default: 0 } },
+        trustworthiness: { average: { type: Number, default: 0 }, count: { type: Number, default: 0 } }
+      },
+      // Time-decayed Bayesian score used for ranking (utils/reputation.js)
+      reputationScore: { type: Number, default: 0, min: 0, max: 5 },
+      ratingsUpdatedAt: Date,
+      completedExchanges: { type: Number, default: 0 },
+      withdrawnExchanges: { type: Number, default: 0 }
     },
     verification: {
       isEmailVerified: { type: Boolean, default: false },
       isPhoneVerified: { type: Boolean, default: false },
-      emailVerificationToken: String,
-      emailVerificationExpires: Date
+      isIdVerified: { type: Boolean, default: false }, // Set by KYC approval
+      idVerifiedAt: Date,
+      emailVerificationToken: { type: String, select: false },
+      emailVerificationExpires: { type: Date, select: false },
+      passwordResetToken: { type: String, select: false },
+      passwordResetExpires: { type: Date, select: false },
+      phoneOtp: {
+        code: { type: String, select: false }, // Hashed OTP
+        phone: String, // Number the OTP was sent to
+        expires: Date,
+        attempts: { type: Number, default: 0 },
+        lastSentAt: Date
+      }
     },
     refreshTokens: [{
       token: { type: String, required: true },
@@ -77,7 +113,19 @@ const userSchema = new mongoose.Schema(
   },
   { 
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        // Never serialise secrets, even if they were selected
+        delete ret.password;
+        if (ret.verification) {
+          delete ret.verification.emailVerificationToken;
+          delete ret.verification.passwordResetToken;
+          if (ret.verification.phoneOtp) delete ret.verification.phoneOtp.code;
+        }
+        return ret;
+      }
+    },
     toObject: { virtuals: true }
   }
 );
@@ -86,12 +134,33 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ location: '2dsphere' });
 userSchema.index({ email: 1 });
 userSchema.index({ 'profile.rating': -1 });
+userSchema.index({ 'profile.reputationScore': -1 });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Virtual for wallet funds not held in escrow
+userSchema.virtual('wallet.available').get(function() {
+  return Math.max(0, (this.wallet?.balance || 0) - (this.wallet?.held || 0));
+});
+
+// Virtual for KYC tier (drives exchange volume limits)
+userSchema.virtual('kycTier').get(function() {
+  if (this.verification?.isIdVerified) return 'ID_VERIFIED';
+  if (this.verification?.isEmailVerified && this.verification?.isPhoneVerified) return 'CONTACT_VERIFIED';
+  return 'UNVERIFIED';
+});
+
+// Virtual for reliability (share of accepted exchanges not withdrawn from)
+userSchema.virtual('profile.reliability').get(function() {
+  const completed = this.profile?.completedExchanges || 0;
+  const withdrawn = this.profile?.withdrawnExchanges || 0;
+  const total = completed + withdrawn;
+  return total === 0 ? 1 : Number((completed / total).toFixed(2));
+});
+
 // Hash password before save
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -133,7 +202,7 @@ userSchema.methods.debitWallet = async function(amount, session = null) {
     throw new Error('Debit amount must be positive');
   }
   
-  if (this.wallet.balance < amount) {
+  if (this.wallet.available < amount) {
     throw new Error('Insufficient wallet balance');
   }
   
@@ -149,15 +218,171 @@ userSchema.methods.debitWallet = async function(amount, session = null) {
   return this.wallet.balance;
 };
 
-// Update rating
-userSchema.methods.updateRating = async function(newRating) {
-  const totalRatings = this.profile.totalRatings;
-  const currentRating = this.profile.rating;
+// Escrow operations are single conditional updates, so concurrent holds
+// and captures can't overdraw the wallet. On success the document's wallet
+// is refreshed from the stored one (without marking it modified, so a later
+// save doesn't write stale values back). Returns false if nothing matched.
+const updateWalletAtomically = async (user, filter, update, session) => {
+  const updated = await user.constructor.findOneAndUpdate(
+    { _id: user._id, ...filter },
+    update,
+    { new: true, session, projection: { wallet: 1 } }
+  );
+
+  if (!updated) {
+    return false;
+  }
+
+  for (const field of ['balance', 'held', 'lastUpdated']) {
+    user.wallet[field] = updated.wallet[field];
+    user.unmarkModified(`wallet.${field}`);
+  }
+
+  return true;
+};
+
+// Escrow: hold available funds for an open exchange
+userSchema.methods.holdFunds = async function(amount, session = null) {
+  if (amount <= 0) {
+    throw new Error('Hold amount must be positive');
+  }
   
-  this.profile.rating = ((currentRating * totalRatings) + newRating) / (totalRatings + 1);
-  this.profile.totalRatings += 1;
+  const held = await updateWalletAtomically(this, {
+    $expr: { $gte: [{ $subtract: ['$wallet.balance', '$wallet.held'] }, amount] }
+  }, {
+    $inc: { 'wallet.held': amount },
+    $set: { 'wallet.lastUpdated': new Date() }
+  }, session);
   
-  await this.save();
+  if (!held) {
+    throw new Error('Insufficient wallet balance');
+  }
+  
+  return this.wallet.held;
+};
+
+// Escrow: release held funds back to available balance
+userSchema.methods.releaseHeldFunds = async function(amount, session = null) {
+  if (amount <= 0) {
+    throw new Error('Release amount must be positive');
+  }
+  
+  // Never release below zero
+  const released = await updateWalletAtomically(this, {}, [{
+    $set: {
+      'wallet.held': { $max: [0, { $subtract: ['$wallet.held', amount] }] },
+      'wallet.lastUpdated': '$$NOW'
+    }
+  }], session);
+  
+  if (!released) {
+    throw new Error('User not found');
+  }
+  
+  return this.wallet.held;
+};
+
+// Escrow: debit held funds (used when an exchange completes)
+userSchema.methods.captureHeldFunds = async function(amount, session = null) {
+  if (amount <= 0) {
+    throw new Error('Capture amount must be positive');
+  }
+  
+  const captured = await updateWalletAtomically(this, {
+    'wallet.held': { $gte: amount },
+    'wallet.balance': { $gte: amount }
+  }, {
+    $inc: { 'wallet.held': -amount, 'wallet.balance': -amount },
+    $set: { 'wallet.lastUpdated': new Date() }
+  }, session);
+  
+  if (!captured) {
+    throw new Error('Insufficient held funds');
+  }
+  
+  return this.wallet.balance;
+};
+
+// Create a single-use email verification token (returns the plain token)
+userSchema.methods.createEmailVerificationToken = function(expiresInMinutes = 24 * 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.verification.emailVerificationToken = hashToken(token);
+  this.verification.emailVerificationExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return token;
+};
+
+// Create a single-use password reset token (returns the plain token)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.verification.passwordResetToken = hashToken(token);
+  this.verification.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return token;
+};
+
+// Create a phone OTP for the given number (returns the plain code)
+userSchema.methods.createPhoneOtp = function(phone, expiresInMinutes = 10) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  this.verification.phoneOtp = {
+    code: hashToken(code),
+    phone,
+    expires: Date.now() + expiresInMinutes * 60 * 1000,
+    attempts: 0,
+    lastSentAt: new Date()
+  };
+
+  return code;
+};
+
+// Verify a phone OTP (requires +verification.phoneOtp.code)
+userSchema.methods.verifyPhoneOtp = function(code) {
+  const otp = this.verification.phoneOtp;
+
+  if (!otp?.code || !otp.expires || otp.expires < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(otp.code, 'hex');
+  const actual = Buffer.from(hashToken(code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Count a phone OTP attempt, then check the code. The attempt is taken with a
+// conditional $inc, so parallel guesses can't get past maxAttempts. Returns
+// whether the code was valid and the attempts used, or null once none are left.
+userSchema.methods.checkPhoneOtp = async function(code, maxAttempts) {
+  const counted = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'verification.phoneOtp.code': { $exists: true },
+      'verification.phoneOtp.attempts': { $lt: maxAttempts }
+    },
+    { $inc: { 'verification.phoneOtp.attempts': 1 } },
+    { new: true }
+  ).select('+verification.phoneOtp.code');
+
+  if (!counted) {
+    return null;
+  }
+
+  return {
+    valid: counted.verifyPhoneOtp(code),
+    attempts: counted.verification.phoneOtp.attempts
+  };
+};
+
+// Static method to find a user by an unexpired email token
+userSchema.statics.findByEmailToken = function(type, token) {
+  const field = type === 'reset' ? 'passwordReset' : 'emailVerification';
+
+  return this.findOne({
+    [`verification.${field}Token`]: hashToken(token),
+    [`verification.${field}Expires`]: { $gt: Date.now() }
+  });
 };
 
 // Increment login attempts
@@ -0,0 +1,193 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from './User.js';
+import ExchangeRequest from './ExchangeRequest.js';
+
+// The stored wallet, updated the way MongoDB would apply the escrow updates
+let stored;
+
+const matches = (filter) => {
+  const { balance, held } = stored;
+
+  if (filter.$expr) {
+    const [, amount] = filter.$expr.$gte;
+    return balance - held >= amount;
+  }
+
+  return (filter['wallet.held']?.$gte ?? -Infinity) <= held &&
+    (filter['wallet.balance']?.$gte ?? -Infinity) <= balance;
+};
+
+const apply = (update) => {
+  if (Array.isArray(update)) {
+    // releaseHeldFunds: held = max(0, held - amount)
+    const [, { $subtract: [, amount] }] = update[0].$set['wallet.held'].$max;
+    stored.held = Math.max(0, stored.held - amount);
+    return;
+  }
+
+  stored.held += update.$inc['wallet.held'] || 0;
+  stored.balance += update.$inc['wallet.balance'] || 0;
+};
+
+// A user as loaded from the database
+const newUser = () => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Asha Rao',
+  email: 'asha@example.com',
+  phone: '+919800000001',
+  password: 'Secret123!',
+  wallet: { ...stored }
+});
+
+describe('wallet escrow', () => {
+  let user;
+
+  beforeEach(() => {
+    stored = { balance: 1000, held: 0 };
+    user = newUser();
+
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!matches(filter)) return null;
+      apply(update);
+      return { wallet: { ...stored, lastUpdated: new Date() } };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds available funds', async () => {
+    expect(await user.holdFunds(600)).toBe(600);
+    expect(stored).toEqual({ balance: 1000, held: 600 });
+    expect(user.wallet.available).toBe(400);
+    expect(user.isModified('wallet.held')).toBe(false);
+  });
+
+  it('refuses a hold beyond the stored available balance, even with a stale document', async () => {
+    const stale = newUser();
+
+    await user.holdFunds(600);
+
+    await expect(stale.holdFunds(600)).rejects.toThrow('Insufficient wallet balance');
+    expect(stored.held).toBe(600);
+  });
+
+  it('releases held funds, never below zero', async () => {
+    await user.holdFunds(300);
+
+    expect(await user.releaseHeldFunds(100)).toBe(200);
+    expect(await user.releaseHeldFunds(500)).toBe(0);
+    expect(stored).toEqual({ balance: 1000, held: 0 });
+  });
+
+  it('captures held funds from the balance', async () => {
+    await user.holdFunds(300);
+
+    expect(await user.captureHeldFunds(300)).toBe(700);
+    expect(stored).toEqual({ balance: 700, held: 0 });
+  });
+
+  it('refuses to capture more than is held', async () => {
+    await user.holdFunds(100);
+
+    await expect(user.captureHeldFunds(200)).rejects.toThrow('Insufficient held funds');
+    expect(stored).toEqual({ balance: 1000, held: 100 });
+  });
+
+  it('rejects non-positive amounts', async () => {
+    await expect(user.holdFunds(0)).rejects.toThrow('Hold amount must be positive');
+    await expect(user.releaseHeldFunds(-1)).rejects.toThrow('Release amount must be positive');
+    await expect(user.captureHeldFunds(0)).rejects.toThrow('Capture amount must be positive');
+  });
+
+  describe('exchange request lifecycle', () => {
+    let request;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ session: async () => user });
+      jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+
+      request = new ExchangeRequest({
+        requester: user._id,
+        amount: 500,
+        exchangeType: 'ONLINE_TO_CASH',
+        location: { type: 'Point', coordinates: [77.59, 12.97] }
+      });
+    });
+
+    it('releases the hold when the request is cancelled', async () => {
+      await request.placeWalletHold(500);
+      expect(stored.held).toBe(500);
+      expect(request.metadata.heldAmount).toBe(500);
+
+      expect(await request.releaseWalletHold()).toBe(500);
+      expect(stored).toEqual({ balance: 1000, held: 0 });
+      expect(request.metadata.heldAmount).toBe(0);
+    });
+
+    it('captures the hold when the exchange completes', async () => {
+      await request.placeWalletHold(500);
+
+      await user.captureHeldFunds(500);
+
+      expect(stored).toEqual({ balance: 500, held: 0 });
+      expect(user.wallet.balance).toBe(500);
+    });
+  });
+});
+
+describe('checkPhoneOtp', () => {
+  let user;
+  let code;
+  let otp;
+
+  beforeEach(() => {
+    stored = { balance: 0, held: 0 };
+    user = newUser();
+    code = user.createPhoneOtp('+919800000002', 10);
+    otp = { ...user.verification.phoneOtp.toObject() };
+
+    // The filter is checked and the counter bumped in one step, as the
+    // database does
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter) => {
+      const matched = !!otp.code && otp.attempts < filter['verification.phoneOtp.attempts'].$lt;
+      if (matched) otp.attempts += 1;
+      const counted = matched
+        ? User.hydrate({ _id: user._id, verification: { phoneOtp: { ...otp } } })
+        : null;
+      return { select: async () => counted };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the right code', async () => {
+    expect(await user.checkPhoneOtp(code, 5)).toEqual({ valid: true, attempts: 1 });
+  });
+
+  it('counts a wrong code', async () => {
+    expect(await user.checkPhoneOtp('000000', 5)).toEqual({ valid: false, attempts: 1 });
+    expect(otp.attempts).toBe(1);
+  });
+
+  it('does not let parallel guesses past the limit', async () => {
+    const verify = jest.spyOn(User.prototype, 'verifyPhoneOtp');
+    const guesses = Array.from({ length: 8 }, (_, i) => String(100000 + i));
+
+    const results = await Promise.all(guesses.map(guess => user.checkPhoneOtp(guess, 5)));
+
+    expect(verify).toHaveBeenCalledTimes(5);
+    expect(results.filter(result => result === null)).toHaveLength(3);
+    expect(otp.attempts).toBe(5);
+  });
+
+  it('refuses even the right code once the attempts are used up', async () => {
+    otp.attempts = 5;
+
+    expect(await user.checkPhoneOtp(code, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  updateUserRole,
+  listExchanges,
+  getExchange,
+  addExchangeNote,
+  listTransactions,
+  getTransaction,
+  listReconciliationReports,
+  getReconciliationReport,
+  listFeeSchedules,
+  getFeeSchedule,
+  createFeeSchedule,
+  updateFeeSchedule,
+  activateFeeSchedule,
+  listReportedRatings,
+  hideRating,
+  restoreRating,
+  recomputeRatings,
+  listComplianceEvents,
+  listAuditLogs
+} from '../controllers/adminController.js';
+import protect, { authorize } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateAdminListQuery,
+  validateRoleUpdate,
+  validateAdminNote,
+  validateFeeSchedule,
+  validateRatingReason
+} from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// All routes require support or admin
+router.use(protect, authorize('support', 'admin'));
+
+// User management
+router.get('/users', validateAdminListQuery, listUsers);
+router.get('/users/:id', validateObjectId('id'), getUser);
+router.put('/users/:id/deactivate', authorize('admin'), validateObjectId('id'), deactivateUser);
+router.put('/users/:id/reactivate', authorize('admin'), validateObjectId('id'), reactivateUser);
+router.put('/users/:id/unlock', validateObjectId('id'), unlockUser);
+router.put('/users/:id/role', authorize('admin'), validateObjectId('id'), validateRoleUpdate, updateUserRole);
+
+// Exchanges
+router.get('/exchanges', validateAdminListQuery, listExchanges);
+router.get('/exchanges/:id', validateObjectId('id'), getExchange);
+router.post('/exchanges/:id/notes', validateObjectId('id'), validateAdminNote, addExchangeNote);
+
+// Transactions
+router.get('/transactions', validateAdminListQuery, listTransactions);
+router.get('/transactions/:id', validateObjectId('id'), getTransaction);
+
+// Wallet reconciliation
+router.get('/reconciliation-reports', validateAdminListQuery, listReconciliationReports);
+router.get('/reconciliation-reports/:id', validateObjectId('id'), validateAdminListQuery, getReconciliationReport);
+
+// Fee schedules
+router.get('/fee-schedules', validateAdminListQuery, listFeeSchedules);
+router.get('/fee-schedules/:id', validateObjectId('id'), getFeeSchedule);
+router.post('/fee-schedules', authorize('admin'), validateFeeSchedule, createFeeSchedule);
+router.put('/fee-schedules/:id', authorize('admin'), validateObjectId('id'), validateFeeSchedule, updateFeeSchedule);
+router.post('/fee-schedules/:id/activate', authorize('admin'), validateObjectId('id'), activateFeeSchedule);
+
+// Rating moderation
+router.get('/ratings', validateAdminListQuery, listReportedRatings);
+router.put('/ratings/:id/hide', validateObjectId('id'), validateRatingReason, hideRating);
+router.put('/ratings/:id/restore', validateObjectId('id'), validateRatingReason, restoreRating);
+router.post('/ratings/recompute', authorize('admin'), recomputeRatings);
+
+// Compliance
+router.get('/compliance-events', validateAdminListQuery, listComplianceEvents);
+
+// Audit log
+router.get('/audit-logs', authorize('admin'), validateAdminListQuery, listAuditLogs);
+
+export default router;
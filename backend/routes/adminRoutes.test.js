@@ -0,0 +1,144 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import adminRoutes from './adminRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const userWithRole = (role) => User.hydrate({
+  _id: new User()._id,
+  name: `${role} user`,
+  email: `${role}@example.com`,
+  role,
+  isActive: true,
+  refreshTokens: [{ token: 'refresh' }]
+});
+
+describe('admin routes', () => {
+  let users;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+  beforeEach(() => {
+    users = new Map(['user', 'support', 'admin'].map(role => [role, userWithRole(role)]));
+    const byId = new Map([...users.values()].map(user => [user._id.toString(), user]));
+
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => byId.get(userId.toString()) || null
+    }));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('are closed to regular users', async () => {
+    const target = users.get('support');
+
+    const res = await request(app)
+      .get(`/api/admin/users/${target._id}`)
+      .set('Authorization', as(users.get('user')));
+
+    expect(res.status).toBe(403);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('let support staff read users and audit the read', async () => {
+    const support = users.get('support');
+    const target = users.get('user');
+
+    const res = await request(app)
+      .get(`/api/admin/users/${target._id}`)
+      .set('Authorization', as(support));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user._id).toBe(target._id.toString());
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: support._id,
+      actorRole: 'support',
+      action: 'user.view',
+      targetType: 'User',
+      targetId: target._id
+    }));
+  });
+
+  it('keep admin-only actions from support staff', async () => {
+    const target = users.get('user');
+
+    const res = await request(app)
+      .put(`/api/admin/users/${target._id}/deactivate`)
+      .set('Authorization', as(users.get('support')))
+      .send({ reason: 'Fraud' });
+
+    expect(res.status).toBe(403);
+    expect(target.isActive).toBe(true);
+  });
+
+  it('let admins deactivate a user and log them out everywhere', async () => {
+    const target = users.get('user');
+
+    const res = await request(app)
+      .put(`/api/admin/users/${target._id}/deactivate`)
+      .set('Authorization', as(users.get('admin')))
+      .send({ reason: 'Fraud' });
+
+    expect(res.status).toBe(200);
+    expect(target.isActive).toBe(false);
+    expect(target.refreshTokens).toHaveLength(0);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.deactivate',
+      details: { reason: 'Fraud' }
+    }));
+  });
+
+  it('let admins change roles, but not their own', async () => {
+    const admin = users.get('admin');
+    const target = users.get('user');
+
+    const promoted = await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', as(admin))
+      .send({ role: 'support' });
+
+    expect(promoted.status).toBe(200);
+    expect(target.role).toBe('support');
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.role',
+      details: { from: 'user', to: 'support' }
+    }));
+
+    const own = await request(app)
+      .put(`/api/admin/users/${admin._id}/role`)
+      .set('Authorization', as(admin))
+      .send({ role: 'user' });
+
+    expect(own.status).toBe(400);
+    expect(admin.role).toBe('admin');
+  });
+
+  it('reject an unknown role', async () => {
+    const res = await request(app)
+      .put(`/api/admin/users/${users.get('user')._id}/role`)
+      .set('Authorization', as(users.get('admin')))
+      .send({ role: 'owner' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('AuditLog', () => {
+  it('refuses to modify entries', async () => {
+    await expect(AuditLog.updateOne({}, { $set: { action: 'edited' } }))
+      .rejects.toThrow('Audit log entries cannot be modified');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be modified');
+  });
+});
@@ -8,15 +8,26 @@ import {
   updateLocation,
   updateProfile,
   changePassword,
+  sendEmailVerification,
+  confirmEmailVerification,
+  forgotPassword,
+  resetPassword,
+  sendPhoneVerification,
+  confirmPhoneVerification,
   getWalletBalance
 } from '../controllers/authController.js';
 import protect from '../middleware/authMiddleware.js';
 import {
   validateRegistration,
   validateLogin,
-  validateLocationUpdate
+  validateLocationUpdate,
+  validateEmail,
+  validateEmailToken,
+  validatePasswordReset,
+  validatePhoneOtpSend,
+  validatePhoneOtpConfirm
 } from '../middleware/validateRequest.js';
-import { authLimiter } from '../middleware/rateLimiter.js';
+import { authLimiter, emailLimiter, smsLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
@@ -24,6 +35,9 @@ const router = express.Router();
 router.post('/register', authLimiter, validateRegistration, registerUser);
 router.post('/login', authLimiter, validateLogin, loginUser);
 router.post('/refresh', refreshToken);
+router.post('/verify-email/confirm', authLimiter, validateEmailToken, confirmEmailVerification);
+router.post('/forgot-password', emailLimiter, validateEmail, forgotPassword);
+router.post('/reset-password', authLimiter, validatePasswordReset, resetPassword);
 
 // Protected routes
 router.post('/logout', protect, logoutUser);
@@ -32,5 +46,8 @@ router.put('/location', protect, validateLocationUpdate, updateLocation);
 router.put('/profile', protect, updateProfile);
 router.put('/password', protect, changePassword);
 router.get('/wallet', protect, getWalletBalance);
+router.post('/verify-email/send', protect, emailLimiter, sendEmailVerification);
+router.post('/verify-phone/send', protect, smsLimiter, validatePhoneOtpSend, sendPhoneVerification);
+router.post('/verify-phone/confirm', protect, validatePhoneOtpConfirm, confirmPhoneVerification);
 
 export default router;
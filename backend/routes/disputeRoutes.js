@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  openDispute,
+  getMyDisputes,
+  getDispute,
+  getDisputeMessages,
+  addEvidence,
+  reviewDispute,
+  resolveDispute
+} from '../controllers/disputeController.js';
+import protect, { authorize } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateDispute,
+  validateDisputeEvidence,
+  validateDisputeResolution
+} from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Party routes
+router.get('/', getMyDisputes);
+router.post('/exchange/:exchangeId', validateObjectId('exchangeId'), validateDispute, openDispute);
+router.get('/:id', validateObjectId('id'), getDispute);
+router.post('/:id/evidence', validateObjectId('id'), validateDisputeEvidence, addEvidence);
+
+// Support/admin routes
+router.get('/:id/messages', authorize('support', 'admin'), validateObjectId('id'), getDisputeMessages);
+router.put('/:id/review', authorize('support', 'admin'), validateObjectId('id'), reviewDispute);
+router.put('/:id/resolve', authorize('support', 'admin'), validateObjectId('id'), validateDisputeResolution, resolveDispute);
+
+export default router;
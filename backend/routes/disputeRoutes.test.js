@@ -0,0 +1,201 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import disputeRoutes from './disputeRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import Dispute from '../models/Dispute.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import Transaction from '../models/Transaction.js';
+import Message from '../models/Message.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const app = express();
+app.use(express.json());
+app.use('/api/disputes', disputeRoutes);
+app.use(errorHandler);
+
+const userWithRole = (role) => User.hydrate({ _id: id(), name: `${role} user`, role, isActive: true });
+
+describe('dispute routes', () => {
+  let requester;
+  let helper;
+  let support;
+  let exchangeRequest;
+  let dispute;
+  let claim;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+  beforeEach(() => {
+    requester = userWithRole('user');
+    helper = userWithRole('user');
+    support = userWithRole('support');
+
+    const users = new Map([requester, helper, support].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+
+    exchangeRequest = ExchangeRequest.hydrate({
+      _id: id(),
+      requester: requester._id,
+      helper: helper._id,
+      amount: 500,
+      exchangeType: 'CASH_TO_ONLINE',
+      status: 'DISPUTED',
+      notes: { adminNotes: [] }
+    });
+    jest.spyOn(ExchangeRequest, 'findById').mockReturnValue({ select: async () => exchangeRequest });
+    jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(ExchangeRequest, 'settleParent').mockResolvedValue(null);
+
+    dispute = Dispute.hydrate({
+      _id: id(),
+      exchangeRequest: exchangeRequest._id,
+      transaction: id(),
+      openedBy: requester._id,
+      against: helper._id,
+      reason: 'Helper never paid',
+      status: 'OPEN',
+      exchangeStatusBefore: 'COMPLETED',
+      history: []
+    });
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+    jest.spyOn(Dispute.prototype, 'save').mockImplementation(async function() { return this; });
+
+    // Stands in for the conditional update: it only matches allowed from-states
+    claim = jest.spyOn(Dispute, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      (filter.status.$in.includes(dispute.status) ? dispute : null)
+    );
+    jest.spyOn(Dispute, 'findByIdAndUpdate').mockImplementation(async (disputeId, update) =>
+      Dispute.hydrate({
+        ...dispute.toObject(),
+        status: update.$push.history.to,
+        history: [update.$push.history]
+      })
+    );
+
+    jest.spyOn(Message, 'releaseHold').mockResolvedValue({});
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /api/disputes/:id/resolve', () => {
+    it('claims the transition before resolving', async () => {
+      const res = await request(app)
+        .put(`/api/disputes/${dispute._id}/resolve`)
+        .set('Authorization', as(support))
+        .send({ outcome: 'HELPER', notes: 'Payment screenshot checks out' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dispute.status).toBe('RESOLVED_FOR_HELPER');
+      expect(res.body.data.dispute.history[0]).toMatchObject({ from: 'OPEN', to: 'RESOLVED_FOR_HELPER' });
+      expect(res.body.data.dispute.resolution.notes).toBe('Payment screenshot checks out');
+
+      const [filter, update] = claim.mock.calls[0];
+      expect(filter).toEqual({ _id: dispute._id, status: { $in: ['OPEN', 'UNDER_REVIEW'] } });
+      expect(update).toEqual({ $set: { status: 'RESOLVED_FOR_HELPER' } });
+      expect(exchangeRequest.status).toBe('COMPLETED');
+    });
+
+    it('does nothing when another resolution got there first', async () => {
+      claim.mockResolvedValue(null);
+      const reverse = jest.spyOn(Transaction.prototype, 'reverse');
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(Transaction.hydrate({
+        _id: dispute.transaction,
+        status: 'COMPLETED'
+      }));
+
+      const res = await request(app)
+        .put(`/api/disputes/${dispute._id}/resolve`)
+        .set('Authorization', as(support))
+        .send({ outcome: 'REQUESTER', reverseTransaction: true });
+
+      expect(res.status).toBe(409);
+      expect(reverse).not.toHaveBeenCalled();
+      expect(ExchangeRequest.prototype.save).not.toHaveBeenCalled();
+      expect(Message.releaseHold).not.toHaveBeenCalled();
+    });
+
+    it('hands the dispute back when the reversal fails', async () => {
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(Transaction.hydrate({
+        _id: dispute.transaction,
+        status: 'COMPLETED'
+      }));
+      jest.spyOn(Transaction.prototype, 'reverse')
+        .mockRejectedValue(new Error('Transaction was reversed or refunded in the meantime'));
+      const release = jest.spyOn(Dispute, 'updateOne').mockResolvedValue({});
+
+      const res = await request(app)
+        .put(`/api/disputes/${dispute._id}/resolve`)
+        .set('Authorization', as(support))
+        .send({ outcome: 'REQUESTER', reverseTransaction: true });
+
+      expect(res.status).toBe(400);
+      expect(release).toHaveBeenCalledWith(
+        { _id: dispute._id, status: 'RESOLVED_FOR_REQUESTER' },
+        { $set: { status: 'OPEN' }, $pop: { history: 1 } }
+      );
+      expect(ExchangeRequest.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects an already resolved dispute', async () => {
+      dispute.status = 'RESOLVED_FOR_HELPER';
+
+      const res = await request(app)
+        .put(`/api/disputes/${dispute._id}/resolve`)
+        .set('Authorization', as(support))
+        .send({ outcome: 'REQUESTER' });
+
+      expect(res.status).toBe(400);
+      expect(claim).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/disputes/:id/review', () => {
+    it('claims the transition from OPEN only', async () => {
+      const res = await request(app)
+        .put(`/api/disputes/${dispute._id}/review`)
+        .set('Authorization', as(support));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.dispute.status).toBe('UNDER_REVIEW');
+      expect(claim.mock.calls[0][0].status).toEqual({ $in: ['OPEN'] });
+    });
+  });
+
+  describe('GET /api/disputes/:id', () => {
+    it('shows the parties\' names but not their email', async () => {
+      const populated = [];
+      const query = {
+        populate: jest.fn((path, select) => {
+          populated.push([path, select]);
+          return query;
+        }),
+        then: (resolve, reject) => Promise.resolve(Dispute.hydrate({
+          ...dispute.toObject(),
+          openedBy: { _id: requester._id, name: requester.name },
+          against: { _id: helper._id, name: helper.name }
+        })).then(resolve, reject)
+      };
+      Dispute.findById.mockReturnValue(query);
+
+      const res = await request(app)
+        .get(`/api/disputes/${dispute._id}`)
+        .set('Authorization', as(helper));
+
+      expect(res.status).toBe(200);
+      expect(populated).toContainEqual(['openedBy', 'name']);
+      expect(populated).toContainEqual(['against', 'name']);
+      expect(populated.some(([, select]) => select?.includes('email'))).toBe(false);
+    });
+  });
+});
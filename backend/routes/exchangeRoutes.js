@@ -1,23 +1,50 @@
 import express from 'express';
 import {
   createExchangeRequest,
+  updateExchangeRequest,
   getNearbyRequests,
   discoverHelpers,
   acceptExchangeRequest,
   completeExchangeRequest,
   cancelExchangeRequest,
-  getMyRequests
+  regenerateCompletionCode,
+  withdrawFromExchange,
+  getMyRequests,
+  getRequestFills,
+  getFeeQuote,
+  getMyAllowance
 } from '../controllers/exchangeController.js';
+import {
+  getMeetingPoint,
+  proposeMeetingPoint,
+  acceptMeetingPoint
+} from '../controllers/meetingPointController.js';
+import { getLiveLocation } from '../controllers/liveLocationController.js';
+import {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+  setContactSharing
+} from '../controllers/chatController.js';
 import protect from '../middleware/authMiddleware.js';
 import {
   validateExchangeRequest,
+  validateExchangeRequestUpdate,
+  validateMeetingPointProposal,
+  validateAcceptRequest,
   validateNearbyQuery,
   validateObjectId,
-  validateCompletionCode
+  validateCompletionCode,
+  validateWithdrawal,
+  validateChatMessage,
+  validateChatQuery,
+  validateContactSharing,
+  validateFeeQuote
 } from '../middleware/validateRequest.js';
 import {
   exchangeCreationLimiter,
-  acceptLimiter
+  acceptLimiter,
+  chatMessageLimiter
 } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -30,10 +57,30 @@ router.post('/', exchangeCreationLimiter, validateExchangeRequest, createExchang
 router.get('/nearby', validateNearbyQuery, getNearbyRequests);
 router.get('/helpers', discoverHelpers);
 router.get('/my-requests', getMyRequests);
+router.get('/fee-quote', validateFeeQuote, getFeeQuote);
+router.get('/allowance', getMyAllowance);
 
 // Single exchange request operations
-router.post('/:id/accept', validateObjectId('id'), acceptLimiter, acceptExchangeRequest);
+router.patch('/:id', validateObjectId('id'), validateExchangeRequestUpdate, updateExchangeRequest);
+router.get('/:id/fills', validateObjectId('id'), getRequestFills);
+router.post('/:id/accept', validateObjectId('id'), acceptLimiter, validateAcceptRequest, acceptExchangeRequest);
 router.post('/:id/complete', validateObjectId('id'), validateCompletionCode, completeExchangeRequest);
 router.post('/:id/cancel', validateObjectId('id'), cancelExchangeRequest);
+router.post('/:id/completion-code', validateObjectId('id'), regenerateCompletionCode);
+router.post('/:id/withdraw', validateObjectId('id'), validateWithdrawal, withdrawFromExchange);
+
+// Meeting point negotiation (after acceptance)
+router.get('/:id/meeting-point', validateObjectId('id'), getMeetingPoint);
+router.post('/:id/meeting-point', validateObjectId('id'), validateMeetingPointProposal, proposeMeetingPoint);
+router.post('/:id/meeting-point/accept', validateObjectId('id'), acceptMeetingPoint);
+
+// Live location while the exchange is in progress (updates go over Socket.IO)
+router.get('/:id/live-location', validateObjectId('id'), getLiveLocation);
+
+// Chat between the exchange parties
+router.get('/:id/messages', validateObjectId('id'), validateChatQuery, getMessages);
+router.post('/:id/messages', validateObjectId('id'), chatMessageLimiter, validateChatMessage, sendMessage);
+router.post('/:id/messages/read', validateObjectId('id'), markMessagesRead);
+router.put('/:id/contact-sharing', validateObjectId('id'), validateContactSharing, setContactSharing);
 
 export default router;
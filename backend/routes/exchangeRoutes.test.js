@@ -0,0 +1,619 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import exchangeRoutes from './exchangeRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import Transaction from '../models/Transaction.js';
+import Message from '../models/Message.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+import LocationShare from '../models/LocationShare.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+import config from '../config/config.js';
+import { userRoom, EXCHANGE_EVENTS, CHAT_EVENTS } from '../utils/socketEvents.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const emit = jest.fn();
+const io = { to: jest.fn(() => ({ emit })) };
+
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/exchange', exchangeRoutes);
+app.use(errorHandler);
+
+const party = (name, coordinates) => User.hydrate({
+  _id: id(),
+  name,
+  isActive: true,
+  location: { type: 'Point', coordinates }
+});
+
+describe('meeting point routes', () => {
+  let requester;
+  let helper;
+  let stranger;
+  let exchangeRequest;
+  let helperRequest;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+  const spot = { name: 'Metro gate 2', coordinates: [77.5946, 12.9716], notes: 'Near the ticket counter' };
+
+  beforeEach(() => {
+    requester = party('Asha', [77.59, 12.97]);
+    helper = party('Ravi', [77.60, 12.98]);
+    stranger = party('Meera', [77.50, 12.90]);
+
+    const primaryId = id();
+    const helperRequestId = id();
+    exchangeRequest = ExchangeRequest.hydrate({
+      _id: primaryId,
+      requester: requester._id,
+      helper: helper._id,
+      linkedRequest: helperRequestId,
+      status: 'ACCEPTED',
+      amount: 500,
+      exchangeType: 'ONLINE_TO_CASH',
+      meetingPointProposals: []
+    });
+    helperRequest = ExchangeRequest.hydrate({
+      _id: helperRequestId,
+      requester: helper._id,
+      linkedRequest: primaryId,
+      status: 'ACCEPTED',
+      amount: 500,
+      exchangeType: 'CASH_TO_ONLINE'
+    });
+
+    const users = new Map([requester, helper, stranger].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => [requester, helper] });
+
+    const requests = new Map([exchangeRequest, helperRequest].map(r => [r._id.toString(), r]));
+    jest.spyOn(ExchangeRequest, 'findById').mockImplementation(async (requestId) =>
+      requests.get(requestId.toString()) || null
+    );
+    jest.spyOn(ExchangeRequest, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+
+    io.to.mockClear();
+    emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const propose = (user, body = spot, requestId = exchangeRequest._id) => request(app)
+    .post(`/api/exchange/${requestId}/meeting-point`)
+    .set('Authorization', as(user))
+    .send(body);
+
+  const accept = (user) => request(app)
+    .post(`/api/exchange/${exchangeRequest._id}/meeting-point/accept`)
+    .set('Authorization', as(user));
+
+  it('records a proposal with each party\'s distance and notifies both', async () => {
+    const res = await propose(requester);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.proposal).toMatchObject({ name: spot.name, status: 'PROPOSED' });
+    expect(res.body.data.agreed).toBe(false);
+    expect(res.body.data.distances.proposal.requester).toBeGreaterThan(0);
+    expect(res.body.data.distances.proposal.helper).toBeGreaterThan(0);
+    expect(io.to).toHaveBeenCalledWith([userRoom(requester._id), userRoom(helper._id)]);
+    expect(emit).toHaveBeenCalledWith(EXCHANGE_EVENTS.MEETING_POINT_PROPOSED, expect.objectContaining({
+      data: expect.objectContaining({ countered: false })
+    }));
+  });
+
+  it('counters the other party\'s open proposal', async () => {
+    await propose(requester);
+
+    const res = await propose(helper, { ...spot, name: 'Bus stand' }, helperRequest._id);
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Counter-proposal sent');
+    expect(exchangeRequest.meetingPointProposals.map(p => p.status)).toEqual(['COUNTERED', 'PROPOSED']);
+  });
+
+  it('agrees on the point when the other party accepts and copies it to the linked request', async () => {
+    await propose(helper);
+
+    const res = await accept(requester);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.agreed).toBe(true);
+    expect(exchangeRequest.meetingPoint.name).toBe(spot.name);
+    expect(exchangeRequest.meetingPoint.agreedAt).toBeInstanceOf(Date);
+
+    const [linkedId, update] = ExchangeRequest.findByIdAndUpdate.mock.calls[0];
+    expect(linkedId).toEqual(helperRequest._id);
+    expect(update.$set.meetingPoint).toMatchObject({ name: spot.name, coordinates: spot.coordinates });
+  });
+
+  it('does not let a party accept their own proposal', async () => {
+    await propose(requester);
+
+    const res = await accept(requester);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You cannot accept your own proposal');
+  });
+
+  it('is closed to anyone but the parties', async () => {
+    const res = await propose(stranger);
+
+    expect(res.status).toBe(403);
+    expect(exchangeRequest.meetingPointProposals).toHaveLength(0);
+  });
+
+  it('only negotiates accepted exchanges', async () => {
+    exchangeRequest.status = 'COMPLETED';
+
+    const res = await propose(requester);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects a proposal without coordinates', async () => {
+    const res = await propose(requester, { name: 'Somewhere' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('chat routes', () => {
+  let requester;
+  let helper;
+  let exchangeRequest;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+  const contactBody = 'Call me on +91 98765 43210 or asha@example.com';
+
+  beforeEach(() => {
+    requester = party('Asha', [77.59, 12.97]);
+    helper = party('Ravi', [77.60, 12.98]);
+
+    exchangeRequest = ExchangeRequest.hydrate({
+      _id: id(),
+      requester: requester._id,
+      helper: helper._id,
+      status: 'ACCEPTED',
+      amount: 500,
+      exchangeType: 'ONLINE_TO_CASH'
+    });
+
+    const users = new Map([requester, helper].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(ExchangeRequest, 'findPrimary').mockImplementation(async () => exchangeRequest);
+    jest.spyOn(Message, 'create').mockImplementation(async (data) => ({ _id: id(), createdAt: new Date(), ...data }));
+
+    io.to.mockClear();
+    emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const send = (user, body = contactBody) => request(app)
+    .post(`/api/exchange/${exchangeRequest._id}/messages`)
+    .set('Authorization', as(user))
+    .send({ body });
+
+  it('masks contact details until both parties agree to share them', async () => {
+    const res = await send(requester);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.message.masked).toBe(true);
+    expect(res.body.data.message.body).toBe('Call me on [hidden] or [hidden]');
+    expect(Message.create).toHaveBeenCalledWith(expect.objectContaining({
+      sender: requester._id,
+      recipient: helper._id,
+      body: contactBody
+    }));
+    expect(io.to).toHaveBeenCalledWith([userRoom(requester._id), userRoom(helper._id)]);
+    expect(emit).toHaveBeenCalledWith(CHAT_EVENTS.MESSAGE, expect.objectContaining({
+      data: expect.objectContaining({ masked: true })
+    }));
+  });
+
+  it('shows contact details once both parties agreed', async () => {
+    exchangeRequest.contactSharing = { requester: new Date(), helper: new Date() };
+
+    const res = await send(helper);
+
+    expect(res.body.data.message).toMatchObject({ body: contactBody, masked: false });
+  });
+
+  it('records a party\'s agreement under their role', async () => {
+    exchangeRequest.contactSharing = { requester: new Date() };
+    const findByIdAndUpdate = jest.spyOn(ExchangeRequest, 'findByIdAndUpdate').mockImplementation(async (requestId, update) =>
+      ExchangeRequest.hydrate({
+        ...exchangeRequest.toObject(),
+        contactSharing: { ...exchangeRequest.contactSharing.toObject(), helper: update.$set['contactSharing.helper'] }
+      })
+    );
+
+    const res = await request(app)
+      .put(`/api/exchange/${exchangeRequest._id}/contact-sharing`)
+      .set('Authorization', as(helper))
+      .send({ share: true });
+
+    expect(res.status).toBe(200);
+    expect(findByIdAndUpdate.mock.calls[0][1].$set['contactSharing.helper']).toBeTruthy();
+    expect(res.body.data.contactSharing).toMatchObject({ requester: true, helper: true, agreed: true });
+  });
+
+  it('lists messages masked for the reader with the unread count', async () => {
+    const messages = [
+      { _id: id(), exchangeRequest: exchangeRequest._id, sender: helper._id, recipient: requester._id, body: 'Mail ravi@example.com', createdAt: new Date() }
+    ];
+    jest.spyOn(Message, 'find').mockReturnValue({ sort: () => ({ limit: async () => messages }) });
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app)
+      .get(`/api/exchange/${exchangeRequest._id}/messages`)
+      .set('Authorization', as(requester));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.messages[0].body).toBe('Mail [hidden]');
+    expect(res.body.data.unreadCount).toBe(1);
+    expect(res.body.data.hasMore).toBe(false);
+  });
+
+  it('sends a read receipt to the other party only', async () => {
+    jest.spyOn(Message, 'markRead').mockResolvedValue(3);
+
+    const res = await request(app)
+      .post(`/api/exchange/${exchangeRequest._id}/messages/read`)
+      .set('Authorization', as(requester));
+
+    expect(res.body.data.count).toBe(3);
+    expect(Message.markRead).toHaveBeenCalledWith(exchangeRequest._id, requester._id, expect.any(Date));
+    expect(io.to).toHaveBeenCalledWith([userRoom(helper._id)]);
+    expect(emit).toHaveBeenCalledWith(CHAT_EVENTS.READ, expect.anything());
+  });
+
+  it('keeps other users out', async () => {
+    const stranger = party('Meera', [77.5, 12.9]);
+    User.findById.mockImplementation(() => ({ select: async () => stranger }));
+
+    const res = await send(stranger);
+
+    expect(res.status).toBe(403);
+    expect(Message.create).not.toHaveBeenCalled();
+  });
+
+  it('only accepts messages while the exchange is in progress', async () => {
+    exchangeRequest.status = 'COMPLETED';
+
+    const res = await send(requester, 'Thanks!');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('withdraw route', () => {
+  let requester;
+  let helper;
+  let exchangeRequest;
+  let helperRequest;
+  let stored;
+  let claim;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+  const withdraw = (user) => request(app)
+    .post(`/api/exchange/${exchangeRequest._id}/withdraw`)
+    .set('Authorization', as(user))
+    .send({ reason: 'Something came up' });
+
+  beforeEach(() => {
+    requester = party('Asha', [77.59, 12.97]);
+    helper = party('Ravi', [77.60, 12.98]);
+
+    const primaryId = id();
+    const helperRequestId = id();
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    exchangeRequest = ExchangeRequest.hydrate({
+      _id: primaryId,
+      requester: requester._id,
+      helper: helper._id,
+      linkedRequest: helperRequestId,
+      status: 'ACCEPTED',
+      amount: 500,
+      remainingAmount: 0,
+      exchangeType: 'ONLINE_TO_CASH',
+      timeline: { acceptedAt: new Date(), expiresAt },
+      withdrawals: []
+    });
+    helperRequest = ExchangeRequest.hydrate({
+      _id: helperRequestId,
+      requester: helper._id,
+      linkedRequest: primaryId,
+      status: 'ACCEPTED',
+      amount: 500,
+      remainingAmount: 0,
+      exchangeType: 'CASH_TO_ONLINE',
+      timeline: { acceptedAt: new Date(), expiresAt },
+      withdrawals: []
+    });
+
+    const users = new Map([requester, helper].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    const requests = new Map([exchangeRequest, helperRequest].map(r => [r._id.toString(), r]));
+    jest.spyOn(ExchangeRequest, 'findById').mockImplementation(async (requestId) =>
+      requests.get(requestId?.toString()) || null
+    );
+    jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(ExchangeRequest.prototype, 'releaseWalletHold').mockResolvedValue(0);
+    jest.spyOn(ExchangeRequest, 'settleParent').mockResolvedValue(null);
+
+    // Stands in for the conditional update on the stored status
+    stored = { status: 'ACCEPTED' };
+    claim = jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      exchangeRequest.status = stored.status;
+      return exchangeRequest;
+    });
+
+    jest.spyOn(ScheduledJob, 'updateMany').mockResolvedValue({});
+    jest.spyOn(LocationShare, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    io.to.mockClear();
+    emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the requester\'s side and reopens the helper\'s', async () => {
+    const res = await withdraw(requester);
+
+    expect(res.status).toBe(200);
+    expect(claim.mock.calls[0][1].$set).toEqual({ status: 'CANCELLED' });
+    expect(exchangeRequest.status).toBe('CANCELLED');
+    expect(exchangeRequest.withdrawals[0].role).toBe('REQUESTER');
+    expect(helperRequest.status).toBe('CREATED');
+    expect(helperRequest.helper).toBeNull();
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(requester._id, {
+      $inc: { 'profile.withdrawnExchanges': 1 }
+    });
+    expect(emit).toHaveBeenCalledWith(EXCHANGE_EVENTS.WITHDRAWN, expect.anything());
+  });
+
+  it('reopens the requester\'s request when the helper withdraws', async () => {
+    const res = await withdraw(helper);
+
+    expect(res.status).toBe(200);
+    expect(helperRequest.status).toBe('CANCELLED');
+    expect(exchangeRequest.status).toBe('CREATED');
+    expect(exchangeRequest.helper).toBeNull();
+    expect(exchangeRequest.remainingAmount).toBe(500);
+  });
+
+  it('lets only one of two simultaneous withdrawals through', async () => {
+    const responses = await Promise.all([withdraw(requester), withdraw(helper)]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 400]);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(ExchangeRequest.prototype.releaseWalletHold).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves an exchange that was completed meanwhile alone', async () => {
+    stored.status = 'COMPLETED';
+
+    const res = await withdraw(requester);
+
+    expect(res.status).toBe(400);
+    expect(exchangeRequest.status).toBe('ACCEPTED');
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('is closed to anyone but the parties', async () => {
+    const stranger = party('Meera', [77.50, 12.90]);
+    User.findById.mockImplementation(() => ({ select: async () => stranger }));
+
+    const res = await withdraw(stranger);
+
+    expect(res.status).toBe(403);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('completion code routes', () => {
+  let requester;
+  let helper;
+  let targetRequest;
+  let helperRequest;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+  // Thenable stand-in for a query with select/populate chained on it
+  const queryOf = (doc) => {
+    const query = {
+      select: () => query,
+      populate: () => query,
+      session: () => query,
+      then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    const verification = { isPhoneVerified: true, isEmailVerified: true, isIdVerified: true };
+    requester = User.hydrate({ _id: id(), name: 'Asha', isActive: true, verification });
+    helper = User.hydrate({ _id: id(), name: 'Ravi', isActive: true, verification });
+
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    targetRequest = ExchangeRequest.hydrate({
+      _id: id(),
+      requester: requester._id,
+      status: 'CREATED',
+      amount: 500,
+      remainingAmount: 500,
+      exchangeType: 'ONLINE_TO_CASH',
+      timeline: { expiresAt }
+    });
+    helperRequest = ExchangeRequest.hydrate({
+      _id: id(),
+      requester: helper._id,
+      status: 'CREATED',
+      amount: 500,
+      remainingAmount: 500,
+      exchangeType: 'CASH_TO_ONLINE',
+      timeline: { expiresAt }
+    });
+
+    const users = new Map([requester, helper].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(ScheduledJob, 'schedule').mockImplementation(async (name, key, runAt) => ({ runAt }));
+    jest.spyOn(ScheduledJob, 'updateMany').mockResolvedValue({});
+
+    io.to.mockClear();
+    emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/exchange/:id/accept', () => {
+    beforeEach(() => {
+      jest.spyOn(ExchangeRequest, 'exists').mockResolvedValue(null);
+      jest.spyOn(ExchangeRequest, 'findById').mockResolvedValue(targetRequest);
+      jest.spyOn(ExchangeRequest, 'findOne').mockResolvedValue(helperRequest);
+      jest.spyOn(ExchangeRequest, 'getUserVolume').mockResolvedValue(0);
+      jest.spyOn(ExchangeRequest.prototype, 'pairWith').mockImplementation(async function() {
+        this.status = 'ACCEPTED';
+        this.helper = helper._id;
+        this.timeline.acceptedAt = new Date();
+        return { exchangeRequest: this, helperRequest, completionCode: '482913' };
+      });
+    });
+
+    it('sends the completion code to the requester only', async () => {
+      const res = await request(app)
+        .post(`/api/exchange/${targetRequest._id}/accept`)
+        .set('Authorization', as(helper));
+
+      expect(res.status).toBe(200);
+      expect(JSON.stringify(res.body)).not.toContain('482913');
+
+      const codeEvent = emit.mock.calls.findIndex(([event]) => event === EXCHANGE_EVENTS.COMPLETION_CODE);
+      expect(codeEvent).toBeGreaterThanOrEqual(0);
+      expect(io.to.mock.calls[codeEvent][0]).toEqual([userRoom(requester._id)]);
+      expect(emit.mock.calls[codeEvent][1]).toEqual(expect.objectContaining({
+        data: expect.objectContaining({ completionCode: '482913' })
+      }));
+
+      const others = emit.mock.calls.filter(([event]) => event !== EXCHANGE_EVENTS.COMPLETION_CODE);
+      expect(JSON.stringify(others)).not.toContain('482913');
+    });
+  });
+
+  describe('POST /api/exchange/:id/complete', () => {
+    let exchangeRequest;
+    let session;
+
+    const complete = () => request(app)
+      .post(`/api/exchange/${exchangeRequest._id}/complete`)
+      .set('Authorization', as(helper))
+      .send({ code: '482913' });
+
+    beforeEach(() => {
+      exchangeRequest = ExchangeRequest.hydrate({
+        _id: id(),
+        requester: requester._id,
+        helper: helper._id,
+        status: 'ACCEPTED',
+        amount: 500,
+        exchangeType: 'ONLINE_TO_CASH',
+        timeline: { acceptedAt: new Date() },
+        metadata: { attempts: 0 }
+      });
+      exchangeRequest.requester = requester;
+      exchangeRequest.helper = helper;
+      jest.spyOn(ExchangeRequest, 'findById').mockReturnValue(queryOf(exchangeRequest));
+
+      session = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(async () => {}),
+        abortTransaction: jest.fn(async () => {}),
+        endSession: jest.fn()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    it('reports the attempts left after a wrong code', async () => {
+      jest.spyOn(ExchangeRequest.prototype, 'checkCompletionCode')
+        .mockResolvedValue({ valid: false, attempts: 2, locked: false });
+      const claim = jest.spyOn(ExchangeRequest, 'findOneAndUpdate');
+
+      const res = await complete();
+
+      expect(res.status).toBe(400);
+      const { completionCodeMaxAttempts, completionLockMinutes } = config.exchange;
+      expect(res.body.message).toContain(`${completionCodeMaxAttempts - 2} attempts remaining`);
+      expect(ExchangeRequest.prototype.checkCompletionCode)
+        .toHaveBeenCalledWith('482913', completionCodeMaxAttempts, completionLockMinutes);
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('does not complete an exchange withdrawn from meanwhile', async () => {
+      jest.spyOn(ExchangeRequest.prototype, 'checkCompletionCode')
+        .mockResolvedValue({ valid: true, attempts: 1, locked: false });
+      const claim = jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockResolvedValue(null);
+      const createTransaction = jest.spyOn(Transaction, 'createTransaction');
+
+      const res = await complete();
+
+      expect(res.status).toBe(400);
+      expect(claim.mock.calls[0][0]).toEqual({ _id: exchangeRequest._id, status: 'ACCEPTED' });
+      expect(createTransaction).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('pays from the requester\'s escrow and counts the exchange for both parties', async () => {
+      jest.spyOn(ExchangeRequest.prototype, 'checkCompletionCode')
+        .mockResolvedValue({ valid: true, attempts: 1, locked: false });
+      jest.spyOn(ExchangeRequest, 'findOneAndUpdate').mockResolvedValue(exchangeRequest);
+      jest.spyOn(ExchangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(ExchangeRequest.prototype, 'releaseWalletHold').mockResolvedValue(0);
+      jest.spyOn(ExchangeRequest, 'settleParent').mockResolvedValue(null);
+      jest.spyOn(LocationShare, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      const createTransaction = jest.spyOn(Transaction, 'createTransaction')
+        .mockImplementation(async (data) => ({ _id: id(), ...data, netAmount: data.amount }));
+      const updateMany = jest.spyOn(User, 'updateMany').mockResolvedValue({});
+      const save = jest.spyOn(User.prototype, 'save');
+
+      const res = await complete();
+
+      expect(res.status).toBe(200);
+      expect(createTransaction.mock.calls[0][0]).toMatchObject({ payer: requester._id, payee: helper._id });
+      expect(updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [requester._id, helper._id] } },
+        { $inc: { 'profile.completedExchanges': 1 } },
+        { session }
+      );
+      expect(save).not.toHaveBeenCalled();
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  submitKyc,
+  getMyKyc,
+  listKycSubmissions,
+  getKycSubmission,
+  getKycFile,
+  approveKyc,
+  rejectKyc
+} from '../controllers/kycController.js';
+import protect, { authorize } from '../middleware/authMiddleware.js';
+import { kycUpload } from '../middleware/upload.js';
+import {
+  validateObjectId,
+  validateKycSubmission,
+  validateKycApproval,
+  validateKycRejection
+} from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// User routes
+router.post('/', kycUpload, validateKycSubmission, submitKyc);
+router.get('/me', getMyKyc);
+
+// Support/admin review routes
+router.get('/', authorize('support', 'admin'), listKycSubmissions);
+router.get('/:id', authorize('support', 'admin'), validateObjectId('id'), getKycSubmission);
+router.get('/:id/files/:fileId', authorize('support', 'admin'), validateObjectId('id'), validateObjectId('fileId'), getKycFile);
+router.put('/:id/approve', authorize('support', 'admin'), validateObjectId('id'), validateKycApproval, approveKyc);
+router.put('/:id/reject', authorize('support', 'admin'), validateObjectId('id'), validateKycRejection, rejectKyc);
+
+export default router;
@@ -0,0 +1,150 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import kycRoutes from './kycRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import KycSubmission from '../models/KycSubmission.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const app = express();
+app.use(express.json());
+app.use('/api/kyc', kycRoutes);
+app.use(errorHandler);
+
+const userWithRole = (role) => User.hydrate({
+  _id: id(),
+  name: `${role} user`,
+  email: `${role}@example.com`,
+  role,
+  isActive: true,
+  verification: {}
+});
+
+describe('KYC review routes', () => {
+  let applicant;
+  let support;
+  let submission;
+  let stored;
+  let claim;
+  let session;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+  // Thenable stand-in for a query with populate chained on it
+  const queryOf = (result) => {
+    const query = {
+      populate: () => query,
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    applicant = userWithRole('user');
+    support = userWithRole('support');
+
+    const users = new Map([applicant, support].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    submission = KycSubmission.hydrate({
+      _id: id(),
+      user: applicant._id,
+      status: 'PENDING',
+      documentType: 'PASSPORT',
+      files: []
+    });
+    submission.user = applicant;
+    jest.spyOn(KycSubmission, 'findById').mockReturnValue(queryOf(() => submission));
+
+    // Stands in for the conditional update on the stored status
+    stored = { status: 'PENDING' };
+    claim = jest.spyOn(KycSubmission, 'findOneAndUpdate').mockImplementation((filter, update) =>
+      queryOf(() => {
+        if (stored.status !== filter.status) return null;
+        stored.status = update.$set.status;
+        const reviewed = KycSubmission.hydrate({ ...submission.toObject(), ...update.$set, user: applicant._id });
+        reviewed.user = applicant;
+        return reviewed;
+      })
+    );
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(async () => {}),
+      abortTransaction: jest.fn(async () => {}),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const approve = () => request(app)
+    .put(`/api/kyc/${submission._id}/approve`)
+    .set('Authorization', as(support))
+    .send({ notes: 'Passport matches selfie' });
+
+  const reject = () => request(app)
+    .put(`/api/kyc/${submission._id}/reject`)
+    .set('Authorization', as(support))
+    .send({ reason: 'Document is blurry' });
+
+  it('claims a pending submission inside the session before verifying the user', async () => {
+    const res = await approve();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.submission.status).toBe('APPROVED');
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter).toEqual({ _id: submission._id, status: 'PENDING' });
+    expect(update.$set.review.reviewedBy).toEqual(support._id);
+    expect(options.session).toBe(session);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(applicant._id, expect.anything(), { session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('lets only one of two simultaneous decisions through', async () => {
+    const responses = await Promise.all([approve(), reject()]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+    expect(AuditLog.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not verify the user when the submission was rejected meanwhile', async () => {
+    stored.status = 'REJECTED';
+
+    const res = await approve();
+
+    expect(res.status).toBe(409);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+  });
+
+  it('records the rejection reason', async () => {
+    const res = await reject();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.submission.status).toBe('REJECTED');
+    expect(claim.mock.calls[0][1].$set.review.rejectionReason).toBe('Document is blurry');
+  });
+
+  it('refuses a submission already reviewed', async () => {
+    submission.status = 'APPROVED';
+
+    const res = await reject();
+
+    expect(res.status).toBe(400);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getStatement } from '../controllers/ledgerController.js';
+import protect from '../middleware/authMiddleware.js';
+import { validateStatementQuery } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/statement', validateStatementQuery, getStatement);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+  getMyProposals,
+  confirmProposal,
+  declineProposal
+} from '../controllers/matchController.js';
+import protect from '../middleware/authMiddleware.js';
+import { validateObjectId } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getMyProposals);
+router.post('/:id/confirm', validateObjectId('id'), confirmProposal);
+router.post('/:id/decline', validateObjectId('id'), declineProposal);
+
+export default router;
@@ -2,24 +2,54 @@ import express from 'express';
 import Rating from '../models/Rating.js';
 import Transaction from '../models/Transaction.js';
 import protect from '../middleware/authMiddleware.js';
-import { validateRating, validateObjectId } from '../middleware/validateRequest.js';
+import {
+  validateRating,
+  validateRatingResponse,
+  validateRatingReason,
+  validateObjectId
+} from '../middleware/validateRequest.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { emitFromRequest, RATING_EVENTS } from '../utils/socketEvents.js';
+import { scheduleRatingReveal, cancelRatingReveal, notifyRevealed } from '../utils/ratingJobs.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// @desc    Create rating for a transaction
+// Load a visible rating the current user received (to respond to or report)
+const findReceivedRating = async (ratingId, userId) => {
+  const rating = await Rating.findById(ratingId);
+
+  if (!rating || !rating.revealedAt) {
+    throw new AppError('Rating not found', 404);
+  }
+
+  if (rating.rated.toString() !== userId.toString()) {
+    throw new AppError('Only the rated user can do this', 403);
+  }
+
+  return rating;
+};
+
+// Both parties can rate until this long after the transaction completed
+const ratingDeadline = (transaction) => {
+  const deadline = new Date(transaction.metadata?.completedAt || transaction.createdAt);
+  deadline.setDate(deadline.getDate() + config.rating.windowDays);
+  return deadline;
+};
+
+// @desc    Rate the other party of a transaction
 // @route   POST /api/ratings/:transactionId
-// @access  Private
+// @access  Private (payer, payee)
 router.post('/:transactionId', validateObjectId('transactionId'), validateRating, asyncHandler(async (req, res) => {
   const { transactionId } = req.params;
   const { rating, review, categories, isAnonymous } = req.body;
 
   // Verify transaction exists and user is involved
-  const transaction = await Transaction.findById(transactionId)
-    .populate('exchangeRequest');
+  const transaction = await Transaction.findById(transactionId);
 
   if (!transaction) {
     throw new AppError('Transaction not found', 404);
@@ -29,29 +59,105 @@ router.post('/:transactionId', validateObjectId('transactionId'), validateRating
     throw new AppError('Can only rate completed transactions', 400);
   }
 
-  // Determine who to rate
-  const rated = transaction.payer.toString() === req.user._id.toString()
-    ? transaction.payee
-    : transaction.payer;
-
-  const newRating = await Rating.createRating({
-    transaction: transactionId,
-    exchangeRequest: transaction.exchangeRequest,
-    rater: req.user._id,
-    rated,
-    rating,
-    review,
-    categories,
-    isAnonymous
-  });
+  const userId = req.user._id.toString();
+  const isPayer = transaction.payer.toString() === userId;
+  const isPayee = transaction.payee.toString() === userId;
+
+  if (!isPayer && !isPayee) {
+    throw new AppError('Only the parties of a transaction can rate it', 403);
+  }
+
+  const revealDeadline = ratingDeadline(transaction);
+
+  if (revealDeadline < new Date()) {
+    throw new AppError('The rating window for this transaction has closed', 400);
+  }
+
+  // Each party rates the other
+  const rated = isPayer ? transaction.payee : transaction.payer;
+
+  let newRating;
+  try {
+    newRating = await Rating.createRating({
+      transaction: transactionId,
+      exchangeRequest: transaction.exchangeRequest,
+      rater: req.user._id,
+      rated,
+      rating,
+      review,
+      categories,
+      isAnonymous,
+      revealDeadline
+    });
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  if (newRating.revealedAt) {
+    // Both have rated; the deadline job has nothing left to do
+    await cancelRatingReveal(transactionId).catch(error => logger.error('Failed to cancel rating reveal', {
+      transactionId,
+      error: error.message
+    }));
+
+    const ratings = await Rating.find({ transaction: transactionId });
+    notifyRevealed(req.app.get('io'), transactionId, ratings);
+  } else {
+    await scheduleRatingReveal(newRating).catch(error => logger.error('Failed to schedule rating reveal', {
+      transactionId,
+      error: error.message
+    }));
+
+    // The other party learns they were rated, not how
+    emitFromRequest(req, [rated], RATING_EVENTS.RECEIVED, {
+      transactionId,
+      revealDeadline
+    });
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Rating submitted successfully',
+    message: newRating.revealedAt
+      ? 'Rating submitted. Both ratings are now visible'
+      : 'Rating submitted. It will be visible once the other party rates or the rating window closes',
     data: { rating: newRating }
   });
 }));
 
+// @desc    Get both ratings of a transaction (the other party's once revealed)
+// @route   GET /api/ratings/transaction/:transactionId
+// @access  Private (payer, payee)
+router.get('/transaction/:transactionId', validateObjectId('transactionId'), asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.transactionId);
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const userId = req.user._id.toString();
+
+  if (transaction.payer.toString() !== userId && transaction.payee.toString() !== userId) {
+    throw new AppError('Only the parties of a transaction can view its ratings', 403);
+  }
+
+  const ratings = await Rating.find({ transaction: transaction._id });
+  const given = ratings.find(r => r.rater.toString() === userId) || null;
+  const received = ratings.find(r => r.rated.toString() === userId) || null;
+  const revealDeadline = ratingDeadline(transaction);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      given,
+      // Hidden until revealed; only whether it exists is shown
+      received: received?.revealedAt ? received : null,
+      receivedPending: !!received && !received.revealedAt,
+      revealDeadline,
+      canRate: transaction.status === 'COMPLETED' && !given && revealDeadline > new Date()
+    }
+  });
+}));
+
 // @desc    Get ratings for a user
 // @route   GET /api/ratings/user/:userId
 // @access  Private
@@ -72,4 +178,56 @@ router.get('/user/:userId', validateObjectId('userId'), asyncHandler(async (req,
   });
 }));
 
+// @desc    Respond to a rating you received (once)
+// @route   POST /api/ratings/:id/response
+// @access  Private (rated user)
+router.post('/:id/response', validateObjectId('id'), validateRatingResponse, asyncHandler(async (req, res) => {
+  const rating = await findReceivedRating(req.params.id, req.user._id);
+
+  if (rating.flags.isHidden) {
+    throw new AppError('This rating has been hidden', 400);
+  }
+
+  try {
+    await rating.addResponse(req.body.text);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  emitFromRequest(req, [rating.rater], RATING_EVENTS.RESPONDED, {
+    ratingId: rating._id,
+    transactionId: rating.transaction
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Response added successfully',
+    data: { rating }
+  });
+}));
+
+// @desc    Report a rating you received for moderation
+// @route   POST /api/ratings/:id/report
+// @access  Private (rated user)
+router.post('/:id/report', validateObjectId('id'), validateRatingReason, asyncHandler(async (req, res) => {
+  const rating = await findReceivedRating(req.params.id, req.user._id);
+
+  try {
+    await rating.report(req.body.reason);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  logger.info('Rating reported', {
+    ratingId: rating._id,
+    userId: req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Rating reported. A moderator will review it',
+    data: { rating }
+  });
+}));
+
 export default router;
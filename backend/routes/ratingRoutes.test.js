@@ -0,0 +1,155 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import ratingRoutes from './ratingRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import Rating from '../models/Rating.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+import { userRoom, RATING_EVENTS } from '../utils/socketEvents.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const emit = jest.fn();
+const io = { to: jest.fn(() => ({ emit })) };
+
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/ratings', ratingRoutes);
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const userWithRole = (role) => User.hydrate({ _id: id(), name: `${role} user`, role, isActive: true });
+
+describe('rating responses, reports and moderation', () => {
+  let rater;
+  let rated;
+  let support;
+  let rating;
+
+  const as = (user) => `Bearer ${generateAccessToken(user._id.toString())}`;
+
+  beforeEach(() => {
+    rater = userWithRole('user');
+    rated = userWithRole('user');
+    support = userWithRole('support');
+
+    rating = Rating.hydrate({
+      _id: id(),
+      transaction: id(),
+      rater: rater._id,
+      rated: rated._id,
+      rating: 1,
+      review: 'Never showed up',
+      revealedAt: new Date(),
+      flags: { isReported: false, isHidden: false },
+      moderation: []
+    });
+
+    const users = new Map([rater, rated, support].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString()) || null
+    }));
+    jest.spyOn(Rating, 'findById').mockImplementation(async (ratingId) =>
+      (rating._id.equals(ratingId) ? rating : null)
+    );
+    jest.spyOn(Rating.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Rating, 'recomputeProfile').mockResolvedValue(undefined);
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => entry);
+
+    io.to.mockClear();
+    emit.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const respond = (user, text = 'I waited 20 minutes at the gate') => request(app)
+    .post(`/api/ratings/${rating._id}/response`)
+    .set('Authorization', as(user))
+    .send({ text });
+
+  const report = (user, reason = 'False claim') => request(app)
+    .post(`/api/ratings/${rating._id}/report`)
+    .set('Authorization', as(user))
+    .send({ reason });
+
+  const moderate = (action, user = support) => request(app)
+    .put(`/api/admin/ratings/${rating._id}/${action}`)
+    .set('Authorization', as(user))
+    .send({ reason: 'Checked the chat log' });
+
+  it('lets the rated user respond once and tells the rater', async () => {
+    const first = await respond(rated);
+
+    expect(first.status).toBe(201);
+    expect(rating.response.text).toBe('I waited 20 minutes at the gate');
+    expect(io.to).toHaveBeenCalledWith([userRoom(rater._id)]);
+    expect(emit).toHaveBeenCalledWith(RATING_EVENTS.RESPONDED, expect.anything());
+
+    const second = await respond(rated, 'Again');
+    expect(second.status).toBe(400);
+    expect(second.body.message).toBe('You have already responded to this rating');
+  });
+
+  it('only lets the rated user respond to or report a rating', async () => {
+    expect((await respond(rater)).status).toBe(403);
+    expect((await report(rater)).status).toBe(403);
+  });
+
+  it('does not expose ratings that are not revealed yet', async () => {
+    rating.revealedAt = null;
+
+    expect((await report(rated)).status).toBe(404);
+  });
+
+  it('queues a report for moderation once', async () => {
+    const res = await report(rated);
+
+    expect(res.status).toBe(200);
+    expect(rating.flags).toMatchObject({ isReported: true, reportReason: 'False claim' });
+    expect((await report(rated)).body.message).toBe('This rating is already awaiting moderation');
+  });
+
+  it('lets support hide a reported rating, recompute the profile and audit it', async () => {
+    await report(rated);
+
+    const res = await moderate('hide');
+
+    expect(res.status).toBe(200);
+    expect(rating.flags).toMatchObject({ isHidden: true, isReported: false });
+    expect(rating.moderation[0]).toMatchObject({ action: 'HIDE', reason: 'Checked the chat log' });
+    expect(Rating.recomputeProfile).toHaveBeenCalledWith(rated._id);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'rating.hide',
+      targetId: rating._id
+    }));
+  });
+
+  it('dismisses a report by restoring the rating', async () => {
+    await report(rated);
+
+    const res = await moderate('restore');
+
+    expect(res.status).toBe(200);
+    expect(rating.flags).toMatchObject({ isHidden: false, isReported: false });
+  });
+
+  it('refuses to hide a rating twice or restore one that was never reported', async () => {
+    expect((await moderate('restore')).body.message).toBe('This rating is not hidden or reported');
+
+    await moderate('hide');
+    expect((await moderate('hide')).body.message).toBe('This rating is already hidden');
+    expect((await report(rated)).body.message).toBe('This rating has already been hidden');
+  });
+
+  it('keeps moderation away from regular users', async () => {
+    expect((await moderate('hide', rated)).status).toBe(403);
+    expect(rating.flags.isHidden).toBe(false);
+  });
+});
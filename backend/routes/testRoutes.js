@@ -1,6 +1,8 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import ExchangeRequest from '../models/ExchangeRequest.js';
+import LedgerEntry from '../models/LedgerEntry.js';
 import protect from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -9,8 +11,10 @@ const router = express.Router();
 // @route   POST /api/test/add-balance
 // @access  Private
 router.post('/add-balance', protect, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const { amount } = req.body;
+    const amount = parseFloat(req.body.amount);
     
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -19,13 +23,21 @@ router.post('/add-balance', protect, async (req, res) => {
       });
     }
 
-    await req.user.creditWallet(amount);
+    // Credit and ledger entry succeed or fail together. The user is loaded
+    // inside the transaction so a retried attempt credits a fresh copy
+    // rather than crediting the same in-memory balance twice.
+    let user;
+    await session.withTransaction(async () => {
+      user = await User.findById(req.user._id).session(session);
+      await user.creditWallet(amount, session);
+      await LedgerEntry.recordTopUp(user, amount, session);
+    });
 
     res.status(200).json({
       success: true,
       message: `Added ₹${amount} to wallet`,
       data: {
-        wallet: req.user.wallet
+        wallet: user.wallet
       }
     });
   } catch (error) {
@@ -33,6 +45,8 @@ router.post('/add-balance', protect, async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    session.endSession();
   }
 });
 
@@ -0,0 +1,78 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import testRoutes from './testRoutes.js';
+import User from '../models/User.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/test', testRoutes);
+
+describe('POST /api/test/add-balance', () => {
+  let stored;
+  let token;
+
+  // A fresh copy of the stored user, as a query would return
+  const load = () => new User({
+    _id: stored._id,
+    name: 'Asha Rao',
+    email: 'asha@example.com',
+    phone: '+919800000001',
+    password: 'Secret123!',
+    wallet: { balance: stored.balance }
+  });
+
+  beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), balance: 100 };
+    token = generateAccessToken(stored._id.toString());
+
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+      select: async () => load(),
+      session: async () => load()
+    }));
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+    jest.spyOn(LedgerEntry, 'recordTopUp').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits the wallet once when the transaction is retried', async () => {
+    // withTransaction re-runs the callback after a transient error
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => {
+        await fn();
+        await fn();
+      },
+      endSession: jest.fn()
+    });
+
+    const res = await request(app)
+      .post('/api/test/add-balance')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ amount: 50 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.wallet.balance).toBe(150);
+    expect(LedgerEntry.recordTopUp).toHaveBeenLastCalledWith(
+      expect.objectContaining({ wallet: expect.objectContaining({ balance: 150 }) }),
+      50,
+      expect.anything()
+    );
+  });
+
+  it('rejects a non-positive amount', async () => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({ endSession: jest.fn() });
+
+    const res = await request(app)
+      .post('/api/test/add-balance')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ amount: 0 });
+
+    expect(res.status).toBe(400);
+  });
+});
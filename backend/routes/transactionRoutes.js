@@ -1,13 +1,61 @@
 import express from 'express';
 import Transaction from '../models/Transaction.js';
-import protect from '../middleware/authMiddleware.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import protect, { authorize } from '../middleware/authMiddleware.js';
+import {
+  validateObjectId,
+  validateReversal,
+  validateRefund,
+  validateCsvExport,
+  validateMonthlyStatement
+} from '../middleware/validateRequest.js';
+import { exportLimiter } from '../middleware/rateLimiter.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { emitFromRequest, TRANSACTION_EVENTS } from '../utils/socketEvents.js';
+import { sendMail } from '../utils/mailer.js';
+import { streamCsvStatement, streamPdfStatement } from '../utils/statements.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
+const isStaff = (user) => ['support', 'admin'].includes(user.role);
+
+const findTransactionOrThrow = async (id) => {
+  const transaction = await Transaction.findById(id);
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  return transaction;
+};
+
+// Socket event + best-effort email to payer and payee
+const notifyParties = async (req, transaction, event, subject, text) => {
+  emitFromRequest(req, [transaction.payer, transaction.payee], event, {
+    transactionId: transaction._id,
+    status: transaction.status,
+    refundedAmount: transaction.refundedAmount
+  });
+
+  const users = await User.find({ _id: { $in: [transaction.payer, transaction.payee] } })
+    .select('name email');
+
+  await Promise.all(users.map(user =>
+    sendMail({ to: user.email, subject, text: `Hi ${user.name},\n\n${text}` })
+      .catch(error => logger.error('Failed to send transaction notice', {
+        userId: user._id,
+        error: error.message
+      }))
+  ));
+};
+
 // @desc    Get user transaction history
 // @route   GET /api/transactions
 // @access  Private
@@ -39,4 +87,195 @@ router.get('/stats', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Export transaction history as CSV (streamed)
+// @route   GET /api/transactions/export/csv?from=&to=
+// @access  Private
+router.get('/export/csv', exportLimiter, validateCsvExport, asyncHandler(async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+
+  const cursor = Transaction.getUserHistoryCursor(req.user._id, { from, to });
+
+  const fileName = `transactions-${from ? from.toISOString().slice(0, 10) : 'all'}-${(to || new Date()).toISOString().slice(0, 10)}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  await streamCsvStatement(res, { userId: req.user._id, cursor });
+
+  logger.info('Transaction CSV exported', { userId: req.user._id });
+}));
+
+// @desc    Download a monthly PDF statement
+// @route   GET /api/transactions/export/pdf?month=YYYY-MM
+// @access  Private
+router.get('/export/pdf', exportLimiter, validateMonthlyStatement, asyncHandler(async (req, res) => {
+  const { month } = req.query;
+
+  // Statement months are calendar months in UTC
+  const from = new Date(`${month}-01T00:00:00Z`);
+  const to = new Date(from);
+  to.setUTCMonth(to.getUTCMonth() + 1);
+
+  const [openingBalance, closingBalance, stats] = await Promise.all([
+    LedgerEntry.getUserBalance(req.user._id, { before: from }),
+    LedgerEntry.getUserBalance(req.user._id, { before: to }),
+    Transaction.getUserStats(req.user._id, { from, to })
+  ]);
+
+  const cursor = Transaction.getUserHistoryCursor(req.user._id, { from, to });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="statement-${month}.pdf"`);
+
+  await streamPdfStatement(res, {
+    user: req.user,
+    cursor,
+    summary: { from, to, openingBalance, closingBalance, stats }
+  });
+
+  logger.info('Transaction PDF statement exported', { userId: req.user._id, month });
+}));
+
+// @desc    Get a single transaction
+// @route   GET /api/transactions/:id
+// @access  Private (payer, payee, support, admin)
+router.get('/:id', validateObjectId('id'), asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.id)
+    .populate('payer', 'name email profile.avatar')
+    .populate('payee', 'name email profile.avatar')
+    .populate('exchangeRequest', 'amount exchangeType status');
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const userId = req.user._id.toString();
+  const isParty = transaction.payer._id.toString() === userId ||
+    transaction.payee._id.toString() === userId;
+
+  if (!isParty && !isStaff(req.user)) {
+    throw new AppError('Not authorized to view this transaction', 403);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { transaction }
+  });
+}));
+
+// @desc    Fully reverse a transaction
+// @route   POST /api/transactions/:id/reverse
+// @access  Private (support, admin)
+router.post('/:id/reverse', authorize('support', 'admin'), validateObjectId('id'), validateReversal, asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const transaction = await findTransactionOrThrow(req.params.id);
+
+  if (transaction.status !== 'COMPLETED') {
+    throw new AppError('Only completed transactions can be reversed', 400);
+  }
+
+  try {
+    await transaction.reverse(reason);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  // The exchange no longer stands
+  const exchangeRequest = await ExchangeRequest.findById(transaction.exchangeRequest).select('+notes.adminNotes');
+  if (exchangeRequest) {
+    exchangeRequest.status = 'CANCELLED';
+    exchangeRequest.appendAdminNote(`Transaction ${transaction._id} reversed: ${reason}`);
+    await exchangeRequest.save();
+
+    if (exchangeRequest.linkedRequest) {
+      await ExchangeRequest.findByIdAndUpdate(exchangeRequest.linkedRequest, {
+        $set: { status: 'CANCELLED' }
+      });
+    }
+  }
+
+  await AuditLog.record(req, 'transaction.reverse', { type: 'Transaction', id: transaction._id }, { reason });
+
+  logger.info('Transaction reversed', {
+    transactionId: transaction._id,
+    staffId: req.user._id
+  });
+
+  await notifyParties(
+    req,
+    transaction,
+    TRANSACTION_EVENTS.REVERSED,
+    'Your exchange transaction was reversed',
+    `Transaction ${transaction._id} for ${transaction.amount} was reversed by our support team.\nReason: ${reason}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Transaction reversed successfully',
+    data: { transaction }
+  });
+}));
+
+// @desc    Partially refund the payer
+// @route   POST /api/transactions/:id/refund
+// @access  Private (support, admin)
+router.post('/:id/refund', authorize('support', 'admin'), validateObjectId('id'), validateRefund, asyncHandler(async (req, res) => {
+  const { source, reason } = req.body;
+  const amount = parseFloat(req.body.amount);
+
+  const transaction = await findTransactionOrThrow(req.params.id);
+
+  if (transaction.status !== 'COMPLETED') {
+    throw new AppError('Only completed transactions can be refunded', 400);
+  }
+
+  const refundable = source === 'PLATFORM_FEE'
+    ? transaction.platformFee - transaction.refundedFrom('PLATFORM_FEE')
+    : transaction.netAmount - transaction.refundedFrom('PAYEE');
+
+  if (amount > refundable) {
+    throw new AppError(`Refund exceeds refundable amount of ${refundable}`, 400);
+  }
+
+  try {
+    await transaction.refund({ amount, source, reason, refundedBy: req.user._id });
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const exchangeRequest = await ExchangeRequest.findById(transaction.exchangeRequest).select('+notes.adminNotes');
+  if (exchangeRequest) {
+    exchangeRequest.appendAdminNote(`Refund of ${amount} (${source}) on transaction ${transaction._id}: ${reason}`);
+    await exchangeRequest.save();
+  }
+
+  await AuditLog.record(req, 'transaction.refund', { type: 'Transaction', id: transaction._id }, {
+    amount,
+    source,
+    reason
+  });
+
+  logger.info('Transaction refunded', {
+    transactionId: transaction._id,
+    amount,
+    source,
+    staffId: req.user._id
+  });
+
+  await notifyParties(
+    req,
+    transaction,
+    TRANSACTION_EVENTS.REFUNDED,
+    'A refund was issued on your exchange',
+    `A refund of ${amount} was issued on transaction ${transaction._id}${source === 'PLATFORM_FEE' ? ' from the platform fee' : ''}.\nReason: ${reason}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund issued successfully',
+    data: { transaction }
+  });
+}));
+
 export default router;
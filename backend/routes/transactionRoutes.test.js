@@ -0,0 +1,318 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import transactionRoutes from './transactionRoutes.js';
+import errorHandler from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateAccessToken } from '../utils/generateToken.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/transactions', transactionRoutes);
+app.use(errorHandler);
+
+// Async-iterable stand-in for a mongoose query cursor
+const cursorOf = (docs) => ({
+  close: jest.fn(async () => {}),
+  async *[Symbol.asyncIterator]() {
+    yield* docs;
+  }
+});
+
+const previousMonth = () => {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() - 1);
+  return date.toISOString().slice(0, 7);
+};
+
+describe('transaction routes', () => {
+  let user;
+  let token;
+
+  beforeEach(() => {
+    user = new User({
+      name: 'Asha Rao',
+      email: 'asha@example.com',
+      phone: '+919800000001',
+      password: 'Secret123!',
+      wallet: { balance: 500 }
+    });
+    token = generateAccessToken(user._id.toString());
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/transactions/stats', () => {
+    it('aggregates the user\'s completed transactions by ObjectId', async () => {
+      const stats = { _id: null, totalTransactions: 2, totalAmountPaid: 300, totalAmountReceived: 95, totalFeesPaid: 5 };
+      const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([stats]);
+
+      const res = await request(app)
+        .get('/api/transactions/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.stats).toEqual(stats);
+
+      const [{ $match }] = aggregate.mock.calls[0][0];
+      expect($match.$or[0].payer).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect($match.$or[0].payer.equals(user._id)).toBe(true);
+      expect($match.status).toBe('COMPLETED');
+
+      const [, { $group }] = aggregate.mock.calls[0][0];
+      const [feeCondition] = $group.totalFeesPaid.$sum.$cond;
+      expect(feeCondition.$eq[0]).toBe('$payee');
+      expect(feeCondition.$eq[1].equals(user._id)).toBe(true);
+    });
+
+    it('returns zeroed stats when the user has no transactions', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+
+      const res = await request(app)
+        .get('/api/transactions/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.stats).toEqual({
+        totalTransactions: 0,
+        totalAmountPaid: 0,
+        totalAmountReceived: 0,
+        totalFeesPaid: 0
+      });
+    });
+
+    it('requires a token', async () => {
+      const res = await request(app).get('/api/transactions/stats');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/transactions/export/pdf', () => {
+    it('streams a monthly statement', async () => {
+      const month = previousMonth();
+      const other = new mongoose.Types.ObjectId();
+      const cursor = cursorOf([{
+        _id: new mongoose.Types.ObjectId(),
+        transactionId: 'TXN-1',
+        type: 'EXCHANGE',
+        status: 'COMPLETED',
+        amount: 200,
+        platformFee: 0,
+        netAmount: 200,
+        payer: { _id: user._id, name: user.name },
+        payee: { _id: other, name: 'Ravi' },
+        createdAt: new Date(`${month}-10T10:00:00Z`)
+      }]);
+
+      const getUserBalance = jest.spyOn(LedgerEntry, 'getUserBalance')
+        .mockResolvedValueOnce(700)
+        .mockResolvedValueOnce(500);
+      const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(Transaction, 'getUserHistoryCursor').mockReturnValue(cursor);
+
+      const res = await request(app)
+        .get(`/api/transactions/export/pdf?month=${month}`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toContain(`statement-${month}.pdf`);
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+      const from = new Date(`${month}-01T00:00:00Z`);
+      expect(getUserBalance).toHaveBeenCalledWith(user._id, { before: from });
+      expect(aggregate.mock.calls[0][0][0].$match.createdAt.$gte).toEqual(from);
+      expect(cursor.close).toHaveBeenCalled();
+    });
+
+    it('rejects a month in the future', async () => {
+      const res = await request(app)
+        .get('/api/transactions/export/pdf?month=2999-01')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('staff reversals and refunds', () => {
+    let staffToken;
+    let payer;
+    let payee;
+    let transaction;
+    let session;
+    let claim;
+    let debit;
+    let credit;
+
+    // What the conditional update returns once it matched
+    const claimed = (changes) => Transaction.hydrate({ ...transaction.toObject(), ...changes });
+
+    beforeEach(() => {
+      const staff = new User({
+        name: 'Support Desk',
+        email: 'support@example.com',
+        phone: '+919800000009',
+        password: 'Secret123!',
+        role: 'support'
+      });
+      staffToken = generateAccessToken(staff._id.toString());
+
+      payer = new User({ name: 'Payer', email: 'payer@example.com', phone: '+919800000002', password: 'Secret123!' });
+      payee = new User({ name: 'Payee', email: 'payee@example.com', phone: '+919800000003', password: 'Secret123!', wallet: { balance: 500 } });
+      const users = [user, staff, payer, payee];
+      const byId = (id) => users.find(u => u._id.equals(id));
+      User.findById.mockImplementation(id => ({
+        select: async () => byId(id),
+        session: async () => byId(id)
+      }));
+
+      transaction = Transaction.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        exchangeRequest: new mongoose.Types.ObjectId(),
+        payer: payer._id,
+        payee: payee._id,
+        amount: 100,
+        type: 'CASH_TO_ONLINE',
+        status: 'COMPLETED',
+        platformFee: 5,
+        netAmount: 95,
+        refunds: [],
+        refundedAmount: 0,
+        metadata: { completedAt: new Date() }
+      });
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+      claim = jest.spyOn(Transaction, 'findOneAndUpdate');
+
+      session = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(async () => {}),
+        abortTransaction: jest.fn(async () => {}),
+        endSession: jest.fn()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+      debit = jest.spyOn(User.prototype, 'debitWallet').mockImplementation(async function(amount) {
+        this.wallet.balance -= amount;
+      });
+      credit = jest.spyOn(User.prototype, 'creditWallet').mockImplementation(async function(amount) {
+        this.wallet.balance += amount;
+      });
+      jest.spyOn(LedgerEntry, 'recordReversal').mockResolvedValue([]);
+      jest.spyOn(LedgerEntry, 'recordRefund').mockResolvedValue([]);
+      jest.spyOn(ExchangeRequest, 'findById').mockReturnValue({ select: async () => null });
+      jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+      jest.spyOn(User, 'find').mockReturnValue({ select: async () => [] });
+    });
+
+    it('claims the transaction before reversing it', async () => {
+      claim.mockImplementation(async () => claimed({ status: 'REVERSED' }));
+
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/reverse`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ reason: 'Exchange never happened' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.transaction.status).toBe('REVERSED');
+
+      const [filter, update] = claim.mock.calls[0];
+      expect(filter).toEqual({ _id: transaction._id, status: 'COMPLETED', refundedAmount: 0 });
+      expect(update.$set.status).toBe('REVERSED');
+      expect(payee.wallet.balance).toBe(405);
+      expect(payer.wallet.balance).toBe(100);
+      expect(session.commitTransaction).toHaveBeenCalled();
+    });
+
+    it('moves no money when another reversal or refund got there first', async () => {
+      claim.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/reverse`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ reason: 'Exchange never happened' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/in the meantime/);
+      expect(debit).not.toHaveBeenCalled();
+      expect(credit).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('claims the refunded amount before refunding', async () => {
+      claim.mockImplementation(async (filter, update) => claimed({
+        refundedAmount: update.$inc.refundedAmount,
+        refunds: [update.$push.refunds]
+      }));
+
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/refund`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ amount: 3, source: 'PLATFORM_FEE', reason: 'Fee waived' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.transaction.refundedAmount).toBe(3);
+      expect(res.body.data.transaction.refunds).toHaveLength(1);
+
+      const [filter, update] = claim.mock.calls[0];
+      expect(filter).toEqual({ _id: transaction._id, status: 'COMPLETED', refundedAmount: 0 });
+      expect(update.$inc).toEqual({ refundedAmount: 3 });
+      expect(payer.wallet.balance).toBe(3);
+      expect(debit).not.toHaveBeenCalled();
+    });
+
+    it('moves no money when a concurrent refund changed the refunded amount', async () => {
+      claim.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/refund`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ amount: 50, source: 'PAYEE', reason: 'Short changed' });
+
+      expect(res.status).toBe(400);
+      expect(debit).not.toHaveBeenCalled();
+      expect(credit).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('rejects a refund above what is left to refund', async () => {
+      transaction.refunds.push({ amount: 4, source: 'PLATFORM_FEE', reason: 'Fee waived' });
+      transaction.refundedAmount = 4;
+
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/refund`)
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ amount: 2, source: 'PLATFORM_FEE', reason: 'Fee waived' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Refund exceeds refundable amount of 1');
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('is staff only', async () => {
+      const res = await request(app)
+        .post(`/api/transactions/${transaction._id}/reverse`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Exchange never happened' });
+
+      expect(res.status).toBe(403);
+      expect(claim).not.toHaveBeenCalled();
+    });
+  });
+});
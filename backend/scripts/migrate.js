@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { runMigrations } from '../migrations/index.js';
+import logger from '../utils/logger.js';
+
+// Apply pending data migrations: npm run migrate
+const migrate = async () => {
+  await connectDB();
+
+  try {
+    const applied = await runMigrations();
+
+    logger.info(applied.length
+      ? `Applied ${applied.length} migration(s): ${applied.join(', ')}`
+      : 'No pending migrations');
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('Migration failed', { error: error.message });
+    process.exit(1);
+  });
@@ -0,0 +1,22 @@
+// Masks phone numbers and email addresses in chat messages until both
+// parties of an exchange agree to share contact details
+
+export const MASK = '[hidden]';
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+
+// 7+ digits, optionally with a leading + or ( and spaces, dots, dashes or
+// parentheses between them
+const PHONE_PATTERN = /[+(]?\d(?:[\s().-]{0,2}\d){6,}/g;
+
+export const maskContactDetails = (text = '') => text
+  .replace(EMAIL_PATTERN, MASK)
+  .replace(PHONE_PATTERN, MASK);
+
+export const containsContactDetails = (text = '') => maskContactDetails(text) !== text;
+
+export default {
+  MASK,
+  maskContactDetails,
+  containsContactDetails
+};
@@ -0,0 +1,26 @@
+import { describe, it, expect } from '@jest/globals';
+import { maskContactDetails, containsContactDetails, MASK } from './contactMasking.js';
+
+describe('maskContactDetails', () => {
+  it.each([
+    ['+91 98765 43210'],
+    ['(080) 2345-6789'],
+    ['9876543210'],
+    ['98.76.54.32.10'],
+    ['asha.rao+swap@example.co.in']
+  ])('hides %s', (contact) => {
+    expect(maskContactDetails(`Reach me at ${contact} please`)).toBe(`Reach me at ${MASK} please`);
+  });
+
+  it('leaves amounts, times and ordinary text alone', () => {
+    const text = 'I can bring 2000 at 5:30 near gate 12';
+
+    expect(maskContactDetails(text)).toBe(text);
+    expect(containsContactDetails(text)).toBe(false);
+  });
+
+  it('hides every contact in a message', () => {
+    expect(maskContactDetails('a@b.io, 9876543210')).toBe(`${MASK}, ${MASK}`);
+    expect(containsContactDetails('a@b.io')).toBe(true);
+  });
+});
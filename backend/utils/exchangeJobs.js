@@ -0,0 +1,150 @@
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import { registerJobHandler, scheduleJob, cancelJob } from './scheduler.js';
+import { emitToUsers, EXCHANGE_EVENTS } from './socketEvents.js';
+import { endSharing } from './liveLocation.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+export const JOBS = {
+  REQUEST_EXPIRY: 'request.expire',
+  ACCEPTED_TIMEOUT: 'exchange.accepted_timeout'
+};
+
+const expiryKey = (requestId) => `${JOBS.REQUEST_EXPIRY}:${requestId}`;
+const timeoutKey = (requestId) => `${JOBS.ACCEPTED_TIMEOUT}:${requestId}`;
+
+// ====================
+// SCHEDULING
+// ====================
+
+// Expire a CREATED request exactly at timeline.expiresAt (rescheduling
+// moves the existing job)
+export const scheduleRequestExpiry = (request) => scheduleJob(
+  JOBS.REQUEST_EXPIRY,
+  request.timeline.expiresAt,
+  { requestId: request._id.toString() },
+  { key: expiryKey(request._id) }
+);
+
+// Call off an accepted exchange that isn't completed in time
+export const scheduleAcceptedTimeout = (request) => {
+  const runAt = new Date(request.timeline.acceptedAt || Date.now());
+  runAt.setMinutes(runAt.getMinutes() + config.exchange.acceptedTimeoutMinutes);
+
+  return scheduleJob(
+    JOBS.ACCEPTED_TIMEOUT,
+    runAt,
+    { requestId: request._id.toString() },
+    { key: timeoutKey(request._id) }
+  );
+};
+
+export const cancelAcceptedTimeout = (requestId) => cancelJob(timeoutKey(requestId));
+
+// ====================
+// HANDLERS
+// ====================
+
+// Expire a request that is still CREATED past its expiry. Returns the
+// request, or null if it was accepted, cancelled or extended meanwhile.
+export const expireRequest = async (requestId, io) => {
+  // Re-check status so a request accepted meanwhile is left alone
+  const request = await ExchangeRequest.findOneAndUpdate(
+    { _id: requestId, status: 'CREATED', 'timeline.expiresAt': { $lte: new Date() } },
+    { $set: { status: 'EXPIRED' } },
+    { new: true }
+  );
+
+  if (!request) return null;
+
+  // Release escrow held for ONLINE_TO_CASH requests. Fills already
+  // taken go ahead; only the open remainder expires.
+  if (request.remainingAmount < request.amount) {
+    await request.closeOpenAmount();
+  } else {
+    await request.releaseWalletHold();
+  }
+
+  emitToUsers(io, [request.requester], EXCHANGE_EVENTS.EXPIRED, {
+    requestId: request._id,
+    reason: 'REQUEST_EXPIRED'
+  });
+
+  return request;
+};
+
+// Call off an exchange still ACCEPTED at its timeout: both sides expire and
+// their escrow is released. Fills go back to their parent requests.
+export const timeOutAcceptedExchange = async (requestId, io) => {
+  const request = await ExchangeRequest.findOneAndUpdate(
+    { _id: requestId, status: 'ACCEPTED' },
+    {
+      $set: { status: 'EXPIRED' },
+      $unset: { 'metadata.completionCode': 1, 'metadata.completionCodeExpires': 1 }
+    },
+    { new: true }
+  );
+
+  if (!request) return null;
+
+  const linkedRequest = await ExchangeRequest.findOneAndUpdate(
+    { _id: request.linkedRequest, status: 'ACCEPTED' },
+    { $set: { status: 'EXPIRED' } },
+    { new: true }
+  );
+
+  for (const side of [request, linkedRequest].filter(Boolean)) {
+    if (side.parentRequest) {
+      await side.returnToParent();
+    } else {
+      await side.releaseWalletHold();
+    }
+  }
+
+  await endSharing(io, request, 'ACCEPTED_TIMEOUT');
+
+  logger.info('Accepted exchange timed out', {
+    requestId: request._id,
+    linkedRequestId: linkedRequest?._id
+  });
+
+  emitToUsers(io, [request.requester, request.helper], EXCHANGE_EVENTS.EXPIRED, {
+    requestId: request._id,
+    linkedRequestId: linkedRequest?._id,
+    reason: 'ACCEPTED_TIMEOUT'
+  });
+
+  return request;
+};
+
+// Expire every overdue CREATED request (backstop for requests without a
+// pending expiry job, e.g. created before the scheduler existed)
+export const expireOverdueRequests = async (io) => {
+  const candidates = await ExchangeRequest.find({
+    status: 'CREATED',
+    'timeline.expiresAt': { $lte: new Date() }
+  }).select('_id');
+
+  let count = 0;
+  for (const { _id } of candidates) {
+    if (await expireRequest(_id, io)) count += 1;
+  }
+
+  return count;
+};
+
+export const registerExchangeJobs = () => {
+  registerJobHandler(JOBS.REQUEST_EXPIRY, ({ requestId }, { io }) => expireRequest(requestId, io));
+  registerJobHandler(JOBS.ACCEPTED_TIMEOUT, ({ requestId }, { io }) => timeOutAcceptedExchange(requestId, io));
+};
+
+export default {
+  JOBS,
+  scheduleRequestExpiry,
+  scheduleAcceptedTimeout,
+  cancelAcceptedTimeout,
+  expireRequest,
+  timeOutAcceptedExchange,
+  expireOverdueRequests,
+  registerExchangeJobs
+};
@@ -0,0 +1,155 @@
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import { AppError } from '../middleware/errorHandler.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Verification requirements for creating or accepting an exchange
+export const assertVerificationRequirements = (user, amount) => {
+  if (config.exchange.requireVerifiedPhone && !user.verification?.isPhoneVerified) {
+    throw new AppError('Please verify your phone number before exchanging', 403);
+  }
+
+  // Unverified emails are limited to small exchanges
+  if (!user.verification?.isEmailVerified && amount > config.exchange.unverifiedMaxAmount) {
+    throw new AppError(
+      `Please verify your email to exchange more than ${config.exchange.unverifiedMaxAmount}`,
+      403
+    );
+  }
+
+  // Large exchanges need an approved identity document
+  if (!user.verification?.isIdVerified && amount > config.kyc.requiredAboveAmount) {
+    throw new AppError(
+      `Please verify your identity to exchange more than ${config.kyc.requiredAboveAmount}`,
+      403
+    );
+  }
+};
+
+// Acting as a helper (accepting others' requests) may require approved KYC
+export const assertCanHelp = (user) => {
+  if (config.kyc.requiredForHelpers && !user.verification?.isIdVerified) {
+    throw new AppError('Please verify your identity before accepting exchange requests', 403);
+  }
+};
+
+// Rolling windows: last 24 hours and last 30 days
+const PERIODS = {
+  daily: DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+// Remaining exchange volume for a user in each period.
+// `excludeRequestId` leaves one of their requests out of the usage
+// (on accept, the helper's request is replaced by the target amount; on
+// edit, the request's old amount by its new one).
+export const getAllowance = async (user, excludeRequestId = null) => {
+  const tier = user.kycTier;
+  const limits = config.limits[tier];
+  const now = Date.now();
+
+  const allowance = { tier };
+
+  for (const [period, windowMs] of Object.entries(PERIODS)) {
+    const used = await ExchangeRequest.getUserVolume(
+      user._id,
+      new Date(now - windowMs),
+      excludeRequestId
+    );
+
+    allowance[period] = {
+      limit: limits[period],
+      used,
+      remaining: Math.max(0, limits[period] - used)
+    };
+  }
+
+  return allowance;
+};
+
+// Throw (and log a compliance event) if `amount` would exceed the user's
+// daily or monthly limit. `req` is the HTTP request, or `{ user }` when
+// there is none (auto-match lock-in).
+export const assertWithinLimits = async (req, amount, { action, exchangeRequest = null, excludeRequestId = null }) => {
+  const allowance = await getAllowance(req.user, excludeRequestId);
+
+  for (const period of Object.keys(PERIODS)) {
+    const { limit, used, remaining } = allowance[period];
+
+    if (amount > remaining) {
+      await ComplianceEvent.create({
+        user: req.user._id,
+        type: 'LIMIT_EXCEEDED',
+        action,
+        exchangeRequest,
+        amount,
+        kycTier: allowance.tier,
+        period,
+        limit,
+        used,
+        ip: req.ip
+      });
+
+      logger.warn('Exchange limit exceeded', {
+        userId: req.user._id,
+        action,
+        amount,
+        period,
+        limit,
+        used
+      });
+
+      throw new AppError(
+        `This exchange would exceed your ${period} limit of ${limit}. Remaining: ${remaining}`,
+        403
+      );
+    }
+  }
+
+  return allowance;
+};
+
+// Throw if the user is already in an accepted exchange. Helpers take one at
+// a time; a requester's other fills of `exceptFillsOf` (their own request)
+// don't count.
+export const assertNotBusy = async (user, { exceptFillsOf = null } = {}) => {
+  const busy = await ExchangeRequest.exists({
+    status: 'ACCEPTED',
+    $or: [{ requester: user._id }, { helper: user._id }],
+    ...(exceptFillsOf ? { parentRequest: { $ne: exceptFillsOf } } : {})
+  });
+
+  if (busy) {
+    throw new AppError('You already have an active exchange in progress', 400);
+  }
+};
+
+// Checks for a user taking on `amount` of an exchange in place of their own
+// open request (accepting a request, or locking in an auto-match):
+// verification, KYC when acting as helper, and daily/monthly limits with
+// their own request left out of the usage
+export const assertCanTakeExchange = async (req, amount, { action, asHelper, exchangeRequest, ownRequestId }) => {
+  assertVerificationRequirements(req.user, amount);
+
+  if (asHelper) {
+    assertCanHelp(req.user);
+  }
+
+  return assertWithinLimits(req, amount, {
+    action,
+    exchangeRequest,
+    excludeRequestId: ownRequestId
+  });
+};
+
+export default {
+  assertVerificationRequirements,
+  assertCanHelp,
+  getAllowance,
+  assertWithinLimits,
+  assertNotBusy,
+  assertCanTakeExchange
+};
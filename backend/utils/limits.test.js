@@ -0,0 +1,102 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import config from '../config/config.js';
+import { assertWithinLimits, getAllowance } from './limits.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('assertWithinLimits', () => {
+  const { daily, monthly } = config.limits.CONTACT_VERIFIED;
+  let req;
+  let volume;
+
+  beforeEach(() => {
+    req = {
+      user: { _id: new mongoose.Types.ObjectId(), kycTier: 'CONTACT_VERIFIED' },
+      ip: '203.0.113.7'
+    };
+    volume = { daily: 0, monthly: 0 };
+
+    // The 24 hour window starts well after the 30 day one
+    jest.spyOn(ExchangeRequest, 'getUserVolume').mockImplementation(async (userId, since) =>
+      (Date.now() - since.getTime() < 2 * DAY_MS ? volume.daily : volume.monthly)
+    );
+    jest.spyOn(ComplianceEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the allowance when the amount fits both periods', async () => {
+    volume = { daily: 1000, monthly: 5000 };
+
+    const allowance = await assertWithinLimits(req, 2000, { action: 'create' });
+
+    expect(allowance).toEqual({
+      tier: 'CONTACT_VERIFIED',
+      daily: { limit: daily, used: 1000, remaining: daily - 1000 },
+      monthly: { limit: monthly, used: 5000, remaining: monthly - 5000 }
+    });
+    expect(ComplianceEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('allows an amount that uses up exactly what is left', async () => {
+    volume = { daily: daily - 500, monthly: daily - 500 };
+
+    await expect(assertWithinLimits(req, 500, { action: 'create' })).resolves.toBeDefined();
+  });
+
+  it('rejects and logs a compliance event over the daily limit', async () => {
+    const exchangeRequest = new mongoose.Types.ObjectId();
+    volume = { daily: daily - 500, monthly: daily - 500 };
+
+    await expect(assertWithinLimits(req, 501, { action: 'accept', exchangeRequest }))
+      .rejects.toMatchObject({
+        statusCode: 403,
+        message: `This exchange would exceed your daily limit of ${daily}. Remaining: 500`
+      });
+
+    expect(ComplianceEvent.create).toHaveBeenCalledWith({
+      user: req.user._id,
+      type: 'LIMIT_EXCEEDED',
+      action: 'accept',
+      exchangeRequest,
+      amount: 501,
+      kycTier: 'CONTACT_VERIFIED',
+      period: 'daily',
+      limit: daily,
+      used: daily - 500,
+      ip: req.ip
+    });
+  });
+
+  it('rejects over the monthly limit when the day has room', async () => {
+    volume = { daily: 0, monthly: monthly - 100 };
+
+    await expect(assertWithinLimits(req, 200, { action: 'create' }))
+      .rejects.toThrow(`monthly limit of ${monthly}`);
+    expect(ComplianceEvent.create).toHaveBeenCalledWith(expect.objectContaining({ period: 'monthly' }));
+  });
+
+  it('leaves the excluded request out of the usage', async () => {
+    const excludeRequestId = new mongoose.Types.ObjectId();
+
+    await getAllowance(req.user, excludeRequestId);
+
+    expect(ExchangeRequest.getUserVolume).toHaveBeenCalledTimes(2);
+    ExchangeRequest.getUserVolume.mock.calls.forEach(([userId, , excluded]) => {
+      expect(userId).toBe(req.user._id);
+      expect(excluded).toBe(excludeRequestId);
+    });
+  });
+
+  it('works without an HTTP request', async () => {
+    volume = { daily, monthly: daily };
+
+    await expect(assertWithinLimits({ user: req.user }, 1, { action: 'match' })).rejects.toThrow('daily limit');
+    expect(ComplianceEvent.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'match', ip: undefined }));
+  });
+});
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import LocationShare from '../models/LocationShare.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { emitToUsers, LOCATION_EVENTS } from './socketEvents.js';
+import { distanceInMeters } from './geo.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+// Live location sharing between the two parties of an ACCEPTED exchange.
+// Only the latest position per party is stored, and only while the
+// exchange is in progress: shares are deleted when it completes, is
+// withdrawn or times out.
+
+// Below this reported speed (m/s) the device is treated as standing still
+const MIN_MOVING_SPEED = 0.5;
+
+// Load the primary request for either party's request id and the user's role
+const findExchangeForParty = async (requestId, userId) => {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw new AppError('Invalid exchange id', 400);
+  }
+
+  const exchangeRequest = await ExchangeRequest.findPrimary(requestId);
+
+  if (!exchangeRequest || !exchangeRequest.helper) {
+    throw new AppError('Exchange not found', 404);
+  }
+
+  const id = userId.toString();
+  const role = exchangeRequest.requester.toString() === id ? 'REQUESTER'
+    : exchangeRequest.helper.toString() === id ? 'HELPER'
+      : null;
+
+  if (!role) {
+    throw new AppError('Only the exchange parties can share their location', 403);
+  }
+
+  return { exchangeRequest, role };
+};
+
+const assertInProgress = (exchangeRequest) => {
+  if (exchangeRequest.status !== 'ACCEPTED') {
+    throw new AppError('Location can only be shared while the exchange is in progress', 400);
+  }
+};
+
+const partiesOf = (exchangeRequest) => [exchangeRequest.requester, exchangeRequest.helper];
+
+// Distance (meters) and rough ETA (seconds) from a position to the meeting point
+export const routeToMeetingPoint = (exchangeRequest, position) => {
+  const target = exchangeRequest.meetingPoint?.coordinates;
+
+  if (target?.length !== 2 || position?.coordinates?.length !== 2) {
+    return { distanceToMeetingPoint: null, etaSeconds: null };
+  }
+
+  const distance = distanceInMeters(position.coordinates, target);
+  const speed = position.speed > MIN_MOVING_SPEED
+    ? position.speed
+    : config.liveLocation.defaultSpeedMps;
+
+  return {
+    distanceToMeetingPoint: distance,
+    etaSeconds: Math.round(distance / speed)
+  };
+};
+
+// Public view of a share, with its route to the meeting point
+const shareView = (exchangeRequest, share) => ({
+  userId: share.user,
+  role: share.role,
+  position: share.position?.coordinates?.length === 2 ? share.position : null,
+  startedAt: share.startedAt,
+  ...routeToMeetingPoint(exchangeRequest, share.position)
+});
+
+// Start sharing (idempotent). The share outlives the exchange at most until
+// its accepted timeout.
+export const startSharing = async (io, userId, requestId) => {
+  const { exchangeRequest, role } = await findExchangeForParty(requestId, userId);
+  assertInProgress(exchangeRequest);
+
+  const expiresAt = new Date(exchangeRequest.timeline.acceptedAt || Date.now());
+  expiresAt.setMinutes(expiresAt.getMinutes() + config.exchange.acceptedTimeoutMinutes);
+
+  const share = await LocationShare.findOneAndUpdate(
+    { exchangeRequest: exchangeRequest._id, user: userId },
+    {
+      $setOnInsert: { role, startedAt: new Date() },
+      $set: { expiresAt }
+    },
+    { new: true, upsert: true }
+  );
+
+  emitToUsers(io, partiesOf(exchangeRequest), LOCATION_EVENTS.STARTED, {
+    requestId: exchangeRequest._id,
+    ...shareView(exchangeRequest, share)
+  });
+
+  return shareView(exchangeRequest, share);
+};
+
+// Record a party's latest position and broadcast it with the distance and
+// ETA to the meeting point and the distance to the other party
+export const updatePosition = async (io, userId, { requestId, latitude, longitude, accuracy, heading, speed }) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 ||
+      !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new AppError('Invalid coordinates', 400);
+  }
+
+  const { exchangeRequest } = await findExchangeForParty(requestId, userId);
+  assertInProgress(exchangeRequest);
+
+  const optional = (value) => (value == null || !Number.isFinite(Number(value)) ? undefined : Number(value));
+
+  const position = {
+    coordinates: [lng, lat],
+    accuracy: optional(accuracy),
+    heading: optional(heading),
+    speed: optional(speed),
+    recordedAt: new Date()
+  };
+
+  const share = await LocationShare.findOneAndUpdate(
+    { exchangeRequest: exchangeRequest._id, user: userId },
+    { $set: { position } },
+    { new: true }
+  );
+
+  if (!share) {
+    throw new AppError('Start sharing your location first', 400);
+  }
+
+  const other = await LocationShare.findOne({
+    exchangeRequest: exchangeRequest._id,
+    user: { $ne: userId }
+  });
+
+  const distanceBetweenParties = other?.position?.coordinates?.length === 2
+    ? distanceInMeters(position.coordinates, other.position.coordinates)
+    : null;
+
+  const update = {
+    requestId: exchangeRequest._id,
+    ...shareView(exchangeRequest, share),
+    distanceBetweenParties
+  };
+
+  emitToUsers(io, partiesOf(exchangeRequest), LOCATION_EVENTS.UPDATED, update);
+
+  return update;
+};
+
+// Stop sharing and forget the party's position
+export const stopSharing = async (io, userId, requestId) => {
+  const { exchangeRequest, role } = await findExchangeForParty(requestId, userId);
+
+  const { deletedCount } = await LocationShare.deleteOne({
+    exchangeRequest: exchangeRequest._id,
+    user: userId
+  });
+
+  if (deletedCount) {
+    emitToUsers(io, partiesOf(exchangeRequest), LOCATION_EVENTS.STOPPED, {
+      requestId: exchangeRequest._id,
+      userId,
+      role
+    });
+  }
+
+  return { stopped: deletedCount > 0 };
+};
+
+// Current shares of an exchange (e.g. to restore the map after reconnecting)
+export const getSharing = async (userId, requestId) => {
+  const { exchangeRequest } = await findExchangeForParty(requestId, userId);
+
+  const shares = await LocationShare.find({ exchangeRequest: exchangeRequest._id });
+
+  return {
+    requestId: exchangeRequest._id,
+    status: exchangeRequest.status,
+    meetingPoint: exchangeRequest.meetingPoint?.coordinates?.length === 2
+      ? exchangeRequest.meetingPoint
+      : null,
+    shares: shares.map(share => shareView(exchangeRequest, share))
+  };
+};
+
+// End all sharing for an exchange that is no longer in progress and delete
+// the stored positions. `reason` is COMPLETED, WITHDRAWN, DISPUTED or
+// ACCEPTED_TIMEOUT.
+export const endSharing = async (io, exchangeRequest, reason) => {
+  const { deletedCount } = await LocationShare.deleteMany({ exchangeRequest: exchangeRequest._id });
+
+  if (deletedCount) {
+    emitToUsers(io, partiesOf(exchangeRequest), LOCATION_EVENTS.ENDED, {
+      requestId: exchangeRequest._id,
+      reason
+    });
+  }
+
+  return deletedCount;
+};
+
+// Socket handlers. Each event takes an optional ack callback that gets
+// { success, data } or { success: false, message }.
+//   location:start  { requestId }
+//   location:update { requestId, latitude, longitude, accuracy?, heading?, speed? }
+//   location:stop   { requestId }
+export const registerLiveLocationHandlers = (io, socket) => {
+  const userId = socket.user._id;
+  let lastUpdateAt = 0;
+
+  const handle = (event, handler) => {
+    socket.on(event, async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        reply({ success: true, data: await handler(payload || {}) });
+      } catch (error) {
+        if (!error.isOperational) {
+          logger.error('Live location event failed', { event, userId, error: error.message });
+        }
+
+        reply({
+          success: false,
+          message: error.isOperational ? error.message : 'Could not process location event'
+        });
+      }
+    });
+  };
+
+  handle('location:start', ({ requestId }) => startSharing(io, userId, requestId));
+
+  handle('location:update', (payload) => {
+    const now = Date.now();
+
+    if (now - lastUpdateAt < config.liveLocation.minUpdateIntervalMs) {
+      throw new AppError('Location updates are too frequent', 429);
+    }
+    lastUpdateAt = now;
+
+    return updatePosition(io, userId, payload);
+  });
+
+  handle('location:stop', ({ requestId }) => stopSharing(io, userId, requestId));
+};
+
+export default {
+  routeToMeetingPoint,
+  startSharing,
+  updatePosition,
+  stopSharing,
+  getSharing,
+  endSharing,
+  registerLiveLocationHandlers
+};
@@ -0,0 +1,163 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import LocationShare from '../models/LocationShare.js';
+import config from '../config/config.js';
+import { distanceInMeters } from './geo.js';
+import { userRoom, LOCATION_EVENTS } from './socketEvents.js';
+import {
+  startSharing,
+  updatePosition,
+  endSharing,
+  registerLiveLocationHandlers
+} from './liveLocation.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const MEETING_POINT = [77.5946, 12.9716];
+
+describe('live location', () => {
+  let requester;
+  let helper;
+  let exchangeRequest;
+  let io;
+  let emit;
+
+  beforeEach(() => {
+    requester = id();
+    helper = id();
+    exchangeRequest = {
+      _id: id(),
+      requester,
+      helper,
+      status: 'ACCEPTED',
+      timeline: { acceptedAt: new Date('2026-10-18T10:00:00Z') },
+      meetingPoint: { name: 'Metro gate 2', coordinates: MEETING_POINT }
+    };
+
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+
+    jest.spyOn(ExchangeRequest, 'findPrimary').mockImplementation(async () => exchangeRequest);
+    jest.spyOn(LocationShare, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      user: filter.user,
+      role: 'REQUESTER',
+      startedAt: new Date(),
+      ...update.$set
+    }));
+    jest.spyOn(LocationShare, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('startSharing', () => {
+    it('opens a share that expires with the accepted exchange and tells both parties', async () => {
+      await startSharing(io, requester, exchangeRequest._id.toString());
+
+      const [filter, update] = LocationShare.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ exchangeRequest: exchangeRequest._id, user: requester });
+      expect(update.$setOnInsert.role).toBe('REQUESTER');
+      expect(update.$set.expiresAt.getTime()).toBe(
+        exchangeRequest.timeline.acceptedAt.getTime() + config.exchange.acceptedTimeoutMinutes * 60 * 1000
+      );
+      expect(io.to).toHaveBeenCalledWith([userRoom(requester), userRoom(helper)]);
+      expect(emit).toHaveBeenCalledWith(LOCATION_EVENTS.STARTED, expect.anything());
+    });
+
+    it('is only open to the parties of an exchange in progress', async () => {
+      await expect(startSharing(io, id(), exchangeRequest._id.toString()))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      exchangeRequest.status = 'COMPLETED';
+      await expect(startSharing(io, helper, exchangeRequest._id.toString()))
+        .rejects.toThrow('Location can only be shared while the exchange is in progress');
+
+      await expect(startSharing(io, helper, 'not-an-id')).rejects.toMatchObject({ statusCode: 400 });
+      expect(LocationShare.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePosition', () => {
+    const position = { latitude: 12.98, longitude: 77.60 };
+
+    it('broadcasts the distance and ETA to the meeting point and to the other party', async () => {
+      LocationShare.findOne.mockResolvedValue({ position: { coordinates: [77.59, 12.97] } });
+
+      const update = await updatePosition(io, helper, {
+        requestId: exchangeRequest._id.toString(),
+        ...position
+      });
+
+      const distance = distanceInMeters([77.60, 12.98], MEETING_POINT);
+      expect(update.distanceToMeetingPoint).toBe(distance);
+      expect(update.etaSeconds).toBe(Math.round(distance / config.liveLocation.defaultSpeedMps));
+      expect(update.distanceBetweenParties).toBe(distanceInMeters([77.60, 12.98], [77.59, 12.97]));
+      expect(emit).toHaveBeenCalledWith(LOCATION_EVENTS.UPDATED, expect.objectContaining({ data: update }));
+    });
+
+    it('uses the reported speed for the ETA while moving', async () => {
+      const update = await updatePosition(io, helper, {
+        requestId: exchangeRequest._id.toString(),
+        ...position,
+        speed: 10
+      });
+
+      expect(update.etaSeconds).toBe(Math.round(update.distanceToMeetingPoint / 10));
+      expect(update.distanceBetweenParties).toBeNull();
+    });
+
+    it('rejects coordinates out of range', async () => {
+      await expect(updatePosition(io, helper, {
+        requestId: exchangeRequest._id.toString(),
+        latitude: 91,
+        longitude: 77.6
+      })).rejects.toThrow('Invalid coordinates');
+    });
+
+    it('needs an open share', async () => {
+      LocationShare.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(updatePosition(io, helper, {
+        requestId: exchangeRequest._id.toString(),
+        ...position
+      })).rejects.toThrow('Start sharing your location first');
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endSharing', () => {
+    it('deletes the stored positions and tells both parties why', async () => {
+      jest.spyOn(LocationShare, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      expect(await endSharing(io, exchangeRequest, 'COMPLETED')).toBe(2);
+      expect(LocationShare.deleteMany).toHaveBeenCalledWith({ exchangeRequest: exchangeRequest._id });
+      expect(emit).toHaveBeenCalledWith(LOCATION_EVENTS.ENDED, expect.objectContaining({
+        data: { requestId: exchangeRequest._id, reason: 'COMPLETED' }
+      }));
+    });
+
+    it('stays quiet when nobody was sharing', async () => {
+      jest.spyOn(LocationShare, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+      await endSharing(io, exchangeRequest, 'WITHDRAWN');
+
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('socket handlers', () => {
+    it('drop position updates that come too fast', async () => {
+      const handlers = {};
+      const socket = { user: { _id: helper }, on: (event, handler) => { handlers[event] = handler; } };
+      registerLiveLocationHandlers(io, socket);
+
+      const send = (payload) => new Promise(resolve => handlers['location:update'](payload, resolve));
+      const payload = { requestId: exchangeRequest._id.toString(), latitude: 12.98, longitude: 77.60 };
+
+      expect((await send(payload)).success).toBe(true);
+      expect(await send(payload)).toEqual({ success: false, message: 'Location updates are too frequent' });
+    });
+  });
+});
@@ -23,6 +23,7 @@ const logFormat = printf(({ level, message, timestamp, stack, ...metadata }) =>
 // Create logger instance
 const logger = winston.createLogger({
   level: config.logging.level,
+  silent: config.env === 'test', // Keep test runs out of the log files
   format: combine(
     errors({ stack: true }),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -46,7 +47,7 @@ const logger = winston.createLogger({
 });
 
 // Console logging for development
-if (config.env !== 'production') {
+if (config.env !== 'production' && config.env !== 'test') {
   logger.add(new winston.transports.Console({
     format: combine(
       colorize(),
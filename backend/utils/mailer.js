@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+// ====================
+// TRANSPORTS
+// ====================
+// A transport is an object with `async send(message)`. Register others
+// (SMTP, SES, ...) with registerTransport and select them via MAIL_TRANSPORT.
+
+const transports = {
+  // Logs the full message - local development only
+  console: () => ({
+    send: async (message) => {
+      logger.info('Email (console transport)', message);
+    }
+  }),
+
+  // Writes each message as a JSON file - local development only
+  file: (options) => ({
+    send: async (message) => {
+      await fs.mkdir(options.fileDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+      await fs.writeFile(
+        path.join(options.fileDir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+
+      logger.info('Email written to file', { to: message.to, fileName });
+    }
+  })
+};
+
+// Transports that never deliver anything; not allowed in production
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+let activeTransport = null;
+
+// Refuse to run a production server that would silently drop emails.
+// Called at startup, and again before the first send.
+export const assertMailTransport = () => {
+  if (config.env === 'production' && DEVELOPMENT_TRANSPORTS.includes(config.mail.transport)) {
+    throw new Error(
+      `Mail transport "${config.mail.transport}" is meant for local development only. Set MAIL_TRANSPORT to a registered production transport`
+    );
+  }
+};
+
+export const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = null; // Re-resolve on next send
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const factory = transports[config.mail.transport];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  assertMailTransport();
+
+  activeTransport = factory(config.mail);
+  return activeTransport;
+};
+
+// ====================
+// SENDING
+// ====================
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString()
+  };
+
+  await getTransport().send(message);
+};
+
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${config.app.clientUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${config.mail.verificationExpiryMinutes / 60} hours.`
+  });
+};
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${config.app.clientUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${config.mail.resetExpiryMinutes} minutes and can be used once. If you did not ask for this, ignore this email.`
+  });
+};
+
+export const sendKycDecisionEmail = async (user, submission) => {
+  const approved = submission.status === 'APPROVED';
+
+  await sendMail({
+    to: user.email,
+    subject: approved ? 'Your identity has been verified' : 'We could not verify your identity',
+    text: approved
+      ? `Hi ${user.name},\n\nYour identity documents were approved. Your exchange limits have been raised.`
+      : `Hi ${user.name},\n\nYour identity documents were not approved.\nReason: ${submission.review.rejectionReason}\n\nYou can submit new documents from your profile.`
+  });
+};
+
+export default {
+  registerTransport,
+  assertMailTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendKycDecisionEmail
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import config from '../config/config.js';
+import { assertMailTransport, sendMail } from './mailer.js';
+
+describe('development mail transports', () => {
+  const { env } = config;
+  const { transport } = config.mail;
+
+  afterEach(() => {
+    config.env = env;
+    config.mail.transport = transport;
+  });
+
+  it('are refused in production', async () => {
+    config.env = 'production';
+
+    for (const name of ['console', 'file']) {
+      config.mail.transport = name;
+      expect(() => assertMailTransport()).toThrow(`Mail transport "${name}" is meant for local development only`);
+    }
+
+    await expect(sendMail({ to: 'asha@example.com', subject: 'Hi', text: 'Hi' })).rejects.toThrow('MAIL_TRANSPORT');
+  });
+
+  it('are fine anywhere else', () => {
+    config.env = 'development';
+    config.mail.transport = 'console';
+
+    expect(() => assertMailTransport()).not.toThrow();
+  });
+
+  it('do not stop a production transport', () => {
+    config.env = 'production';
+    config.mail.transport = 'ses';
+
+    expect(() => assertMailTransport()).not.toThrow();
+  });
+});
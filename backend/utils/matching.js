@@ -0,0 +1,350 @@
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import MatchProposal from '../models/MatchProposal.js';
+import User from '../models/User.js';
+import {
+  assertVerificationRequirements,
+  assertCanHelp,
+  assertNotBusy,
+  assertCanTakeExchange
+} from './limits.js';
+import { emitToUsers, MATCH_EVENTS, EXCHANGE_EVENTS } from './socketEvents.js';
+import { scheduleAcceptedTimeout } from './exchangeJobs.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// ====================
+// SCORING
+// ====================
+
+// Score a compatible candidate for `request` between 0 and 1.
+// - distance: 1 at the same spot, 0 at the search radius
+// - amount fit: smaller / larger of the two open amounts (1 = exact fit)
+// - rating: counterparty reputation score out of 5 (0.5 until they have ratings)
+export const scoreCandidate = (request, candidate, helperUser, maxDistance) => {
+  const { weights } = config.matching;
+  const distance = candidate.metadata?.distance || 0;
+
+  const distanceScore = Math.max(0, 1 - distance / maxDistance);
+  const amountFitScore = Math.min(request.remainingAmount, candidate.remainingAmount) /
+    Math.max(request.remainingAmount, candidate.remainingAmount);
+  const ratingScore = helperUser.profile?.totalRatings > 0
+    ? helperUser.profile.reputationScore / 5
+    : 0.5;
+
+  const totalWeight = weights.distance + weights.amountFit + weights.rating;
+  const score = (
+    weights.distance * distanceScore +
+    weights.amountFit * amountFitScore +
+    weights.rating * ratingScore
+  ) / totalWeight;
+
+  return {
+    score: round(score),
+    breakdown: {
+      distance: Math.round(distance),
+      distanceScore: round(distanceScore),
+      amountFitScore: round(amountFitScore),
+      ratingScore: round(ratingScore)
+    }
+  };
+};
+
+// Whether `user` may act as helper for `amount`
+const canHelp = (user, amount) => {
+  if (!user?.isActive) return false;
+
+  try {
+    assertCanHelp(user);
+    assertVerificationRequirements(user, amount);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// ====================
+// PROPOSALS
+// ====================
+
+// Claim a request for a proposal (a request is in at most one proposal)
+const claimRequest = (requestId, proposalId) => ExchangeRequest.findOneAndUpdate(
+  { _id: requestId, status: 'CREATED', 'matching.proposal': null },
+  { $set: { 'matching.proposal': proposalId } },
+  { new: true }
+);
+
+const releaseClaims = (proposal) => ExchangeRequest.updateMany(
+  {
+    _id: { $in: [proposal.targetRequest, proposal.helperRequest] },
+    'matching.proposal': proposal._id
+  },
+  { $set: { 'matching.proposal': null } }
+);
+
+const proposalPayload = (proposal) => ({
+  proposalId: proposal._id,
+  status: proposal.status,
+  targetRequestId: proposal.targetRequest,
+  helperRequestId: proposal.helperRequest,
+  amount: proposal.amount,
+  exchangeType: proposal.exchangeType,
+  score: proposal.score,
+  expiresAt: proposal.expiresAt
+});
+
+// Find the best auto-match counterparty for a newly created (or freed up)
+// request and propose it to both users. Returns the proposal or null.
+export const proposeMatch = async (request, io) => {
+  if (!request.matching?.autoMatch || request.status !== 'CREATED' || request.matching.proposal) {
+    return null;
+  }
+
+  const maxDistance = config.exchange.defaultMaxDistance;
+
+  const { requests: candidates } = await ExchangeRequest.findCompatibleHelpers(request._id, {
+    maxDistance,
+    limit: config.matching.candidateLimit
+  });
+
+  // Don't re-propose pairs that were already declined, expired or failed
+  const previous = await MatchProposal.find({
+    $or: [{ targetRequest: request._id }, { helperRequest: request._id }]
+  }).select('targetRequest helperRequest');
+
+  const excluded = new Set(previous.flatMap(p => [p.targetRequest.toString(), p.helperRequest.toString()]));
+
+  const optedIn = candidates.filter(c =>
+    c.matching?.autoMatch && !c.matching?.proposal && !excluded.has(c._id.toString())
+  );
+
+  if (!optedIn.length) return null;
+
+  const helpers = await User.find({ _id: { $in: optedIn.map(c => c.requester) } })
+    .select('isActive verification profile');
+  const helperById = new Map(helpers.map(u => [u._id.toString(), u]));
+
+  // What a candidate would fill: all of the request unless it takes partial fills
+  const fillAmount = (c) => Math.min(request.remainingAmount, c.remainingAmount);
+
+  const ranked = optedIn
+    .filter(c => canHelp(helperById.get(c.requester.toString()), fillAmount(c)))
+    .map(c => ({
+      candidate: c,
+      ...scoreCandidate(request, c, helperById.get(c.requester.toString()), maxDistance)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const expiresAt = new Date(Date.now() + config.matching.proposalWindowMinutes * 60 * 1000);
+
+  for (const { candidate, score, breakdown } of ranked) {
+    const proposal = new MatchProposal({
+      targetRequest: request._id,
+      helperRequest: candidate._id,
+      requester: request.requester,
+      helper: candidate.requester,
+      amount: fillAmount(candidate),
+      exchangeType: request.exchangeType,
+      score,
+      breakdown,
+      expiresAt
+    });
+
+    // Both requests must still be free; back out if either was taken meanwhile
+    const claimedTarget = await claimRequest(request._id, proposal._id);
+    if (!claimedTarget) return null;
+
+    const claimedHelper = await claimRequest(candidate._id, proposal._id);
+    if (!claimedHelper) {
+      await releaseClaims(proposal);
+      continue;
+    }
+
+    try {
+      await proposal.save();
+    } catch (error) {
+      await releaseClaims(proposal);
+      throw error;
+    }
+
+    logger.info('Match proposed', {
+      proposalId: proposal._id,
+      targetRequestId: request._id,
+      helperRequestId: candidate._id,
+      score
+    });
+
+    emitToUsers(io, [proposal.requester, proposal.helper], MATCH_EVENTS.PROPOSED, proposalPayload(proposal));
+
+    return proposal;
+  }
+
+  return null;
+};
+
+// Look for new matches for requests that were freed up (best-effort)
+const rematch = async (requestIds, io) => {
+  for (const requestId of requestIds) {
+    const request = await ExchangeRequest.findById(requestId);
+    if (request) {
+      await proposeMatch(request, io).catch(error => logger.error('Re-matching failed', {
+        requestId,
+        error: error.message
+      }));
+    }
+  }
+};
+
+// Close an open proposal (DECLINED, EXPIRED or FAILED), free both requests
+// and look for new matches for them. `from` is the status it must be in.
+export const closeProposal = async (proposal, status, io, details = {}, from = 'PROPOSED') => {
+  const closed = await MatchProposal.findOneAndUpdate(
+    { _id: proposal._id, status: from },
+    { $set: { status, ...details } },
+    { new: true }
+  );
+
+  if (!closed) return null;
+
+  await releaseClaims(closed);
+
+  const events = {
+    DECLINED: MATCH_EVENTS.DECLINED,
+    EXPIRED: MATCH_EVENTS.EXPIRED,
+    FAILED: MATCH_EVENTS.FAILED
+  };
+
+  emitToUsers(io, [closed.requester, closed.helper], events[status], {
+    ...proposalPayload(closed),
+    failureReason: closed.failureReason
+  });
+
+  logger.info('Match proposal closed', { proposalId: closed._id, status });
+
+  await rematch([closed.targetRequest, closed.helperRequest], io);
+
+  return closed;
+};
+
+// Lock in a proposal both users confirmed: pair the requests as ACCEPTED
+export const lockInProposal = async (proposal, io) => {
+  // Only one confirmation can win the right to pair
+  const locking = await MatchProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'PROPOSED' },
+    { $set: { status: 'CONFIRMED' } },
+    { new: true }
+  );
+
+  if (!locking) return null;
+
+  const [targetRequest, helperRequest, requesterUser, helperUser] = await Promise.all([
+    ExchangeRequest.findById(locking.targetRequest),
+    ExchangeRequest.findById(locking.helperRequest),
+    User.findById(locking.requester).select('isActive verification'),
+    User.findById(locking.helper).select('isActive verification')
+  ]);
+
+  const fail = (reason) => closeProposal(locking, 'FAILED', io, { failureReason: reason }, 'CONFIRMED');
+
+  if (!targetRequest || !helperRequest ||
+      targetRequest.status !== 'CREATED' || helperRequest.status !== 'CREATED') {
+    return fail('One of the requests is no longer available');
+  }
+
+  // Both users take on the exchange in place of their own request: same
+  // checks as a manual accept, with the KYC gate for the helper. Details
+  // stay in the logs; the other user only learns which side failed.
+  const parties = [
+    { role: 'requester', user: requesterUser, ownRequest: targetRequest, asHelper: false },
+    { role: 'helper', user: helperUser, ownRequest: helperRequest, asHelper: true }
+  ];
+
+  for (const { role, user, ownRequest, asHelper } of parties) {
+    try {
+      if (!user?.isActive) {
+        throw new Error('Account is not active');
+      }
+
+      await assertNotBusy(user, asHelper ? {} : { exceptFillsOf: ownRequest._id });
+      await assertCanTakeExchange({ user }, locking.amount, {
+        action: 'match',
+        asHelper,
+        exchangeRequest: targetRequest._id,
+        ownRequestId: ownRequest._id
+      });
+    } catch (error) {
+      logger.warn('Match lock-in check failed', {
+        proposalId: locking._id,
+        role,
+        userId: user?._id,
+        error: error.message
+      });
+
+      return fail(`The ${role} can no longer take this exchange`);
+    }
+  }
+
+  let pairing;
+  try {
+    pairing = await targetRequest.pairWith(
+      helperRequest,
+      config.exchange.completionCodeExpiryMinutes,
+      locking.amount
+    );
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  await releaseClaims(locking);
+  await scheduleAcceptedTimeout(pairing.exchangeRequest);
+
+  logger.info('Match confirmed', {
+    proposalId: locking._id,
+    requestId: targetRequest._id,
+    helperId: locking.helper
+  });
+
+  emitToUsers(io, [locking.requester, locking.helper], MATCH_EVENTS.CONFIRMED, proposalPayload(locking));
+  emitToUsers(io, [locking.requester, locking.helper], EXCHANGE_EVENTS.ACCEPTED, {
+    requestId: pairing.exchangeRequest._id,
+    linkedRequestId: pairing.helperRequest._id,
+    parentRequestId: pairing.exchangeRequest.parentRequest,
+    requesterId: locking.requester,
+    helperId: locking.helper,
+    amount: locking.amount,
+    exchangeType: targetRequest.exchangeType
+  });
+  emitToUsers(io, [locking.requester], EXCHANGE_EVENTS.COMPLETION_CODE, {
+    requestId: pairing.exchangeRequest._id,
+    completionCode: pairing.completionCode
+  });
+
+  // Whatever is left open on either side can be matched again
+  await rematch([targetRequest._id, helperRequest._id], io);
+
+  return locking;
+};
+
+// Expire proposals not confirmed in time (run from cron)
+export const expireProposals = async (io) => {
+  const stale = await MatchProposal.find({
+    status: 'PROPOSED',
+    expiresAt: { $lt: new Date() }
+  });
+
+  let expired = 0;
+  for (const proposal of stale) {
+    if (await closeProposal(proposal, 'EXPIRED', io)) expired += 1;
+  }
+
+  return expired;
+};
+
+export default {
+  scoreCandidate,
+  proposeMatch,
+  closeProposal,
+  lockInProposal,
+  expireProposals
+};
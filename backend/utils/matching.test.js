@@ -0,0 +1,166 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import MatchProposal from '../models/MatchProposal.js';
+import User from '../models/User.js';
+import ComplianceEvent from '../models/ComplianceEvent.js';
+import ScheduledJob from '../models/ScheduledJob.js';
+import config from '../config/config.js';
+import { lockInProposal } from './matching.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const verifiedUser = (overrides = {}) => ({
+  _id: id(),
+  isActive: true,
+  verification: { isEmailVerified: true, isPhoneVerified: true, isIdVerified: true },
+  kycTier: 'ID_VERIFIED',
+  ...overrides
+});
+
+describe('lockInProposal', () => {
+  let proposal;
+  let requester;
+  let helper;
+  let targetRequest;
+  let helperRequest;
+  let io;
+
+  beforeEach(() => {
+    requester = verifiedUser();
+    helper = verifiedUser();
+
+    targetRequest = {
+      _id: id(),
+      requester: requester._id,
+      status: 'CREATED',
+      exchangeType: 'ONLINE_TO_CASH',
+      matching: { autoMatch: false },
+      pairWith: jest.fn()
+    };
+    helperRequest = {
+      _id: id(),
+      requester: helper._id,
+      status: 'CREATED',
+      exchangeType: 'CASH_TO_ONLINE',
+      matching: { autoMatch: false }
+    };
+
+    proposal = {
+      _id: id(),
+      status: 'PROPOSED',
+      targetRequest: targetRequest._id,
+      helperRequest: helperRequest._id,
+      requester: requester._id,
+      helper: helper._id,
+      amount: 1000
+    };
+
+    io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+    // Lock-in claims the proposal; closing it marks it FAILED
+    jest.spyOn(MatchProposal, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      ...proposal,
+      ...update.$set
+    }));
+
+    const requests = new Map([targetRequest, helperRequest].map(r => [r._id.toString(), r]));
+    jest.spyOn(ExchangeRequest, 'findById').mockImplementation(async (requestId) => requests.get(requestId.toString()));
+
+    const users = new Map([requester, helper].map(u => [u._id.toString(), u]));
+    jest.spyOn(User, 'findById').mockImplementation((userId) => ({
+      select: async () => users.get(userId.toString())
+    }));
+
+    jest.spyOn(ExchangeRequest, 'updateMany').mockResolvedValue({});
+    jest.spyOn(ExchangeRequest, 'exists').mockResolvedValue(null);
+    jest.spyOn(ExchangeRequest, 'getUserVolume').mockResolvedValue(0);
+    jest.spyOn(ComplianceEvent, 'create').mockResolvedValue({});
+    jest.spyOn(ScheduledJob, 'schedule').mockImplementation(async (name, key, runAt) => ({ runAt }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const failureReason = () => MatchProposal.findOneAndUpdate.mock.calls
+    .map(([, update]) => update.$set)
+    .find(set => set.status === 'FAILED')?.failureReason;
+
+  it('pairs the requests when both parties pass the checks', async () => {
+    targetRequest.pairWith.mockResolvedValue({
+      exchangeRequest: { _id: targetRequest._id, parentRequest: null, timeline: { acceptedAt: new Date() } },
+      helperRequest: { _id: helperRequest._id }
+    });
+
+    const locked = await lockInProposal(proposal, io);
+
+    expect(locked.status).toBe('CONFIRMED');
+    expect(targetRequest.pairWith).toHaveBeenCalledWith(
+      helperRequest,
+      config.exchange.completionCodeExpiryMinutes,
+      proposal.amount
+    );
+    expect(ExchangeRequest.exists).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails when the helper is already in an accepted exchange', async () => {
+    ExchangeRequest.exists.mockImplementation(async (filter) =>
+      filter.$or[0].requester.equals(helper._id) ? { _id: id() } : null
+    );
+
+    await lockInProposal(proposal, io);
+
+    expect(failureReason()).toBe('The helper can no longer take this exchange');
+    expect(targetRequest.pairWith).not.toHaveBeenCalled();
+  });
+
+  it('lets the requester run other fills of the same request', async () => {
+    targetRequest.pairWith.mockResolvedValue({
+      exchangeRequest: { _id: id(), parentRequest: targetRequest._id, timeline: {} },
+      helperRequest: { _id: helperRequest._id }
+    });
+
+    await lockInProposal(proposal, io);
+
+    const [requesterCheck] = ExchangeRequest.exists.mock.calls.find(([filter]) =>
+      filter.$or[0].requester.equals(requester._id)
+    );
+    expect(requesterCheck.parentRequest).toEqual({ $ne: targetRequest._id });
+    expect(targetRequest.pairWith).toHaveBeenCalled();
+  });
+
+  it('fails and logs a compliance event when the requester is over their limit', async () => {
+    ExchangeRequest.getUserVolume.mockImplementation(async (userId) =>
+      userId.equals(requester._id) ? config.limits.ID_VERIFIED.daily : 0
+    );
+
+    await lockInProposal(proposal, io);
+
+    expect(failureReason()).toBe('The requester can no longer take this exchange');
+    expect(ComplianceEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: requester._id,
+      type: 'LIMIT_EXCEEDED',
+      action: 'match',
+      exchangeRequest: targetRequest._id,
+      amount: proposal.amount
+    }));
+    expect(targetRequest.pairWith).not.toHaveBeenCalled();
+  });
+
+  it('fails when the helper needs KYC to help', async () => {
+    const { requiredForHelpers } = config.kyc;
+    config.kyc.requiredForHelpers = true;
+    helper.verification.isIdVerified = false;
+    helper.kycTier = 'CONTACT_VERIFIED';
+
+    try {
+      await lockInProposal(proposal, io);
+    } finally {
+      config.kyc.requiredForHelpers = requiredForHelpers;
+    }
+
+    expect(failureReason()).toBe('The helper can no longer take this exchange');
+    expect(targetRequest.pairWith).not.toHaveBeenCalled();
+  });
+});
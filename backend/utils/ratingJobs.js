@@ -0,0 +1,74 @@
+import Rating from '../models/Rating.js';
+import { registerJobHandler, scheduleJob, cancelJob } from './scheduler.js';
+import { emitToUsers, RATING_EVENTS } from './socketEvents.js';
+import logger from './logger.js';
+
+export const JOBS = {
+  RATING_REVEAL: 'rating.reveal'
+};
+
+const revealKey = (transactionId) => `${JOBS.RATING_REVEAL}:${transactionId}`;
+
+// Reveal a transaction's ratings when its rating window closes, even if
+// only one party rated
+export const scheduleRatingReveal = (rating) => scheduleJob(
+  JOBS.RATING_REVEAL,
+  rating.revealDeadline,
+  { transactionId: rating.transaction.toString() },
+  { key: revealKey(rating.transaction) }
+);
+
+export const cancelRatingReveal = (transactionId) => cancelJob(revealKey(transactionId));
+
+// Tell both sides which of their ratings are now visible
+export const notifyRevealed = (io, transactionId, ratings) => {
+  if (!ratings.length) return;
+
+  emitToUsers(io, ratings.flatMap(r => [r.rater, r.rated]), RATING_EVENTS.REVEALED, {
+    transactionId,
+    ratingIds: ratings.map(r => r._id)
+  });
+};
+
+// Reveal whatever is still hidden for a transaction (window closed)
+export const revealRatings = async (transactionId, io) => {
+  const revealed = await Rating.revealForTransaction(transactionId);
+
+  if (revealed.length) {
+    logger.info('Ratings revealed at deadline', { transactionId, count: revealed.length });
+  }
+
+  notifyRevealed(io, transactionId, revealed);
+
+  return revealed;
+};
+
+// Reveal every rating past its deadline (backstop for ratings without a
+// pending reveal job)
+export const revealOverdueRatings = async (io) => {
+  const transactionIds = await Rating.distinct('transaction', {
+    revealedAt: null,
+    revealDeadline: { $lte: new Date() }
+  });
+
+  let count = 0;
+  for (const transactionId of transactionIds) {
+    count += (await revealRatings(transactionId, io)).length;
+  }
+
+  return count;
+};
+
+export const registerRatingJobs = () => {
+  registerJobHandler(JOBS.RATING_REVEAL, ({ transactionId }, { io }) => revealRatings(transactionId, io));
+};
+
+export default {
+  JOBS,
+  scheduleRatingReveal,
+  cancelRatingReveal,
+  notifyRevealed,
+  revealRatings,
+  revealOverdueRatings,
+  registerRatingJobs
+};
@@ -0,0 +1,64 @@
+import config from '../config/config.js';
+
+// Profile rating stats, rebuilt from a user's visible ratings (see
+// Rating.recomputeProfile)
+
+export const RATING_CATEGORIES = ['punctuality', 'communication', 'trustworthiness'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Weight of a rating `ageMs` old: halves every RATING_HALF_LIFE_DAYS
+export const decayWeight = (ageMs) => 0.5 ** (Math.max(0, ageMs) / (config.rating.halfLifeDays * DAY_MS));
+
+// Reputation score (out of 5): time-decayed ratings shrunk towards a prior,
+// as if every user started with RATING_PRIOR_WEIGHT ratings of
+// RATING_PRIOR_MEAN. Few or old ratings stay close to the prior, so one
+// 5-star rating can't outrank a long record of good ones.
+export const reputationScore = (ratings, now = new Date()) => {
+  const { priorMean, priorWeight } = config.rating;
+
+  let weightSum = 0;
+  let weightedSum = 0;
+
+  for (const { rating, createdAt } of ratings) {
+    const weight = decayWeight(now - new Date(createdAt));
+    weightSum += weight;
+    weightedSum += weight * rating;
+  }
+
+  return round((priorWeight * priorMean + weightedSum) / (priorWeight + weightSum));
+};
+
+// Plain average and count per category (ratings without it are skipped)
+export const categoryAverages = (ratings) => Object.fromEntries(
+  RATING_CATEGORIES.map(category => {
+    const scores = ratings
+      .map(r => r.categories?.[category])
+      .filter(score => typeof score === 'number');
+
+    return [category, {
+      average: scores.length ? round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : 0,
+      count: scores.length
+    }];
+  })
+);
+
+// All profile stats for a list of { rating, categories, createdAt }
+export const computeProfileStats = (ratings, now = new Date()) => ({
+  rating: ratings.length
+    ? round(ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length)
+    : 0,
+  totalRatings: ratings.length,
+  categoryRatings: categoryAverages(ratings),
+  reputationScore: ratings.length ? reputationScore(ratings, now) : 0
+});
+
+export default {
+  RATING_CATEGORIES,
+  decayWeight,
+  reputationScore,
+  categoryAverages,
+  computeProfileStats
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from '@jest/globals';
+import config from '../config/config.js';
+import { decayWeight, reputationScore, computeProfileStats } from './reputation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+describe('decayWeight', () => {
+  const { halfLifeDays } = config.rating;
+
+  it('halves every half-life', () => {
+    expect(decayWeight(0)).toBe(1);
+    expect(decayWeight(halfLifeDays * DAY_MS)).toBeCloseTo(0.5);
+    expect(decayWeight(2 * halfLifeDays * DAY_MS)).toBeCloseTo(0.25);
+  });
+
+  it('treats ratings from the future as new', () => {
+    expect(decayWeight(-DAY_MS)).toBe(1);
+  });
+});
+
+describe('reputationScore', () => {
+  const { priorMean, priorWeight } = config.rating;
+
+  it('is the prior with no ratings', () => {
+    expect(reputationScore([], now)).toBe(priorMean);
+  });
+
+  it('shrinks a single rating towards the prior', () => {
+    const score = reputationScore([{ rating: 5, createdAt: now }], now);
+
+    expect(score).toBeCloseTo((priorWeight * priorMean + 5) / (priorWeight + 1), 2);
+    expect(score).toBeLessThan(4);
+  });
+
+  it('ranks a long good record above one perfect rating', () => {
+    const veteran = Array.from({ length: 100 }, (_, i) => ({
+      rating: i % 5 === 0 ? 3 : 5, // Averages 4.6
+      createdAt: daysAgo(i)
+    }));
+
+    expect(reputationScore(veteran, now))
+      .toBeGreaterThan(reputationScore([{ rating: 5, createdAt: now }], now));
+  });
+
+  it('weighs recent ratings more than old ones', () => {
+    const improved = [
+      { rating: 1, createdAt: daysAgo(720) },
+      { rating: 5, createdAt: daysAgo(1) }
+    ];
+    const declined = [
+      { rating: 5, createdAt: daysAgo(720) },
+      { rating: 1, createdAt: daysAgo(1) }
+    ];
+
+    expect(reputationScore(improved, now)).toBeGreaterThan(reputationScore(declined, now));
+  });
+
+  it('drifts back to the prior as ratings age', () => {
+    const ratings = [{ rating: 5, createdAt: daysAgo(0) }];
+    const later = new Date(now.getTime() + 10 * config.rating.halfLifeDays * DAY_MS);
+
+    expect(reputationScore(ratings, later)).toBeCloseTo(priorMean, 2);
+  });
+});
+
+describe('computeProfileStats', () => {
+  it('zeroes a profile without ratings', () => {
+    expect(computeProfileStats([], now)).toEqual({
+      rating: 0,
+      totalRatings: 0,
+      categoryRatings: {
+        punctuality: { average: 0, count: 0 },
+        communication: { average: 0, count: 0 },
+        trustworthiness: { average: 0, count: 0 }
+      },
+      reputationScore: 0
+    });
+  });
+
+  it('averages ratings and only the categories that were given', () => {
+    const stats = computeProfileStats([
+      { rating: 5, categories: { punctuality: 5, communication: 4 }, createdAt: now },
+      { rating: 4, categories: { punctuality: 3 }, createdAt: now }
+    ], now);
+
+    expect(stats.rating).toBe(4.5);
+    expect(stats.totalRatings).toBe(2);
+    expect(stats.categoryRatings).toEqual({
+      punctuality: { average: 4, count: 2 },
+      communication: { average: 4, count: 1 },
+      trustworthiness: { average: 0, count: 0 }
+    });
+    expect(stats.reputationScore).toBeCloseTo(reputationScore([
+      { rating: 5, createdAt: now },
+      { rating: 4, createdAt: now }
+    ], now), 2);
+  });
+});
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { requestRoom } from './socketEvents.js';
+import logger from './logger.js';
+
+// Viewers of an exchange request get its live updates (e.g. edits, which
+// include its location). Only users who can see the request may watch it.
+
+export const watchRequest = async (socket, requestId) => {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw new AppError('Invalid exchange request id', 400);
+  }
+
+  if (!await ExchangeRequest.isVisibleTo(requestId, socket.user._id)) {
+    throw new AppError('Exchange request not found', 404);
+  }
+
+  socket.join(requestRoom(requestId));
+
+  return { requestId };
+};
+
+export const unwatchRequest = (socket, requestId) => {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw new AppError('Invalid exchange request id', 400);
+  }
+
+  socket.leave(requestRoom(requestId));
+
+  return { requestId };
+};
+
+// Socket handlers. Each event takes the request id and an optional ack
+// callback that gets { success, data } or { success: false, message }.
+//   request:watch   requestId
+//   request:unwatch requestId
+export const registerRequestWatchHandlers = (socket) => {
+  const handle = (event, handler) => {
+    socket.on(event, async (requestId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        reply({ success: true, data: await handler(requestId) });
+      } catch (error) {
+        if (!error.isOperational) {
+          logger.error('Request watch event failed', { event, userId: socket.user._id, error: error.message });
+        }
+
+        reply({
+          success: false,
+          message: error.isOperational ? error.message : 'Could not process request event'
+        });
+      }
+    });
+  };
+
+  handle('request:watch', (requestId) => watchRequest(socket, requestId));
+  handle('request:unwatch', (requestId) => unwatchRequest(socket, requestId));
+};
+
+export default {
+  watchRequest,
+  unwatchRequest,
+  registerRequestWatchHandlers
+};
@@ -0,0 +1,86 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ExchangeRequest from '../models/ExchangeRequest.js';
+import { registerRequestWatchHandlers } from './requestWatch.js';
+import { requestRoom } from './socketEvents.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Minimal socket that records its handlers and rooms
+const fakeSocket = (user) => {
+  const handlers = {};
+  return {
+    user,
+    rooms: new Set(),
+    on(event, handler) { handlers[event] = handler; },
+    join(room) { this.rooms.add(room); },
+    leave(room) { this.rooms.delete(room); },
+    emit: (event, ...args) => new Promise(resolve => handlers[event](...args, resolve))
+  };
+};
+
+describe('request watch handlers', () => {
+  let socket;
+
+  beforeEach(() => {
+    socket = fakeSocket({ _id: id() });
+    registerRequestWatchHandlers(socket);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('joins the room of a request the user can see', async () => {
+    const requestId = id().toString();
+    jest.spyOn(ExchangeRequest, 'exists').mockResolvedValue({ _id: requestId });
+
+    const reply = await socket.emit('request:watch', requestId);
+
+    expect(reply.success).toBe(true);
+    expect(socket.rooms.has(requestRoom(requestId))).toBe(true);
+  });
+
+  it('only finds open requests or the user\'s own', async () => {
+    const requestId = id().toString();
+    const exists = jest.spyOn(ExchangeRequest, 'exists').mockResolvedValue(null);
+
+    await socket.emit('request:watch', requestId);
+
+    const [{ _id, $or }] = exists.mock.calls[0];
+    expect(_id).toBe(requestId);
+    expect($or[0].status).toBe('CREATED');
+    expect($or[0]['timeline.expiresAt'].$gt).toBeInstanceOf(Date);
+    expect($or[1]).toEqual({ requester: socket.user._id });
+    expect($or[2]).toEqual({ helper: socket.user._id });
+  });
+
+  it('refuses a request the user cannot see', async () => {
+    const requestId = id().toString();
+    jest.spyOn(ExchangeRequest, 'exists').mockResolvedValue(null);
+
+    const reply = await socket.emit('request:watch', requestId);
+
+    expect(reply).toEqual({ success: false, message: 'Exchange request not found' });
+    expect(socket.rooms.size).toBe(0);
+  });
+
+  it('rejects an invalid id without querying', async () => {
+    const exists = jest.spyOn(ExchangeRequest, 'exists');
+
+    const reply = await socket.emit('request:watch', 'not-an-id');
+
+    expect(reply.success).toBe(false);
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  it('leaves the room on unwatch', async () => {
+    const requestId = id().toString();
+    socket.join(requestRoom(requestId));
+
+    const reply = await socket.emit('request:unwatch', requestId);
+
+    expect(reply.success).toBe(true);
+    expect(socket.rooms.size).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+import os from 'os';
+import crypto from 'crypto';
+import ScheduledJob from '../models/ScheduledJob.js';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+// Persistent delayed jobs. Jobs live in MongoDB, so they survive restarts
+// and any instance can run them. Each instance sleeps until its next known
+// job is due (polling at least every SCHEDULER_POLL_INTERVAL_MS for jobs
+// scheduled elsewhere) and claims due jobs atomically.
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let context = {};
+let started = false;
+let draining = false;
+let timer = null;
+let wakeAt = Infinity;
+let scheduledWhileDraining = null; // Earliest runAt scheduled during a run
+
+// Register the handler for a job name: async (payload, context) => {}
+export const registerJobHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Sleep until `nextRunAt` (capped at the poll interval)
+const armTimer = (nextRunAt) => {
+  if (!started) return;
+
+  const delay = nextRunAt
+    ? Math.max(0, Math.min(nextRunAt.getTime() - Date.now(), config.scheduler.pollIntervalMs))
+    : config.scheduler.pollIntervalMs;
+
+  clearTimeout(timer);
+  wakeAt = Date.now() + delay;
+  timer = setTimeout(drain, delay);
+  timer.unref();
+};
+
+const runJob = async (job) => {
+  const { maxAttempts, retryDelayMs, retentionDays } = config.scheduler;
+  const handler = handlers.get(job.name);
+
+  if (!handler) {
+    logger.error('No handler registered for scheduled job', { jobId: job._id, name: job.name });
+    await job.finish('FAILED', retentionDays, new Error(`No handler registered for ${job.name}`));
+    return;
+  }
+
+  try {
+    await handler(job.payload, context);
+    await job.finish('DONE', retentionDays);
+  } catch (error) {
+    if (job.attempts >= maxAttempts) {
+      logger.error('Scheduled job failed', {
+        jobId: job._id,
+        name: job.name,
+        attempts: job.attempts,
+        error: error.message
+      });
+      await job.finish('FAILED', retentionDays, error);
+      return;
+    }
+
+    logger.warn('Scheduled job failed, retrying', {
+      jobId: job._id,
+      name: job.name,
+      attempts: job.attempts,
+      error: error.message
+    });
+
+    try {
+      // Back off exponentially between attempts
+      await job.retry(retryDelayMs * 2 ** (job.attempts - 1), error);
+    } catch (retryError) {
+      // The key was rescheduled meanwhile; the newer job supersedes this one
+      if (retryError.code !== 11000) throw retryError;
+      await job.finish('CANCELLED', retentionDays, error);
+    }
+  }
+};
+
+// Run every due job, then sleep until the next one
+const drain = async () => {
+  if (!started || draining) return;
+  draining = true;
+
+  try {
+    let job;
+    while (started && (job = await ScheduledJob.claimNext(workerId, config.scheduler.lockTimeoutMs))) {
+      await runJob(job);
+    }
+
+    const nextRunAt = await ScheduledJob.nextRunAt();
+    const earliest = [nextRunAt, scheduledWhileDraining].filter(Boolean).sort((a, b) => a - b)[0];
+
+    scheduledWhileDraining = null;
+    armTimer(earliest || null);
+  } catch (error) {
+    logger.error('Scheduler run failed', { error: error.message });
+    armTimer(null);
+  } finally {
+    draining = false;
+  }
+};
+
+// Schedule a job at `runAt`. With a `key`, an existing pending job for the
+// same key is moved instead of adding another one.
+export const scheduleJob = async (name, runAt, payload = {}, { key } = {}) => {
+  const job = await ScheduledJob.schedule(
+    name,
+    key || `${name}:${crypto.randomUUID()}`,
+    runAt,
+    payload
+  );
+
+  // Wake up early if this job is due before the next planned run
+  if (started && draining) {
+    if (!scheduledWhileDraining || job.runAt < scheduledWhileDraining) {
+      scheduledWhileDraining = job.runAt;
+    }
+  } else if (started && job.runAt.getTime() < wakeAt) {
+    armTimer(job.runAt);
+  }
+
+  return job;
+};
+
+// Cancel the pending job for a key (if any)
+export const cancelJob = (key) => ScheduledJob.updateMany(
+  { key, status: 'PENDING' },
+  {
+    $set: {
+      status: 'CANCELLED',
+      finishedAt: new Date(),
+      purgeAt: new Date(Date.now() + config.scheduler.retentionDays * 24 * 60 * 60 * 1000)
+    }
+  }
+);
+
+// Start running jobs. `ctx` is passed to every handler (e.g. { io }).
+export const startScheduler = (ctx = {}) => {
+  if (started) return;
+
+  context = ctx;
+  started = true;
+
+  logger.info('Scheduler started', {
+    workerId,
+    jobs: [...handlers.keys()]
+  });
+
+  drain();
+};
+
+export const stopScheduler = () => {
+  started = false;
+  clearTimeout(timer);
+  wakeAt = Infinity;
+};
+
+export default {
+  registerJobHandler,
+  scheduleJob,
+  cancelJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,142 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import ScheduledJob from '../models/ScheduledJob.js';
+import config from '../config/config.js';
+import { registerJobHandler, startScheduler, stopScheduler } from './scheduler.js';
+
+const { maxAttempts, retryDelayMs, lockTimeoutMs } = config.scheduler;
+
+const claimedJob = (name, attempts = 1) => ScheduledJob.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  key: `${name}:1`,
+  payload: { requestId: 'r1' },
+  runAt: new Date(),
+  status: 'RUNNING',
+  attempts,
+  lockedAt: new Date(),
+  lockedBy: 'worker'
+});
+
+describe('scheduler', () => {
+  let queue;
+  let drained;
+
+  beforeEach(() => {
+    queue = [];
+    jest.spyOn(ScheduledJob, 'claimNext').mockImplementation(async () => queue.shift() || null);
+    drained = new Promise(resolve => {
+      jest.spyOn(ScheduledJob, 'nextRunAt').mockImplementation(async () => {
+        resolve();
+        return null;
+      });
+    });
+    jest.spyOn(ScheduledJob.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    stopScheduler();
+    jest.restoreAllMocks();
+  });
+
+  // Run every queued job once and wait for the scheduler to go back to sleep
+  const runQueued = async (context = {}) => {
+    startScheduler(context);
+    await drained;
+  };
+
+  it('claims due jobs and runs their handler with the payload and context', async () => {
+    const handler = jest.fn(async () => {});
+    registerJobHandler('test.done', handler);
+    const job = claimedJob('test.done');
+    queue.push(job);
+    const context = { io: {} };
+
+    await runQueued(context);
+
+    expect(ScheduledJob.claimNext).toHaveBeenCalledWith(expect.any(String), lockTimeoutMs);
+    expect(handler).toHaveBeenCalledWith({ requestId: 'r1' }, context);
+    expect(job.status).toBe('DONE');
+    expect(job.lockedBy).toBeUndefined();
+    expect(job.purgeAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('retries a failed job with exponential backoff', async () => {
+    registerJobHandler('test.retry', async () => {
+      throw new Error('Database unavailable');
+    });
+    const job = claimedJob('test.retry', 3);
+    queue.push(job);
+    const before = Date.now();
+
+    await runQueued();
+
+    expect(job.status).toBe('PENDING');
+    expect(job.lastError).toBe('Database unavailable');
+    expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + retryDelayMs * 4);
+    expect(job.runAt.getTime()).toBeLessThan(before + retryDelayMs * 8);
+  });
+
+  it('gives up once the job has used all its attempts', async () => {
+    registerJobHandler('test.fail', async () => {
+      throw new Error('Still broken');
+    });
+    const job = claimedJob('test.fail', maxAttempts);
+    queue.push(job);
+
+    await runQueued();
+
+    expect(job.status).toBe('FAILED');
+    expect(job.lastError).toBe('Still broken');
+  });
+
+  it('fails jobs without a registered handler', async () => {
+    const job = claimedJob('test.unknown');
+    queue.push(job);
+
+    await runQueued();
+
+    expect(job.status).toBe('FAILED');
+    expect(job.lastError).toBe('No handler registered for test.unknown');
+  });
+
+  it('cancels a failed job whose key was rescheduled meanwhile', async () => {
+    registerJobHandler('test.superseded', async () => {
+      throw new Error('Failed');
+    });
+    const job = claimedJob('test.superseded');
+    queue.push(job);
+
+    // Putting it back PENDING collides with the newer pending job
+    ScheduledJob.prototype.save.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    await runQueued();
+
+    expect(job.status).toBe('CANCELLED');
+  });
+});
+
+describe('ScheduledJob.claimNext', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims due pending jobs and jobs whose lock has expired', async () => {
+    const findOneAndUpdate = jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockResolvedValue(null);
+    const before = Date.now();
+
+    await ScheduledJob.claimNext('worker-1', 60000);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    const [pending, stale] = filter.$or;
+    expect(pending.status).toBe('PENDING');
+    expect(pending.runAt.$lte.getTime()).toBeGreaterThanOrEqual(before);
+    expect(stale.status).toBe('RUNNING');
+    expect(stale.lockedAt.$lte.getTime()).toBe(pending.runAt.$lte.getTime() - 60000);
+    expect(update.$set).toMatchObject({ status: 'RUNNING', lockedBy: 'worker-1' });
+    expect(update.$inc).toEqual({ attempts: 1 });
+    expect(options.sort).toEqual({ runAt: 1 });
+  });
+});
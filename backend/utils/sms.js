@@ -0,0 +1,72 @@
+import config from '../config/config.js';
+import logger from './logger.js';
+
+// ====================
+// PROVIDERS
+// ====================
+// A provider is an object with `async send({ to, body })`. Register real
+// gateways (Twilio, MSG91, ...) with registerProvider and select them via
+// SMS_PROVIDER.
+
+const providers = {
+  // Logs the message instead of sending it - local development only
+  log: () => ({
+    send: async ({ to, body }) => {
+      logger.info('SMS (log provider)', { to, body });
+    }
+  })
+};
+
+let activeProvider = null;
+
+// Refuse to run a production server that would only log OTPs.
+// Called at startup, and again before the first send.
+export const assertSmsProvider = () => {
+  if (config.env === 'production' && config.sms.provider === 'log') {
+    throw new Error(
+      'SMS provider "log" is meant for local development only. Set SMS_PROVIDER to a registered gateway'
+    );
+  }
+};
+
+export const registerProvider = (name, factory) => {
+  providers[name] = factory;
+  activeProvider = null; // Re-resolve on next send
+};
+
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const factory = providers[config.sms.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider: ${config.sms.provider}`);
+  }
+
+  assertSmsProvider();
+
+  activeProvider = factory(config.sms);
+  return activeProvider;
+};
+
+// ====================
+// SENDING
+// ====================
+
+export const sendSms = async (to, body) => {
+  await getProvider().send({ to, body });
+};
+
+export const sendPhoneOtp = async (phone, code) => {
+  await sendSms(
+    phone,
+    `Your Cash Exchange verification code is ${code}. It expires in ${config.sms.otpExpiryMinutes} minutes.`
+  );
+};
+
+export default {
+  registerProvider,
+  assertSmsProvider,
+  sendSms,
+  sendPhoneOtp
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import config from '../config/config.js';
+import { assertSmsProvider, sendSms } from './sms.js';
+
+describe('log SMS provider', () => {
+  const { env } = config;
+  const { provider } = config.sms;
+
+  afterEach(() => {
+    config.env = env;
+    config.sms.provider = provider;
+  });
+
+  it('is refused in production', async () => {
+    config.env = 'production';
+    config.sms.provider = 'log';
+
+    expect(() => assertSmsProvider()).toThrow('SMS provider "log" is meant for local development only');
+    await expect(sendSms('+919800000001', 'Hi')).rejects.toThrow('SMS_PROVIDER');
+  });
+
+  it('is fine anywhere else', () => {
+    config.env = 'development';
+    config.sms.provider = 'log';
+
+    expect(() => assertSmsProvider()).not.toThrow();
+  });
+
+  it('does not stop a real gateway', () => {
+    config.env = 'production';
+    config.sms.provider = 'twilio';
+
+    expect(() => assertSmsProvider()).not.toThrow();
+  });
+});
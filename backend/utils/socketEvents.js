@@ -0,0 +1,119 @@
+import logger from './logger.js';
+
+// Event names emitted to users' personal rooms
+export const EXCHANGE_EVENTS = {
+  CREATED: 'request.created',
+  ACCEPTED: 'request.accepted',
+  COMPLETED: 'request.completed',
+  CANCELLED: 'request.cancelled',
+  WITHDRAWN: 'request.withdrawn',
+  COMPLETION_CODE: 'request.completion_code',
+  COMPLETION_LOCKED: 'request.completion_locked',
+  EXPIRED: 'request.expired',
+  UPDATED: 'request.updated',
+  MEETING_POINT_PROPOSED: 'request.meeting_point_proposed',
+  MEETING_POINT_AGREED: 'request.meeting_point_agreed'
+};
+
+export const TRANSACTION_EVENTS = {
+  REVERSED: 'transaction.reversed',
+  REFUNDED: 'transaction.refunded'
+};
+
+export const DISPUTE_EVENTS = {
+  OPENED: 'dispute.opened',
+  RESOLVED: 'dispute.resolved'
+};
+
+export const MATCH_EVENTS = {
+  PROPOSED: 'match.proposed',
+  CONFIRMED: 'match.confirmed',
+  DECLINED: 'match.declined',
+  EXPIRED: 'match.expired',
+  FAILED: 'match.failed'
+};
+
+export const LOCATION_EVENTS = {
+  STARTED: 'location.started',
+  UPDATED: 'location.updated',
+  STOPPED: 'location.stopped',
+  ENDED: 'location.ended'
+};
+
+export const CHAT_EVENTS = {
+  MESSAGE: 'chat.message',
+  READ: 'chat.read',
+  CONTACT_SHARING: 'chat.contact_sharing'
+};
+
+export const RATING_EVENTS = {
+  RECEIVED: 'rating.received',
+  REVEALED: 'rating.revealed',
+  RESPONDED: 'rating.responded'
+};
+
+export const KYC_EVENTS = {
+  APPROVED: 'kyc.approved',
+  REJECTED: 'kyc.rejected'
+};
+
+// Room name for a user (sockets join it on connection)
+export const userRoom = (userId) => `user:${userId.toString()}`;
+
+// Emit an event to one or more users' rooms
+export const emitToUsers = (io, userIds, event, payload) => {
+  if (!io) return;
+
+  const rooms = [...new Set(
+    userIds
+      .filter(Boolean)
+      .map(id => userRoom(id._id || id))
+  )];
+
+  if (!rooms.length) return;
+
+  io.to(rooms).emit(event, {
+    type: event,
+    timestamp: new Date().toISOString(),
+    data: payload
+  });
+
+  logger.info('Socket event emitted', { event, rooms });
+};
+
+// Room for sockets viewing an exchange request (joined with 'request:watch')
+export const requestRoom = (requestId) => `request:${requestId.toString()}`;
+
+// Emit an event to everyone viewing an exchange request
+export const emitToRequestViewers = (io, requestId, event, payload) => {
+  if (!io) return;
+
+  io.to(requestRoom(requestId)).emit(event, {
+    type: event,
+    timestamp: new Date().toISOString(),
+    data: payload
+  });
+
+  logger.info('Socket event emitted', { event, rooms: [requestRoom(requestId)] });
+};
+
+// Emit from within a request handler (io is set on the app in index.js)
+export const emitFromRequest = (req, userIds, event, payload) => {
+  emitToUsers(req.app.get('io'), userIds, event, payload);
+};
+
+export default {
+  EXCHANGE_EVENTS,
+  TRANSACTION_EVENTS,
+  DISPUTE_EVENTS,
+  MATCH_EVENTS,
+  LOCATION_EVENTS,
+  CHAT_EVENTS,
+  RATING_EVENTS,
+  KYC_EVENTS,
+  userRoom,
+  requestRoom,
+  emitToUsers,
+  emitToRequestViewers,
+  emitFromRequest
+};
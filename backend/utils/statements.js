@@ -0,0 +1,187 @@
+import { once } from 'events';
+import PDFDocument from 'pdfkit';
+
+// Amounts are money; show at paisa precision
+const money = (value) => (Math.round((value || 0) * 100) / 100).toFixed(2);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// ====================
+// ROWS
+// ====================
+
+// Flatten a (lean, populated) transaction into a statement row from the
+// point of view of `userId`. walletAmount is the net effect on their wallet.
+export const toStatementRow = (transaction, userId) => {
+  const isPayer = transaction.payer._id.toString() === userId.toString();
+  const counterparty = isPayer ? transaction.payee : transaction.payer;
+  const refunds = transaction.refunds || [];
+  const refundedByPayee = refunds
+    .filter(r => r.source === 'PAYEE')
+    .reduce((sum, r) => sum + r.amount, 0);
+
+  let walletAmount = 0;
+  if (transaction.status === 'COMPLETED') {
+    walletAmount = isPayer
+      ? -transaction.amount + (transaction.refundedAmount || 0)
+      : transaction.netAmount - refundedByPayee;
+  }
+
+  return {
+    date: transaction.createdAt,
+    id: transaction._id.toString(),
+    type: transaction.type,
+    role: isPayer ? 'PAYER' : 'PAYEE',
+    counterparty: counterparty?.name || '',
+    status: transaction.status,
+    amount: transaction.amount,
+    fee: isPayer ? 0 : transaction.platformFee,
+    refunded: transaction.refundedAmount || 0,
+    walletAmount
+  };
+};
+
+// ====================
+// CSV
+// ====================
+
+const CSV_COLUMNS = ['date', 'id', 'type', 'role', 'counterparty', 'status', 'amount', 'fee', 'refunded', 'walletAmount'];
+
+// Quote fields and neutralise spreadsheet formulas (=, +, -, @ prefixes)
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stream a CSV statement to `res`, one row per cursor document.
+// Honours backpressure so large histories never sit in memory.
+export const streamCsvStatement = async (res, { userId, cursor }) => {
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+  for await (const transaction of cursor) {
+    // Client went away - stop reading from the database
+    if (res.destroyed) break;
+
+    const row = toStatementRow(transaction, userId);
+    const line = CSV_COLUMNS
+      .map(column => {
+        if (column === 'date') return csvField(new Date(row.date).toISOString());
+        if (['amount', 'fee', 'refunded', 'walletAmount'].includes(column)) return money(row[column]);
+        return csvField(row[column]);
+      })
+      .join(',');
+
+    if (!res.write(`${line}\n`)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  }
+
+  await cursor.close();
+  res.end();
+};
+
+// ====================
+// PDF
+// ====================
+
+const PDF_COLUMNS = [
+  { key: 'date', label: 'Date', width: 65 },
+  { key: 'counterparty', label: 'Counterparty', width: 110 },
+  { key: 'type', label: 'Type', width: 95 },
+  { key: 'status', label: 'Status', width: 70 },
+  { key: 'amount', label: 'Amount', width: 55, align: 'right' },
+  { key: 'fee', label: 'Fee', width: 45, align: 'right' },
+  { key: 'walletAmount', label: 'Wallet', width: 60, align: 'right' }
+];
+
+const drawRow = (doc, values, options = {}) => {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  for (const column of PDF_COLUMNS) {
+    doc.text(values[column.key], x, y, {
+      width: column.width - 5,
+      align: column.align || 'left',
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += column.width;
+  }
+
+  doc.x = doc.page.margins.left;
+  doc.y = y + 14;
+
+  // Start a new page (and repeat the header) before running off the bottom
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+    doc.addPage();
+    if (!options.bold) drawHeader(doc);
+  }
+};
+
+const drawHeader = (doc) => {
+  drawRow(doc, Object.fromEntries(PDF_COLUMNS.map(c => [c.key, c.label])), { bold: true });
+};
+
+// Stream a monthly PDF statement to `res`.
+// `summary` holds the period, balances and getUserStats totals.
+export const streamPdfStatement = async (res, { user, cursor, summary }) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  const currency = user.wallet?.currency || 'INR';
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Account Statement');
+  doc.font('Helvetica').fontSize(10)
+    .text(`${user.name} <${user.email}>`)
+    .text(`Period: ${formatDate(summary.from)} to ${formatDate(new Date(summary.to.getTime() - 1))}`)
+    .text(`Generated: ${new Date().toISOString()}`)
+    .moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Summary');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Opening balance: ${money(summary.openingBalance)} ${currency}`)
+    .text(`Closing balance: ${money(summary.closingBalance)} ${currency}`)
+    .text(`Completed transactions: ${summary.stats.totalTransactions}`)
+    .text(`Total paid: ${money(summary.stats.totalAmountPaid)} ${currency}`)
+    .text(`Total received: ${money(summary.stats.totalAmountReceived)} ${currency}`)
+    .text(`Fees paid: ${money(summary.stats.totalFeesPaid)} ${currency}`)
+    .moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Transactions').moveDown(0.5);
+  drawHeader(doc);
+
+  let count = 0;
+  for await (const transaction of cursor) {
+    if (res.destroyed) break;
+
+    const row = toStatementRow(transaction, user._id);
+    drawRow(doc, {
+      ...row,
+      date: formatDate(row.date),
+      amount: money(row.amount),
+      fee: money(row.fee),
+      walletAmount: money(row.walletAmount)
+    });
+    count += 1;
+  }
+
+  if (count === 0) {
+    doc.font('Helvetica').fontSize(9).text('No transactions in this period.');
+  }
+
+  await cursor.close();
+  doc.end();
+};
+
+export default {
+  toStatementRow,
+  streamCsvStatement,
+  streamPdfStatement
+};
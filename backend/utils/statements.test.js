@@ -0,0 +1,41 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import { toStatementRow } from './statements.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('toStatementRow', () => {
+  const payer = { _id: id(), name: 'Asha' };
+  const payee = { _id: id(), name: 'Ravi' };
+  const transaction = {
+    _id: id(),
+    createdAt: new Date('2026-09-10T10:00:00Z'),
+    type: 'ONLINE_TO_CASH',
+    status: 'COMPLETED',
+    payer,
+    payee,
+    amount: 500,
+    platformFee: 5,
+    netAmount: 495,
+    refunds: [],
+    refundedAmount: 0
+  };
+
+  it('shows the fee to the payee, who it is deducted from', () => {
+    expect(toStatementRow(transaction, payee._id)).toMatchObject({
+      role: 'PAYEE',
+      counterparty: 'Asha',
+      fee: 5,
+      walletAmount: 495
+    });
+  });
+
+  it('charges the payer no fee on top of the amount', () => {
+    expect(toStatementRow(transaction, payer._id)).toMatchObject({
+      role: 'PAYER',
+      counterparty: 'Ravi',
+      fee: 0,
+      walletAmount: -500
+    });
+  });
+});
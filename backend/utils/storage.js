@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+// ====================
+// DRIVERS
+// ====================
+// A driver is an object with `async put(key, buffer, { contentType })`,
+// `async getStream(key)` and `async remove(key)`. Register others (S3, GCS, ...)
+// with registerDriver and select them via STORAGE_DRIVER.
+
+const drivers = {
+  // Files under a local directory - single-server deployments only
+  local: (options) => {
+    const root = path.resolve(options.localDir);
+
+    // Keys are generated server-side, but never let one escape the root
+    const resolve = (key) => {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+      }
+      return filePath;
+    };
+
+    return {
+      put: async (key, buffer) => {
+        const filePath = resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer, { mode: 0o600 });
+      },
+      getStream: async (key) => {
+        const filePath = resolve(key);
+        await fs.access(filePath);
+        return createReadStream(filePath);
+      },
+      remove: async (key) => {
+        await fs.rm(resolve(key), { force: true });
+      }
+    };
+  }
+};
+
+let activeDriver = null;
+
+export const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+  activeDriver = null; // Re-resolve on next use
+};
+
+const getDriver = () => {
+  if (activeDriver) return activeDriver;
+
+  const factory = drivers[config.storage.driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+  }
+
+  activeDriver = factory(config.storage);
+  return activeDriver;
+};
+
+// ====================
+// FILES
+// ====================
+
+export const saveFile = async (key, buffer, { contentType } = {}) => {
+  await getDriver().put(key, buffer, { contentType });
+  logger.info('File stored', { key, size: buffer.length });
+};
+
+export const getFileStream = async (key) => getDriver().getStream(key);
+
+export const deleteFile = async (key) => {
+  await getDriver().remove(key);
+};
+
+export default {
+  registerDriver,
+  saveFile,
+  getFileStream,
+  deleteFile
+};